@@ -1,6 +1,12 @@
 // analytics-dashboard.js - Performance Analytics Dashboard
+const channelRegistry = require('./channelRegistry');
+
 class PerformanceAnalytics {
-  constructor() {
+  /**
+   * @param {number} startingBalance Account equity the drawdown is measured against
+   */
+  constructor(startingBalance = 0) {
+    this.startingBalance = startingBalance;
     this.metrics = {
       trades: [],
       dailyPnL: new Map(),
@@ -108,9 +114,9 @@ class PerformanceAnalytics {
   }
 
   calculateMaxDrawdown(profits) {
-    let peak = 0;
+    let peak = this.startingBalance;
     let maxDrawdown = 0;
-    let runningTotal = 0;
+    let runningTotal = this.startingBalance;
 
     profits.forEach(profit => {
       runningTotal += profit;
@@ -150,7 +156,72 @@ ${this.getChannelPerformanceReport()}
 `;
   }
 
-  // ... (other methods unchanged) ...
+  getBestTrade() {
+    if (this.metrics.trades.length === 0) return 0;
+    return Math.max(...this.metrics.trades.map(t => t.profit));
+  }
+
+  getWorstTrade() {
+    if (this.metrics.trades.length === 0) return 0;
+    return Math.min(...this.metrics.trades.map(t => t.profit));
+  }
+
+  getAverageHoldTime() {
+    const durations = this.metrics.trades.map(t => t.duration).filter(d => d > 0);
+    if (durations.length === 0) return 'N/A';
+
+    const avgMin = Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length / 60000);
+    if (avgMin < 60) return `${avgMin}m`;
+    return `${Math.floor(avgMin / 60)}h${avgMin % 60}m`;
+  }
+
+  getBestTradingHour() {
+    const byHour = new Map();
+    this.metrics.trades.forEach(t => {
+      const hour = new Date(t.timestamp).getHours();
+      byHour.set(hour, (byHour.get(hour) || 0) + t.profit);
+    });
+    return this.getBestKey(byHour, 0);
+  }
+
+  getBestTradingDay() {
+    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const byDay = new Map();
+    this.metrics.trades.forEach(t => {
+      const day = days[new Date(t.timestamp).getDay()];
+      byDay.set(day, (byDay.get(day) || 0) + t.profit);
+    });
+    return this.getBestKey(byDay, 'N/A');
+  }
+
+  getBestKey(profitMap, fallback) {
+    let bestKey = fallback;
+    let bestProfit = -Infinity;
+    for (const [key, profit] of profitMap) {
+      if (profit > bestProfit) {
+        bestProfit = profit;
+        bestKey = key;
+      }
+    }
+    return bestKey;
+  }
+
+  getChannelPerformanceReport() {
+    if (this.metrics.channelPerformance.size === 0) return '📡 CHANNEL PERFORMANCE:\n  No trades yet';
+
+    const lines = ['📡 CHANNEL PERFORMANCE:'];
+    for (const [channelId, perf] of this.metrics.channelPerformance) {
+      const definition = channelRegistry.getDefinition(channelId);
+      const name = definition ? `${definition.icon} ${definition.name}` : `📱 ${channelId}`;
+      const winRate = perf.trades > 0 ? (perf.wins / perf.trades) * 100 : 0;
+      const avgReturn = perf.trades > 0 ? perf.totalReturn / perf.trades : 0;
+
+      lines.push(`  ${name}:`);
+      lines.push(`    Trades: ${perf.trades} | Win Rate: ${winRate.toFixed(1)}%`);
+      lines.push(`    P/L: ${perf.profit.toFixed(2)} | Avg Return: ${avgReturn.toFixed(1)}%`);
+    }
+    return lines.join('\n');
+  }
 }
 
 module.exports = PerformanceAnalytics;
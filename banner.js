@@ -1,18 +1,6 @@
 // banner.js - Enhanced banner display with channel-aware features
 
-// Premium channel configurations for display
-const CHANNEL_CONFIGS = {
-  '-1002209371269': {
-    name: 'Underdog Calls Private',
-    icon: '🔥',
-    shortName: 'UNDERDOG'
-  },
-  '-1002277274250': {
-    name: 'Degen',
-    icon: '💎', 
-    shortName: 'DEGEN'
-  }
-};
+const channelRegistry = require('./channelRegistry');
 
 /**
  * Main startup banner with enhanced channel information
@@ -155,8 +143,9 @@ function getChannelStatus(config) {
   let customChannels = 0;
   
   channels.forEach(channelId => {
-    if (CHANNEL_CONFIGS[channelId]) {
-      premiumChannels.push(CHANNEL_CONFIGS[channelId]);
+    const definition = channelRegistry.getDefinition(channelId);
+    if (definition && definition.premium) {
+      premiumChannels.push(definition);
     } else {
       customChannels++;
     }
@@ -193,8 +182,9 @@ function getActiveChannelIcons(config) {
   let customCount = 0;
   
   channels.forEach(channelId => {
-    if (CHANNEL_CONFIGS[channelId]) {
-      icons.push(CHANNEL_CONFIGS[channelId].icon);
+    const definition = channelRegistry.getDefinition(channelId);
+    if (definition && definition.premium) {
+      icons.push(definition.icon);
     } else {
       customCount++;
     }
@@ -212,7 +202,7 @@ function getActiveChannelIcons(config) {
  * Get channel configuration for display
  */
 function getChannelDisplayInfo(channelId) {
-  return CHANNEL_CONFIGS[channelId] || {
+  return channelRegistry.getDefinition(channelId) || {
     name: 'Custom Channel',
     icon: '📱',
     shortName: 'CUSTOM'
@@ -2,6 +2,7 @@
 // browse-channels.js - Standalone tool to browse and select Telegram channels
 
 const { TelegramChannelBrowser } = require('./telegram-channel-browser');
+const channelRegistry = require('./channelRegistry');
 const readline = require('readline');
 const fs = require('fs');
 
@@ -182,20 +183,7 @@ function showPremiumChannels() {
   console.log(`\n${colors.bright}${colors.cyan}🔥 PREMIUM TRADING CHANNELS${colors.reset}`);
   console.log('═'.repeat(50));
   
-  const premiumChannels = [
-    {
-      name: 'Underdog Calls Private',
-      id: '-1002209371269',
-      description: 'High-quality memecoin signals with excellent track record',
-      icon: '🔥'
-    },
-    {
-      name: 'Degen',
-      id: '-1002277274250', 
-      description: 'High-risk, high-reward calls for experienced traders',
-      icon: '💎'
-    }
-  ];
+  const premiumChannels = channelRegistry.getAllDefinitions().filter(ch => ch.premium);
   
   premiumChannels.forEach((ch, i) => {
     console.log(`\n${i + 1}. ${ch.icon} ${colors.bright}${ch.name}${colors.reset}`);
@@ -0,0 +1,258 @@
+// channelRegistry.js - Pluggable channel parser definitions
+// Each signal channel gets one definition file (.js or .json) in the channels
+// directory. Definitions hold the parsing regexes, display metadata and the
+// default risk profile, and are hot-reloaded when the files change.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFINITIONS_DIR = process.env.CHANNEL_DEFINITIONS_DIR || path.join(__dirname, 'channels');
+
+// Channel ID -> compiled definition
+const definitions = new Map();
+
+// Channels registered at runtime (e.g. added from the CLI with a display name)
+const runtimeChannels = new Map();
+
+let watcher = null;
+let reloadTimer = null;
+
+/**
+ * Compile a regex from a RegExp or a "/source/flags" string (JSON definitions)
+ */
+function compilePattern(pattern, forceGlobal = false) {
+  let regex;
+
+  if (pattern instanceof RegExp) {
+    regex = pattern;
+  } else if (typeof pattern === 'string') {
+    const literal = pattern.match(/^\/(.*)\/([a-z]*)$/s);
+    regex = literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, 'i');
+  } else {
+    throw new Error(`Invalid pattern: ${JSON.stringify(pattern)}`);
+  }
+
+  if (forceGlobal && !regex.flags.includes('g')) {
+    regex = new RegExp(regex.source, regex.flags + 'g');
+  }
+
+  return regex;
+}
+
+function compilePatternList(patterns, forceGlobal = false) {
+  if (!patterns) return [];
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.map(p => compilePattern(p, forceGlobal));
+}
+
+/**
+ * Validate a raw definition and compile its patterns
+ */
+function compileDefinition(raw, source) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Definition must be an object');
+  }
+  if (!raw.id || !/^-?\d+$/.test(String(raw.id))) {
+    throw new Error('Definition needs a numeric channel "id"');
+  }
+  if (!raw.name) {
+    throw new Error('Definition needs a "name"');
+  }
+  if (raw.wallet != null && !/^[a-z0-9_-]+$/i.test(raw.wallet)) {
+    throw new Error('"wallet" must be a wallet name from WALLETS');
+  }
+
+  const patterns = raw.patterns || {};
+
+  return {
+    id: String(raw.id),
+    type: raw.type || path.basename(source, path.extname(source)),
+    name: raw.name,
+    shortName: raw.shortName || raw.name.toUpperCase().slice(0, 10),
+    icon: raw.icon || '📱',
+    emoji: raw.emoji || '📈',
+    description: raw.description || 'Custom channel',
+    premium: raw.premium === true,
+    wallet: raw.wallet || null, // Trades from this wallet instead of the default one
+    patterns: {
+      contractAddress: compilePatternList(patterns.contractAddress),
+      tradePercent: compilePatternList(patterns.tradePercent),
+      stopLoss: compilePatternList(patterns.stopLoss),
+      takeProfit: compilePatternList(patterns.takeProfit, true),
+      manualTakeProfit: patterns.manualTakeProfit ? compilePattern(patterns.manualTakeProfit) : null
+    },
+    defaults: {
+      tradePercent: null,
+      manualTakeProfitTargets: [],
+      ...(raw.defaults || {})
+    },
+    risk: {
+      maxTradeMultiplier: 1.0,
+      defaultStopLoss: 20,
+      riskMultiplier: 1.0,
+      confidenceThreshold: 2,
+      trailingStopDistance: null,
+      maxTradePercent: null,
+      stopLossHint: null,
+      ...(raw.risk || {})
+    },
+    safety: {
+      minScore: null,
+      rules: {},
+      ...(raw.safety || {})
+    },
+    hasPatterns: Object.keys(patterns).length > 0,
+    source
+  };
+}
+
+/**
+ * Load a single definition file, bypassing the require cache for .js files
+ */
+function loadDefinitionFile(filePath) {
+  if (filePath.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  delete require.cache[require.resolve(filePath)];
+  return require(filePath);
+}
+
+/**
+ * (Re)load every definition in the channels directory
+ * @returns {number} Number of definitions loaded
+ */
+function loadDefinitions() {
+  if (!fs.existsSync(DEFINITIONS_DIR)) {
+    console.warn(`⚠️ Channel definitions directory not found: ${DEFINITIONS_DIR}`);
+    return 0;
+  }
+
+  const loaded = new Map();
+  const files = fs.readdirSync(DEFINITIONS_DIR)
+    .filter(f => f.endsWith('.js') || f.endsWith('.json'))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(DEFINITIONS_DIR, file);
+    try {
+      const definition = compileDefinition(loadDefinitionFile(filePath), file);
+
+      if (loaded.has(definition.id)) {
+        console.warn(`⚠️ Duplicate channel definition for ${definition.id} in ${file}, ignoring`);
+        continue;
+      }
+
+      loaded.set(definition.id, definition);
+    } catch (err) {
+      // Keep the previous version of a broken file so a typo doesn't disable a channel
+      console.error(`❌ Invalid channel definition ${file}: ${err.message}`);
+      for (const previous of definitions.values()) {
+        if (previous.source === file) loaded.set(previous.id, previous);
+      }
+    }
+  }
+
+  definitions.clear();
+  for (const [id, definition] of loaded) {
+    definitions.set(id, definition);
+  }
+
+  return definitions.size;
+}
+
+/**
+ * Watch the channels directory and hot-reload definitions on change
+ */
+function watchDefinitions() {
+  if (watcher || !fs.existsSync(DEFINITIONS_DIR)) return;
+
+  watcher = fs.watch(DEFINITIONS_DIR, () => {
+    // Editors fire several events per save, so debounce the reload
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      const count = loadDefinitions();
+      console.log(`🔄 Reloaded ${count} channel definitions`);
+    }, 250);
+  });
+
+  // Don't keep one-off scripts alive just because they loaded the config
+  watcher.unref();
+}
+
+function stopWatching() {
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+  clearTimeout(reloadTimer);
+}
+
+/**
+ * Get the full definition for a channel (file-based or runtime-registered)
+ * @param {string} channelId Telegram channel ID
+ * @returns {Object|null}
+ */
+function getDefinition(channelId) {
+  if (channelId == null) return null;
+  const id = String(channelId);
+  return definitions.get(id) || runtimeChannels.get(id) || null;
+}
+
+/**
+ * Get all known channel definitions
+ */
+function getAllDefinitions() {
+  const all = new Map(runtimeChannels);
+  for (const [id, definition] of definitions) {
+    all.set(id, definition);
+  }
+  return Array.from(all.values());
+}
+
+/**
+ * IDs of the premium channels used as the default monitoring list
+ */
+function getPremiumChannelIds() {
+  return Array.from(definitions.values())
+    .filter(d => d.premium)
+    .map(d => d.id);
+}
+
+/**
+ * Register display metadata for a channel at runtime (no parser patterns)
+ */
+function registerChannel(channelId, info = {}) {
+  const definition = compileDefinition({
+    id: channelId,
+    name: info.name || `Channel ${channelId}`,
+    icon: info.icon,
+    description: info.description,
+    type: 'generic'
+  }, 'runtime');
+
+  runtimeChannels.set(definition.id, definition);
+  return definition;
+}
+
+/**
+ * Remove a runtime-registered channel; file definitions are left untouched
+ */
+function unregisterChannel(channelId) {
+  return runtimeChannels.delete(String(channelId));
+}
+
+// Load definitions at startup
+loadDefinitions();
+
+module.exports = {
+  DEFINITIONS_DIR,
+  loadDefinitions,
+  watchDefinitions,
+  stopWatching,
+  getDefinition,
+  getAllDefinitions,
+  getPremiumChannelIds,
+  registerChannel,
+  unregisterChannel
+};
@@ -0,0 +1,47 @@
+// channels/degen.js - Degen parser definition
+module.exports = {
+  id: '-1002277274250',
+  type: 'degen',
+  name: 'Degen',
+  shortName: 'DEGEN',
+  icon: '💎',
+  emoji: '🎲',
+  description: 'High-risk high-reward calls',
+  premium: true,
+
+  patterns: {
+    // Degen format often uses $SYMBOL format and then CA separately
+    contractAddress: [
+      /CA\s*[-:=]?\s*([A-Za-z0-9_]{32,50})/i,
+      /ADDRESS\s*[-:=]?\s*([A-Za-z0-9_]{32,50})/i,
+      /Contract\s*[-:=]?\s*([A-Za-z0-9_]{32,50})/i,
+      /([A-Za-z0-9_]{32,50})(?=\s|$)/  // Standalone address
+    ],
+    tradePercent: [
+      /(?:Ape|APING|APE IN|Buy|Entry)\s*([\d.]+)%/i,
+      /ENTRY\s*[-:=]?\s*(\d+(?:\.\d+)?)/i
+    ],
+    stopLoss: [
+      /SL\s*[-:=]?\s*(\d+(?:\.\d+)?)/i,
+      /Stop\s*Loss\s*[-:=]?\s*(\d+(?:\.\d+)?)/i
+    ],
+    // Multiple TPs often labeled as TP1, TP2, etc.
+    takeProfit: [
+      /TP\d*\s*[-:=]?\s*(\d+(?:\.\d+)?)/gi
+    ]
+  },
+
+  defaults: {
+    tradePercent: 3 // More conservative default for Degen channel
+  },
+
+  risk: {
+    maxTradeMultiplier: 0.8,   // More conservative for high-risk calls
+    defaultStopLoss: 20,       // Wider stop loss for volatility
+    riskMultiplier: 0.8,       // Reduce risk
+    confidenceThreshold: 2,    // Standard confidence requirement
+    trailingStopDistance: 25,  // Wider trailing stop
+    maxTradePercent: 5,
+    stopLossHint: 'Degen calls typically use 20-25% stop loss'
+  }
+};
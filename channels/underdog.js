@@ -0,0 +1,46 @@
+// channels/underdog.js - Underdog Calls Private parser definition
+module.exports = {
+  id: '-1002209371269',
+  type: 'underdog',
+  name: 'Underdog Calls Private',
+  shortName: 'UNDERDOG',
+  icon: '🔥',
+  emoji: '🚀',
+  description: 'Premium memecoin signals',
+  premium: true,
+
+  patterns: {
+    // Contract address usually follows "CA:" or "Contract:"
+    contractAddress: [
+      /(?:CA|Contract)(?:\s*)?(?::|\s)(?:\s*)([A-Za-z0-9_]{32,50})/i,
+      /([A-Za-z0-9_]{32,50})(?:\s+|$)/,  // Sometimes just the address
+      /Address(?:\s*)?(?::|\s)(?:\s*)([A-Za-z0-9_]{32,50})/i
+    ],
+    tradePercent: [
+      /(?:Ape|APING|APE IN|Buy|Entry)\s*([\d.]+)%/i
+    ],
+    stopLoss: [
+      /(?:SL|Stop Loss|Stoploss)(?:\s*)?(?::|\s)(?:\s*)-?(\d+(?:\.\d+)?)/i,
+      /Stop(?:\s+)at(?:\s+)(\d+(?:\.\d+)?)/i
+    ],
+    takeProfit: [
+      /TP\d*(?:\s*)?(?::|\s)(?:\s*)(\d+(?:\.\d+)?)/gi
+    ],
+    manualTakeProfit: /take profits along the way|take profits on the way up/i
+  },
+
+  defaults: {
+    tradePercent: 5,                       // Default to 5% for Underdog calls
+    manualTakeProfitTargets: [25, 50, 100] // Used for "take profits along the way"
+  },
+
+  risk: {
+    maxTradeMultiplier: 1.2,   // Allow 20% more for quality signals
+    defaultStopLoss: 15,       // Tighter stop loss
+    riskMultiplier: 1.2,       // Allow slightly higher risk
+    confidenceThreshold: 2,    // Lower confidence requirement
+    trailingStopDistance: 18,  // Tighter trailing stop
+    maxTradePercent: 10,
+    stopLossHint: 'Underdog calls typically use 15-20% stop loss'
+  }
+};
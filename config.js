@@ -2,8 +2,10 @@
 // Load environment variables
 require('dotenv').config();
 
-// Default Telegram channels for memecoin signals
-const DEFAULT_CHANNELS = ['-1002209371269', '-1002277274250']; // Underdog Calls Private, Degen
+const channelRegistry = require('./channelRegistry');
+
+// Default Telegram channels for memecoin signals (premium channel definitions)
+const DEFAULT_CHANNELS = channelRegistry.getPremiumChannelIds();
 
 module.exports = {
   // Telegram MTProto settings
@@ -25,18 +27,44 @@ module.exports = {
   // New trading parameters specific to memecoins
   DEFAULT_SLIPPAGE: parseFloat(process.env.DEFAULT_SLIPPAGE) || 3, // % slippage for entering trades
   EXIT_SLIPPAGE: parseFloat(process.env.EXIT_SLIPPAGE) || 5,     // % slippage for exits
+  SLIPPAGE_RETRY_STEP: parseFloat(process.env.SLIPPAGE_RETRY_STEP) || 2, // % added to entry/exit slippage after each slippage failure
+  MAX_SLIPPAGE: parseFloat(process.env.MAX_SLIPPAGE) || 15,      // Retries never widen slippage past this % (or EXIT_SLIPPAGE for exits)
   MIN_LIQUIDITY_USD: parseFloat(process.env.MIN_LIQUIDITY_USD) || 5000,  // Minimum pool liquidity in USD
   MAX_PRICE_IMPACT: parseFloat(process.env.MAX_PRICE_IMPACT) || 10,      // Max acceptable price impact %
+  MAX_ROUND_TRIP_LOSS: parseFloat(process.env.MAX_ROUND_TRIP_LOSS) || 15, // Max % lost quoting a buy and selling it back (honeypot check)
+  REJECT_MINT_AUTHORITY: process.env.REJECT_MINT_AUTHORITY !== 'false', // Default true; false only lowers the safety score
+  REJECT_FREEZE_AUTHORITY: process.env.REJECT_FREEZE_AUTHORITY !== 'false', // Default true; false only lowers the safety score
+  MAX_TRANSFER_FEE_PERCENT: parseFloat(process.env.MAX_TRANSFER_FEE_PERCENT) || 0, // Token-2022 transfer fee allowed
+  MAX_TOP_HOLDER_PERCENT: parseFloat(process.env.MAX_TOP_HOLDER_PERCENT) || 20, // Largest wallet's share of circulating supply
+  MAX_TOP10_HOLDERS_PERCENT: parseFloat(process.env.MAX_TOP10_HOLDERS_PERCENT) || 50, // Top 10 wallets' share (pools and burns excluded)
+  MIN_LP_SECURED_PERCENT: parseFloat(process.env.MIN_LP_SECURED_PERCENT) || 90, // Share of main pool LP that must be burned or locked
+  SAFETY_MIN_SCORE: parseFloat(process.env.SAFETY_MIN_SCORE) || 70, // Minimum safety score (0-100) for channels without their own policy
+  
+  // Daily risk limits (stats persist in data/risk-state.json)
+  RISK_MAX_DAILY_TRADES: parseInt(process.env.RISK_MAX_DAILY_TRADES, 10) || 20, // New positions per day
+  RISK_MAX_DAILY_LOSS_USD: parseFloat(process.env.RISK_MAX_DAILY_LOSS_USD) || null, // Default: 15% of paper balance, $1000 live
+  RISK_MAX_DRAWDOWN_PERCENT: parseFloat(process.env.RISK_MAX_DRAWDOWN_PERCENT) || 25, // From the day's peak balance
+  RISK_DAY_RESET_HOUR: parseInt(process.env.RISK_DAY_RESET_HOUR, 10) || 0, // UTC hour when daily limits reset
   
   // Solana / Jupiter settings
   RPC_ENDPOINT: process.env.RPC_ENDPOINT || 'https://api.mainnet-beta.solana.com',
   BACKUP_RPC_ENDPOINTS: process.env.BACKUP_RPC_ENDPOINTS 
     ? process.env.BACKUP_RPC_ENDPOINTS.split(',') 
-    : ['https://solana-api.projectserum.com'],
-  WALLET_PRIVATE_KEY: process.env.WALLET_PRIVATE_KEY,
+    : [],
+  RPC_HEALTH_INTERVAL_MS: parseInt(process.env.RPC_HEALTH_INTERVAL_MS, 10) || 30000, // Latency/slot lag check for each endpoint
+  RPC_SEND_FANOUT: parseInt(process.env.RPC_SEND_FANOUT, 10) || 3, // Endpoints each transaction is sent to
+  RPC_MAX_FAILURES: parseInt(process.env.RPC_MAX_FAILURES, 10) || 3, // Consecutive failures before an endpoint drops out
+  RPC_COOLDOWN_MS: parseInt(process.env.RPC_COOLDOWN_MS, 10) || 60000, // How long a dropped endpoint sits out
+  WALLETS: (process.env.WALLETS || 'main').split(',').map(name => name.trim()).filter(Boolean), // Named wallets; the first is the default
+  WALLET_PRIVATE_KEY: process.env.WALLET_PRIVATE_KEY, // Plaintext fallback for the default wallet; prefer the encrypted keystore
+  WALLET_KEYSTORE_PATH: process.env.WALLET_KEYSTORE_PATH || null, // Defaults to data/wallet-keystore.json
+  WALLET_KEYSTORE_PASSPHRASE: process.env.WALLET_KEYSTORE_PASSPHRASE || null, // Unlock without a prompt (set in the service environment, not .env)
   USDC_MINT_ADDRESS: process.env.USDC_MINT_ADDRESS || 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  QUOTE_ASSET: (process.env.QUOTE_ASSET || 'USDC').toUpperCase(), // USDC or SOL: what buys spend and exits return
+  SOL_FEE_RESERVE: parseFloat(process.env.SOL_FEE_RESERVE) || 0.05, // SOL kept back from trading for fees and rent (SOL quote, curve buys)
   NETWORK: process.env.NETWORK || 'mainnet-beta',
-  PRIORITY_FEE_LAMPORTS: parseInt(process.env.PRIORITY_FEE_LAMPORTS, 10) || 10000, // Higher priority fee for memecoins
+  PRIORITY_FEE_LAMPORTS: parseInt(process.env.PRIORITY_FEE_LAMPORTS, 10) || 10000, // Fallback when recent fees can't be sampled
+  PRIORITY_FEE_MAX_LAMPORTS: parseInt(process.env.PRIORITY_FEE_MAX_LAMPORTS, 10) || 2000000, // Cap on the priority fee for a single swap (0.002 SOL)
   
   // Safety checks for memecoins
   ENABLE_SAFETY_CHECKS: process.env.ENABLE_SAFETY_CHECKS !== 'false', // Default true
@@ -44,9 +72,12 @@ module.exports = {
   BLACKLISTED_TOKENS: process.env.BLACKLISTED_TOKENS 
     ? process.env.BLACKLISTED_TOKENS.split(',') 
     : [],
+  AUTO_BLACKLIST_STOP_MINUTES: process.env.AUTO_BLACKLIST_STOP_MINUTES ? parseFloat(process.env.AUTO_BLACKLIST_STOP_MINUTES) : 10, // Blacklist tokens stopped out this soon after entry (0 disables)
   
   // Monitoring & retries
   MONITOR_INTERVAL_MS: parseInt(process.env.MONITOR_INTERVAL_MS, 10) || 10000,
+  PRICE_POLL_INTERVAL_MS: parseInt(process.env.PRICE_POLL_INTERVAL_MS, 10) || 5000, // Batched re-pricing of tokens without a streamed pool update
+  PRICE_STREAM_THROTTLE_MS: parseInt(process.env.PRICE_STREAM_THROTTLE_MS, 10) || 1000, // Minimum gap between re-prices triggered by pool changes
   ERROR_RETRY_DELAY_MS: parseInt(process.env.ERROR_RETRY_DELAY_MS, 10) || 5000,
   MAX_RETRIES: parseInt(process.env.MAX_RETRIES, 10) || 3,
   
@@ -55,10 +86,17 @@ module.exports = {
   ENABLE_NOTIFICATIONS: process.env.ENABLE_NOTIFICATIONS === 'true',
   NOTIFICATION_CHAT_ID: process.env.NOTIFICATION_CHAT_ID,
   
+  // Local HTTP/JSON control API (always bound to localhost)
+  CONTROL_API_ENABLED: process.env.CONTROL_API_ENABLED === 'true', // Default false
+  CONTROL_API_PORT: parseInt(process.env.CONTROL_API_PORT, 10) || 8787,
+  CONTROL_API_TOKEN: process.env.CONTROL_API_TOKEN, // Required when the API is enabled
+  
   // Dry run / paper trading mode settings
   DRY_RUN: process.env.DRY_RUN === 'true', // If true, simulate trades instead of executing them
   DRY_RUN_PRICE_VOLATILITY: parseFloat(process.env.DRY_RUN_PRICE_VOLATILITY) || 5, // % volatility for simulated prices
-  DRY_RUN_BALANCE: parseFloat(process.env.DRY_RUN_BALANCE) || 1000, // Starting balance in USDC for paper trading
+  DRY_RUN_BALANCE: parseFloat(process.env.DRY_RUN_BALANCE) || 1000, // Starting balance in USD for paper trading
+  DRY_RUN_PERSIST_STATE: process.env.DRY_RUN_PERSIST_STATE !== 'false', // Load/save paper state in data/ (off for replays)
+  DRY_RUN_SIMULATE_PRICES: process.env.DRY_RUN_SIMULATE_PRICES !== 'false', // Random price walk (off when prices are fed in)
   
   // Helper methods for channel management
   /**
@@ -201,9 +239,10 @@ module.exports = {
    * @returns {Object} - Map of channel IDs to names
    */
   getChannelNames: function() {
-    return {
-      '-1002209371269': 'Underdog Calls Private',
-      '-1002277274250': 'Degen'
-    };
+    const names = {};
+    channelRegistry.getAllDefinitions().forEach(definition => {
+      names[definition.id] = definition.name;
+    });
+    return names;
   }
 };
\ No newline at end of file
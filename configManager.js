@@ -2,6 +2,9 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const channelRegistry = require('./channelRegistry');
+const keystore = require('./keystore');
+const wallets = require('./wallets');
 
 class ConfigManager {
   constructor() {
@@ -75,6 +78,7 @@ BACKUP_RPC_ENDPOINTS=${config.BACKUP_RPC_ENDPOINTS || 'https://solana-api.projec
 NETWORK=${config.NETWORK || 'mainnet-beta'}
 WALLET_PRIVATE_KEY=${config.WALLET_PRIVATE_KEY || ''}
 USDC_MINT_ADDRESS=${config.USDC_MINT_ADDRESS || 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'}
+QUOTE_ASSET=${config.QUOTE_ASSET || 'USDC'}
 PRIORITY_FEE_LAMPORTS=${config.PRIORITY_FEE_LAMPORTS || '50000'}
 
 # DRY RUN / PAPER TRADING SETTINGS
@@ -156,9 +160,10 @@ LOG_LEVEL=${config.LOG_LEVEL || 'info'}
       console.log('6. Reset to Defaults');
       console.log('7. Export Configuration');
       console.log('8. Import Configuration');
-      console.log('9. Back to Main Menu');
+      console.log('9. Wallet Keystore');
+      console.log('10. Back to Main Menu');
       
-      const choice = await this.askQuestion(rl, '\nSelect option (1-9): ');
+      const choice = await this.askQuestion(rl, '\nSelect option (1-10): ');
       
       switch (choice) {
         case '1':
@@ -185,6 +190,9 @@ LOG_LEVEL=${config.LOG_LEVEL || 'info'}
         case '8':
           await this.importConfig(rl);
           break;
+        case '9':
+          await this.manageWallet(rl);
+          break;
         default:
           break;
       }
@@ -193,6 +201,135 @@ LOG_LEVEL=${config.LOG_LEVEL || 'info'}
     }
   }
 
+  // Standalone entry point for the wallet keystore menu (npm run wallet)
+  async showWalletMenu() {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    try {
+      await this.manageWallet(rl);
+    } finally {
+      rl.close();
+    }
+  }
+
+  async manageWallet(rl) {
+    console.log('\n🔐 WALLET KEYSTORE');
+    console.log('─'.repeat(30));
+    
+    for (const name of wallets.getWalletNames()) {
+      if (keystore.exists(name)) {
+        const summary = keystore.getSummary(name);
+        console.log(`Wallet "${name}": ${summary.publicKey}`);
+        console.log(`  Keystore: ${summary.path}`);
+        console.log(`  Last changed: ${summary.updatedAt || 'unknown'}`);
+      } else {
+        console.log(`Wallet "${name}": no keystore yet`);
+      }
+    }
+    
+    if (this.getValue('WALLET_PRIVATE_KEY')) {
+      console.log('\x1b[33m⚠️  .env still holds a plaintext WALLET_PRIVATE_KEY - import it to remove it\x1b[0m');
+    }
+    
+    console.log('\n1. Import Existing Key');
+    console.log('2. Rotate Passphrase');
+    console.log('3. Export Public Summary');
+    console.log('4. Back');
+    
+    const choice = await this.askQuestion(rl, '\nSelect option (1-4): ');
+    
+    if (!['1', '2', '3'].includes(choice)) return;
+    
+    try {
+      const name = await this.askWalletName(rl);
+      switch (choice) {
+        case '1':
+          await this.importWalletKey(rl, name);
+          break;
+        case '2':
+          await this.rotateKeystorePassphrase(rl, name);
+          break;
+        case '3':
+          this.exportWalletSummary(name);
+          break;
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
+  }
+
+  // Which of the WALLETS to work on; no question when there is only one
+  async askWalletName(rl) {
+    const names = wallets.getWalletNames();
+    if (names.length === 1) return names[0];
+    
+    const answer = await this.askQuestion(rl, `Wallet (${names.join(', ')}) [${names[0]}]: `);
+    const name = answer.trim() || names[0];
+    if (!wallets.isKnownWallet(name)) {
+      throw new Error(`Unknown wallet "${name}" - add it to WALLETS first`);
+    }
+    return name;
+  }
+
+  async importWalletKey(rl, name = wallets.getDefaultWallet()) {
+    if (keystore.exists(name)) {
+      const replace = await this.askYesNo(rl, `Replace the keystore for wallet "${name}" (${keystore.getSummary(name).publicKey})`, false);
+      if (replace !== 'true') return;
+    }
+    
+    // A plaintext key already in .env moves into the default wallet's keystore without being shown
+    let secret = name === wallets.getDefaultWallet() ? this.getValue('WALLET_PRIVATE_KEY') : null;
+    if (secret) {
+      const useEnvKey = await this.askYesNo(rl, 'Import the WALLET_PRIVATE_KEY from .env', true);
+      if (useEnvKey !== 'true') secret = null;
+    }
+    if (!secret) {
+      secret = await keystore.askHidden(rl, 'Enter wallet private key (hex, base58 or array): ');
+    }
+    
+    const passphrase = await this.askNewPassphrase(rl);
+    const summary = keystore.importKey(secret, passphrase, name);
+    
+    if (name === wallets.getDefaultWallet() && this.getValue('WALLET_PRIVATE_KEY')) {
+      delete this.config.WALLET_PRIVATE_KEY;
+      await this.saveConfig();
+      console.log('🧹 Plaintext WALLET_PRIVATE_KEY removed from .env (the old copy is in .env.backup - delete it)');
+    }
+    
+    console.log(`✅ Wallet "${name}" (${summary.publicKey}) imported`);
+  }
+
+  async rotateKeystorePassphrase(rl, name = wallets.getDefaultWallet()) {
+    const current = await keystore.askHidden(rl, 'Current passphrase: ');
+    const passphrase = await this.askNewPassphrase(rl);
+    const summary = keystore.rotatePassphrase(current, passphrase, name);
+    console.log(`✅ Passphrase changed for ${summary.publicKey}`);
+    console.log('💡 Update WALLET_KEYSTORE_PASSPHRASE wherever the bot runs unattended');
+  }
+
+  async askNewPassphrase(rl) {
+    const passphrase = await keystore.askHidden(rl, `New passphrase (${keystore.MIN_PASSPHRASE_LENGTH}+ characters): `);
+    const confirm = await keystore.askHidden(rl, 'Repeat new passphrase: ');
+    
+    if (passphrase !== confirm) {
+      throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+  }
+
+  // Public key and keystore metadata only - safe to hand to ops
+  exportWalletSummary(name = wallets.getDefaultWallet()) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const exportPath = `crestx-wallet-${name}-${timestamp}.json`;
+    const summary = keystore.getSummary(name);
+    
+    fs.writeFileSync(exportPath, JSON.stringify({ exportDate: new Date().toISOString(), ...summary }, null, 2));
+    console.log(`✅ Wallet summary for ${summary.publicKey} exported to: ${exportPath}`);
+  }
+
   async showCurrentConfig() {
     console.log('\n📊 CURRENT CONFIGURATION:');
     console.log('─'.repeat(40));
@@ -275,14 +412,14 @@ LOG_LEVEL=${config.LOG_LEVEL || 'info'}
       }
       
       // Check if wallet is configured
-      if (!this.getValue('WALLET_PRIVATE_KEY')) {
-        console.log('💳 Wallet private key required for live trading');
-        const privateKey = await this.askQuestion(rl, 'Enter wallet private key: ');
-        if (privateKey.length < 64) {
-          console.log('❌ Invalid private key format');
+      if (!keystore.exists() && !this.getValue('WALLET_PRIVATE_KEY')) {
+        console.log('💳 Wallet required for live trading');
+        try {
+          await this.importWalletKey(rl);
+        } catch (error) {
+          console.log(`❌ ${error.message}`);
           return;
         }
-        this.setValue('WALLET_PRIVATE_KEY', privateKey);
       }
     }
     
@@ -437,7 +574,7 @@ LOG_LEVEL=${config.LOG_LEVEL || 'info'}
       
       switch (channelChoice) {
         case '1':
-          const premiumChannels = '-1002209371269,-1002277274250';
+          const premiumChannels = channelRegistry.getPremiumChannelIds().join(',');
           this.setValue('TELEGRAM_CHANNEL_IDS', premiumChannels);
           console.log('✅ Premium channels added');
           break;
@@ -537,8 +674,10 @@ LOG_LEVEL=${config.LOG_LEVEL || 'info'}
     
     // Live trading specific
     if (this.getValue('DRY_RUN') === 'false') {
-      if (!this.getValue('WALLET_PRIVATE_KEY')) {
-        errors.push('Wallet private key is required for live trading');
+      if (!keystore.exists() && !this.getValue('WALLET_PRIVATE_KEY')) {
+        errors.push('A wallet keystore is required for live trading');
+      } else if (this.getValue('WALLET_PRIVATE_KEY')) {
+        warnings.push('WALLET_PRIVATE_KEY is stored in plaintext; import it into the keystore');
       }
       
       if (!this.getValue('RPC_ENDPOINT')) {
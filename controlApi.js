@@ -0,0 +1,185 @@
+// controlApi.js - Local HTTP/JSON control API
+// Lets scripts and other dashboards read the bot's state and take actions
+// without the crestx> prompt. Disabled by default, always bound to localhost,
+// and every request must carry CONTROL_API_TOKEN as a bearer token.
+
+const http = require('http');
+const crypto = require('crypto');
+const config = require('./config');
+const trader = require('./trader');
+const tradeStore = require('./tradeStore');
+const priceStream = require('./priceStream');
+const { getMessageStats, addChannelToMonitor, removeChannelFromMonitor } = require('./listener');
+
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 16 * 1024;
+
+let server = null;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Routes: [method, path pattern, handler(params, body, query)]
+const routes = [
+  ['GET', /^\/api\/status$/, async () => ({
+    mode: config.DRY_RUN ? 'paper' : 'live',
+    paused: trader.isTradingPaused(),
+    activeTrades: (await trader.getActiveTrades()).length,
+    monitoredChannels: config.TELEGRAM_CHANNEL_IDS,
+    uptimeMs: getMessageStats().uptimeMs
+  })],
+
+  ['GET', /^\/api\/trades\/active$/, () => trader.getActiveTrades()],
+
+  ['GET', /^\/api\/prices$/, () => priceStream.getStreamStatus()],
+
+  ['GET', /^\/api\/trades\/recent$/, (params, body, query) => {
+    const limit = parseInt(query.get('limit'), 10) || 10;
+    return tradeStore.getRecentTrades(Math.min(limit, 500));
+  }],
+
+  ['POST', /^\/api\/trades\/([^/]+)\/cancel$/, async ([address]) => {
+    const cancelled = await trader.cancelTrade(address);
+    if (!cancelled) throw new ApiError(404, `No active trade for ${address}`);
+    return { cancelled: address };
+  }],
+
+  ['GET', /^\/api\/channels\/stats$/, () => trader.getChannelStats()],
+
+  ['POST', /^\/api\/channels$/, async (params, body) => {
+    if (!body.channelId) throw new ApiError(400, 'channelId is required');
+    const added = await addChannelToMonitor(String(body.channelId), body.name || null);
+    if (!added) throw new ApiError(409, `Could not add channel ${body.channelId}`);
+    return { added: String(body.channelId) };
+  }],
+
+  ['DELETE', /^\/api\/channels\/([^/]+)$/, async ([channelId]) => {
+    const removed = await removeChannelFromMonitor(channelId);
+    if (!removed) throw new ApiError(404, `Channel ${channelId} is not monitored`);
+    return { removed: channelId };
+  }],
+
+  ['GET', /^\/api\/paper$/, () => {
+    const status = trader.getLivePaperTradingStatus();
+    if (!status) throw new ApiError(404, 'Paper trading is not active');
+    return status;
+  }],
+
+  ['GET', /^\/api\/messages\/stats$/, () => getMessageStats()],
+
+  ['POST', /^\/api\/trading\/pause$/, () => {
+    trader.pauseTrading();
+    return { paused: true };
+  }],
+
+  ['POST', /^\/api\/trading\/resume$/, () => {
+    trader.resumeTrading();
+    return { paused: false };
+  }]
+];
+
+/**
+ * Constant-time token check against the Authorization: Bearer header
+ */
+function isAuthorized(req) {
+  const header = req.headers.authorization || '';
+  const supplied = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(config.CONTROL_API_TOKEN);
+  return supplied.length === expected.length && crypto.timingSafeEqual(supplied, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+      if (data.length > MAX_BODY_BYTES) {
+        reject(new ApiError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!data) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch (err) {
+        reject(new ApiError(400, 'Body must be valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+async function handleRequest(req, res) {
+  try {
+    if (!isAuthorized(req)) throw new ApiError(401, 'Invalid or missing token');
+
+    const url = new URL(req.url, `http://${HOST}`);
+    let pathMatched = false;
+
+    for (const [method, pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+      pathMatched = true;
+      if (method !== req.method) continue;
+
+      const params = match.slice(1).map(decodeURIComponent);
+      const body = req.method === 'GET' ? {} : await readBody(req);
+      const data = await handler(params, body, url.searchParams);
+      return sendJson(res, 200, { ok: true, data });
+    }
+
+    throw pathMatched
+      ? new ApiError(405, `Method ${req.method} not allowed`)
+      : new ApiError(404, `Unknown endpoint ${url.pathname}`);
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error(`❌ Control API error: ${err.message}`);
+    sendJson(res, status, { ok: false, error: err.message });
+  }
+}
+
+/**
+ * Start the control API if it is enabled in the config
+ * @returns {http.Server|null}
+ */
+function startControlApi() {
+  if (!config.CONTROL_API_ENABLED || server) return server;
+
+  if (!config.CONTROL_API_TOKEN) {
+    console.error('❌ Control API is enabled but CONTROL_API_TOKEN is not set - not starting it');
+    return null;
+  }
+
+  server = http.createServer(handleRequest);
+  server.on('error', err => {
+    console.error(`❌ Control API failed: ${err.message}`);
+    server = null;
+  });
+  server.listen(config.CONTROL_API_PORT, HOST, () => {
+    console.log(`🌐 Control API listening on http://${HOST}:${config.CONTROL_API_PORT}`);
+  });
+
+  return server;
+}
+
+function stopControlApi() {
+  if (server) {
+    server.close();
+    server = null;
+  }
+}
+
+module.exports = {
+  startControlApi,
+  stopControlApi
+};
@@ -2,10 +2,29 @@
 const readline = require('readline');
 const { displayBanner, displaySmallBanner, displayCompactBanner } = require('./banner');
 const config = require('./config');
-const { getActiveTrades, getDryRunBalance, getChannelStats } = require('./trader');
+const {
+  executeTrade,
+  getActiveTrades,
+  getDryRunBalance,
+  getWalletBreakdown,
+  getChannelStats,
+  sellPosition,
+  closeAllTrades,
+  moveStopLoss,
+  addTakeProfit
+} = require('./trader');
 const tradeStore = require('./tradeStore');
 const tokenSafety = require('./tokenSafety');
+const reputation = require('./reputation');
+const { getMetadata, formatTokenLabel } = require('./tokenMetadata');
 const { getMessageStats } = require('./listener');
+const rpcPool = require('./rpcPool');
+const quoteAsset = require('./quoteAsset');
+const priceStream = require('./priceStream');
+
+// Manual trades are tracked like a channel of their own
+const MANUAL_CHANNEL_ID = 'manual';
+const MANUAL_CHANNEL_INFO = { icon: '🖐️', name: 'Manual' };
 
 class EnhancedMenu {
   constructor() {
@@ -37,6 +56,15 @@ class EnhancedMenu {
     this.refreshInterval = setInterval(() => {
       this.updateStats();
     }, 10000); // Update every 10 seconds
+    
+    // Open positions follow the price stream between refreshes
+    priceStream.onPrice(({ mint }) => this.refreshActiveTrades(mint));
+  }
+
+  async refreshActiveTrades(mint) {
+    const activeTrades = this.currentStats.activeTrades || [];
+    if (!this.isActive || !activeTrades.some(t => t.contractAddress === mint)) return;
+    this.currentStats.activeTrades = await getActiveTrades();
   }
 
   async updateStats() {
@@ -65,7 +93,7 @@ class EnhancedMenu {
     if (!this.isActive) return false;
 
     const cmd = command.trim().toLowerCase();
-    const args = command.trim().split(' ').slice(1);
+    const args = command.trim().split(/\s+/).slice(1);
 
     switch (cmd.split(' ')[0]) {
       case 'menu':
@@ -91,7 +119,7 @@ class EnhancedMenu {
       
       case 'safety':
       case 'safe':
-        await this.showSafetyMenu(args[0]);
+        await this.showSafetyMenu(args[0], args[1]);
         break;
       
       case 'config':
@@ -119,6 +147,60 @@ class EnhancedMenu {
         await this.showAlertsMenu();
         break;
       
+      case 'buy':
+        await this.manualBuy(args);
+        break;
+      
+      case 'sell':
+        await this.manualSell(args);
+        break;
+      
+      case 'close-all':
+        await this.manualCloseAll();
+        break;
+      
+      case 'move-sl':
+        await this.manualMoveStopLoss(args);
+        break;
+      
+      case 'add-tp':
+        await this.manualAddTakeProfit(args);
+        break;
+      
+      case 'blacklist':
+      case 'whitelist':
+        this.listToken(cmd.split(' ')[0], args);
+        break;
+      
+      case 'unlist':
+        this.unlistToken(args[0]);
+        break;
+      
+      case 'blacklist-dev':
+        this.blacklistDeployer(args);
+        break;
+      
+      case 'unlist-dev':
+        this.unlistDeployer(args[0]);
+        break;
+      
+      case 'deployer':
+        await this.showDeployer(args[0]);
+        break;
+      
+      case 'reputation':
+      case 'rep':
+        this.showReputation();
+        break;
+      
+      case 'rpc':
+        await this.showRpcStatus();
+        break;
+      
+      case 'wallets':
+        await this.showBalance();
+        break;
+      
       case 'help':
       case 'h':
       case '?':
@@ -243,7 +325,7 @@ class EnhancedMenu {
         const profitColor = trade.profit >= 0 ? '\x1b[32m' : '\x1b[31m';
         const profitText = trade.profit ? `${profitColor}${trade.profitPercent}\x1b[0m` : 'N/A';
         
-        console.log(`   ${index + 1}. ${trade.contractAddress.slice(0, 8)}... - ${profitText}`);
+        console.log(`   ${index + 1}. ${formatTokenLabel(trade)} - ${profitText}`);
         console.log(`      Entry: $${trade.entryPrice.toFixed(8)} | Channel: ${trade.channelName || 'Unknown'}`);
       });
     } else {
@@ -292,6 +374,7 @@ class EnhancedMenu {
     console.log('   trades history  - Show trade history');
     console.log('   trades performance - Performance analysis');
     console.log('   cancel <address> - Cancel specific trade');
+    console.log('   buy, sell, close-all, move-sl, add-tp - Manual trading (see help)');
     console.log('   back, refresh');
     
     this.menuStack.push('trades');
@@ -312,7 +395,7 @@ class EnhancedMenu {
       const profitColor = trade.profit >= 0 ? '\x1b[32m' : '\x1b[31m';
       const resetColor = '\x1b[0m';
       
-      console.log(`${index + 1}. Contract: ${trade.contractAddress}`);
+      console.log(`${index + 1}. ${formatTokenLabel(trade)} | Contract: ${trade.contractAddress}`);
       console.log(`   Channel: ${trade.channelName || 'Unknown'} | Size: ${trade.tradePercent}%`);
       console.log(`   Entry: $${trade.entryPrice.toFixed(8)}`);
       
@@ -366,7 +449,7 @@ class EnhancedMenu {
     this.menuStack.push('channels');
   }
 
-  async showSafetyMenu(subCommand) {
+  async showSafetyMenu(subCommand, channelId) {
     console.clear();
     console.log(displaySmallBanner(config));
     
@@ -387,15 +470,17 @@ class EnhancedMenu {
     console.log(`   Safety Checks: ${config.ENABLE_SAFETY_CHECKS ? 'Enabled' : 'Disabled'}`);
     console.log(`   Min Liquidity: $${config.MIN_LIQUIDITY_USD}`);
     console.log(`   Max Price Impact: ${config.MAX_PRICE_IMPACT}%`);
+    console.log(`   Max Round-trip Loss: ${config.MAX_ROUND_TRIP_LOSS}%`);
     console.log(`   Min Token Age: ${Math.floor(config.MIN_TOKEN_AGE_SECONDS / 60)} minutes`);
+    console.log(`   Min Safety Score: ${config.SAFETY_MIN_SCORE}/100 (channels can set their own)`);
     
     if (subCommand) {
       console.log(`\n🔍 Checking token: ${subCommand}`);
-      await this.checkTokenSafety(subCommand);
+      await this.checkTokenSafety(subCommand, channelId);
     }
     
     console.log('\n⌨️  Commands:');
-    console.log('   safety <address> - Check specific token');
+    console.log('   safety <address> [channelId] - Check a token against a channel\'s policy');
     console.log('   back, refresh');
     
     this.menuStack.push('safety');
@@ -464,9 +549,9 @@ class EnhancedMenu {
     recentTrades.forEach((trade, index) => {
       const date = new Date(trade.timestamp).toLocaleDateString();
       const status = trade.closed ? '✅' : '⏳';
-      const profit = trade.profit ? `$${trade.profit.toFixed(2)}` : 'Open';
+      const profit = trade.profit ? quoteAsset.formatProfit(trade.profit, trade.realizedProfitQuote, trade.quoteAsset) : 'Open';
       
-      console.log(`${index + 1}. ${status} ${trade.contractAddress?.slice(0, 8)}...`);
+      console.log(`${index + 1}. ${status} ${formatTokenLabel(trade)}`);
       console.log(`   Date: ${date} | Entry: $${trade.entryPrice?.toFixed(8)}`);
       console.log(`   Channel: ${trade.channelName || 'Unknown'} | P/L: ${profit}`);
     });
@@ -516,14 +601,31 @@ class EnhancedMenu {
     console.log('   history         - Trade history');
     
     console.log('\n🛡️ SAFETY & CONFIG:');
-    console.log('   safety <addr>   - Check token safety');
+    console.log('   safety <addr> [channelId] - Score a token, with a per-check breakdown');
     console.log('   config, cfg     - Configuration');
     console.log('   alerts          - Notification settings');
+    console.log('   rpc             - RPC endpoint health');
     
     console.log('\n⚡ QUICK ACTIONS:');
-    console.log('   balance         - Show current balance');
+    console.log('   balance, wallets - Balance and open positions per wallet');
     console.log('   cancel <addr>   - Cancel specific trade');
     
+    console.log('\n🖐️ MANUAL TRADING:');
+    console.log('   buy <mint> <usd> [sl%] [tp1,tp2]  - Market buy with stop loss / take profits');
+    console.log('   sell <mint> [pct]                 - Sell part of a position (default 100%)');
+    console.log('   close-all                         - Close every active trade');
+    console.log('   move-sl <mint> <price|pct%>       - Move stop loss to a price or % below entry');
+    console.log('   add-tp <mint> <pct> <portion%>    - Take profit at pct above entry for a portion');
+    
+    console.log('\n🚫 REPUTATION:');
+    console.log('   blacklist <mint> [reason]         - Always reject a token');
+    console.log('   whitelist <mint> [reason]         - Always accept a token, whatever it scores');
+    console.log('   unlist <mint>                     - Remove a token from both lists');
+    console.log('   blacklist-dev <wallet> [reason]   - Reject every token from a deployer');
+    console.log('   unlist-dev <wallet>               - Remove a deployer from the blacklist');
+    console.log('   deployer <mint>                   - Show who deployed a token');
+    console.log('   reputation, rep                   - Show all lists');
+    
     console.log('\n💡 TIPS:');
     console.log('   • Use short commands (d, t, ch) for quick access');
     console.log('   • Type "refresh" to update all data');
@@ -531,18 +633,26 @@ class EnhancedMenu {
   }
 
   async showBalance() {
-    if (config.DRY_RUN) {
-      const balance = getDryRunBalance();
-      console.log(`💰 [DRY RUN] Paper trading balance: $${balance.toFixed(2)} USDC`);
-    } else {
-      console.log('💰 Checking live balance...');
-      try {
-        const { getAccountBalance } = require('./exchangeClient');
-        const balance = await getAccountBalance();
-        console.log(`💰 Wallet balance: $${balance.toFixed(2)} USDC`);
-      } catch (error) {
-        console.error(`❌ Error getting balance: ${error.message}`);
+    if (!config.DRY_RUN) console.log('💰 Checking live balances...');
+    
+    try {
+      const wallets = await getWalletBreakdown();
+      const label = config.DRY_RUN ? '[DRY RUN] Paper' : 'Wallet';
+      const { symbol } = quoteAsset.getQuoteAsset();
+      
+      console.log(`\n   ${'WALLET'.padEnd(12)} ${symbol.padEnd(14)} ${'USD'.padEnd(12)} ${'POSITIONS'.padEnd(10)} ${'EXPOSURE'.padEnd(12)} CHANNELS`);
+      for (const w of wallets) {
+        const quoteBalance = w.quoteBalance == null ? '-' : quoteAsset.format(w.quoteBalance, symbol);
+        const balance = w.balance == null ? 'not loaded' : `$${w.balance.toFixed(2)}`;
+        const channels = w.channels.length > 0 ? w.channels.join(', ') : '-';
+        console.log(`   ${w.name.padEnd(12)} ${quoteBalance.padEnd(14)} ${balance.padEnd(12)} ${String(w.positions).padEnd(10)} ${('$' + w.exposure.toFixed(2)).padEnd(12)} ${channels}`);
+        if (w.address) console.log(`      ${w.address}`);
       }
+      
+      const total = wallets.reduce((sum, w) => sum + (w.balance || 0), 0);
+      console.log(`💰 ${label} balance: $${total.toFixed(2)} in ${symbol} across ${wallets.length} wallet(s)`);
+    } catch (error) {
+      console.error(`❌ Error getting balance: ${error.message}`);
     }
   }
 
@@ -554,25 +664,377 @@ class EnhancedMenu {
     
     console.log(`🔄 ${config.DRY_RUN ? '[DRY RUN] ' : ''}Cancelling trade for ${address}...`);
     const { cancelTrade } = require('./trader');
-    const result = await cancelTrade(address);
-    console.log(result ? "✅ Trade cancelled" : "❌ Failed to cancel trade");
+    try {
+      const result = await cancelTrade(address);
+      console.log(result ? "✅ Trade cancelled" : "❌ Failed to cancel trade");
+    } catch (err) {
+      console.log(`❌ Failed to cancel trade: ${err.message}`);
+    }
     return true;
   }
 
-  async checkTokenSafety(address) {
+  /**
+   * Ask a yes/no question on the prompt; anything but y/yes is a no
+   */
+  confirm(question) {
+    if (!this.rl) return Promise.resolve(false);
+    
+    return new Promise(resolve => {
+      this.rl.question(`${question} (y/N) `, answer => resolve(/^y(es)?$/i.test(answer.trim())));
+    });
+  }
+
+  async findActiveTrade(address) {
+    return (await getActiveTrades()).find(t => t.contractAddress === address);
+  }
+
+  /**
+   * Append an operator action to a trade's tradeStore record
+   */
+  recordManualAction(tradeId, action) {
+    const record = tradeId && tradeStore.trades.find(t => t.id === tradeId);
+    if (!record) return;
+    
+    tradeStore.updateTrade(tradeId, {
+      manualActions: [...(record.manualActions || []), { ...action, source: 'manual', timestamp: Date.now() }]
+    });
+  }
+
+  async manualBuy([address, usdArg, slArg, tpArg] = []) {
+    const amountUsd = parseFloat(usdArg);
+    const stopLossPercent = slArg ? parseFloat(slArg) : null;
+    const takeProfitTargets = tpArg ? tpArg.split(',').map(parseFloat) : [];
+    
+    if (!address || !(amountUsd > 0)) {
+      console.log('⚠️ Usage: buy <mint> <usd> [sl%] [tp1,tp2]');
+      return;
+    }
+    if (stopLossPercent !== null && !(stopLossPercent > 0 && stopLossPercent < 100)) {
+      console.log('⚠️ Stop loss must be a percentage between 0 and 100');
+      return;
+    }
+    if (takeProfitTargets.some(tp => !(tp > 0))) {
+      console.log('⚠️ Take profits must be positive percentages, e.g. 50,100');
+      return;
+    }
+    
+    const mode = config.DRY_RUN ? '[DRY RUN] ' : '';
+    const exits = `SL ${stopLossPercent ? stopLossPercent + '%' : 'default'}` +
+      (takeProfitTargets.length > 0 ? `, TP ${takeProfitTargets.map(tp => tp + '%').join('/')}` : '');
+    if (!await this.confirm(`🖐️ ${mode}Buy $${amountUsd.toFixed(2)} of ${address} (${exits})?`)) {
+      console.log('❎ Cancelled');
+      return;
+    }
+    
+    const signal = { contractAddress: address, stopLossPercent, takeProfitTargets };
+    try {
+      const metadata = await getMetadata(address);
+      if (metadata) {
+        signal.symbol = metadata.symbol || metadata.name;
+        signal.tokenName = metadata.name;
+      }
+    } catch (err) {
+      console.log(`⚠️ Could not resolve token metadata: ${err.message}`);
+    }
+    
+    const result = await executeTrade(signal, {
+      channelId: MANUAL_CHANNEL_ID,
+      channelInfo: MANUAL_CHANNEL_INFO,
+      amountUsd
+    });
+    
+    if (!result.success) {
+      console.log(`❌ Buy failed: ${result.error}`);
+      return;
+    }
+    
+    tradeStore.addTrade({
+      id: result.id,
+      contractAddress: address,
+      symbol: signal.symbol || null,
+      tokenName: signal.tokenName || null,
+      entryPrice: result.entryPrice,
+      amount: result.amount,
+      tradeAmount: result.tradeAmount,
+      wallet: result.wallet,
+      quoteAsset: result.quoteAsset,
+      entryQuotePrice: result.entryQuotePrice,
+      quoteAmountIn: result.quoteAmountIn,
+      pool: result.pool,
+      entryFee: result.fee || null,
+      stopLossPercent,
+      takeProfitTargets,
+      isDryRun: config.DRY_RUN,
+      sourceChannel: MANUAL_CHANNEL_ID,
+      channelName: MANUAL_CHANNEL_INFO.name,
+      channelType: 'manual',
+      source: 'manual'
+    });
+    
+    console.log(`✅ ${mode}Bought ${address} at ${result.entryPrice}`);
+    await this.updateStats();
+  }
+
+  async manualSell([address, pctArg] = []) {
+    const percent = pctArg ? parseFloat(pctArg) : 100;
+    const trade = await this.findActiveTrade(address);
+    
+    if (!address || !(percent > 0 && percent <= 100)) {
+      console.log('⚠️ Usage: sell <mint> [pct]');
+      return;
+    }
+    if (!trade) {
+      console.log(`⚠️ No active trade for ${address}`);
+      return;
+    }
+    
+    if (!await this.confirm(`🖐️ ${config.DRY_RUN ? '[DRY RUN] ' : ''}Sell ${percent}% of ${address}?`)) {
+      console.log('❎ Cancelled');
+      return;
+    }
+    
+    try {
+      const result = await sellPosition(address, percent);
+      this.recordManualAction(trade.tradeId, { action: 'sell', percent });
+      console.log(result.closed ? `✅ Position ${address} closed` : `✅ Sold ${percent}% of ${address}`);
+    } catch (err) {
+      console.log(`❌ Sell failed: ${err.message}`);
+    }
+    await this.updateStats();
+  }
+
+  async manualCloseAll() {
+    const trades = await getActiveTrades();
+    if (trades.length === 0) {
+      console.log('📭 No active trades');
+      return;
+    }
+    
+    if (!await this.confirm(`🖐️ ${config.DRY_RUN ? '[DRY RUN] ' : ''}Close all ${trades.length} active trade(s)?`)) {
+      console.log('❎ Cancelled');
+      return;
+    }
+    
+    const closed = await closeAllTrades();
+    trades
+      .filter(t => closed.includes(t.contractAddress))
+      .forEach(t => this.recordManualAction(t.tradeId, { action: 'close-all' }));
+    console.log(`✅ Closed ${closed.length}/${trades.length} trade(s)`);
+    await this.updateStats();
+  }
+
+  async manualMoveStopLoss([address, target] = []) {
+    const trade = await this.findActiveTrade(address);
+    
+    if (!address || !target) {
+      console.log('⚠️ Usage: move-sl <mint> <price|pct%>');
+      return;
+    }
+    if (!trade) {
+      console.log(`⚠️ No active trade for ${address}`);
+      return;
+    }
+    
+    // "15%" means 15% below entry, a bare number is an absolute price
+    const stopPrice = target.endsWith('%')
+      ? trade.entryPrice * (1 - parseFloat(target) / 100)
+      : parseFloat(target);
+    
+    if (!(stopPrice > 0)) {
+      console.log(`⚠️ Invalid stop: ${target}`);
+      return;
+    }
+    
+    if (!await this.confirm(`🖐️ Move stop loss for ${address} to ${stopPrice.toFixed(8)} (entry ${trade.entryPrice.toFixed(8)})?`)) {
+      console.log('❎ Cancelled');
+      return;
+    }
+    
+    try {
+      await moveStopLoss(address, stopPrice);
+      this.recordManualAction(trade.tradeId, { action: 'move-sl', stopPrice });
+      console.log(`✅ Stop loss moved to ${stopPrice.toFixed(8)}`);
+    } catch (err) {
+      console.log(`❌ Move stop loss failed: ${err.message}`);
+    }
+  }
+
+  async manualAddTakeProfit([address, pctArg, portionArg] = []) {
+    const tpPercent = parseFloat(pctArg);
+    const portionPercent = parseFloat(portionArg);
+    const trade = await this.findActiveTrade(address);
+    
+    if (!address || !(tpPercent > 0) || !(portionPercent > 0 && portionPercent <= 100)) {
+      console.log('⚠️ Usage: add-tp <mint> <pct> <portion%>');
+      return;
+    }
+    if (!trade) {
+      console.log(`⚠️ No active trade for ${address}`);
+      return;
+    }
+    
+    const tpPrice = trade.entryPrice * (1 + tpPercent / 100);
+    if (!await this.confirm(`🖐️ Add take profit for ${address} at ${tpPrice.toFixed(8)} (+${tpPercent}%) for ${portionPercent}% of the position?`)) {
+      console.log('❎ Cancelled');
+      return;
+    }
+    
+    try {
+      await addTakeProfit(address, tpPercent, portionPercent);
+      this.recordManualAction(trade.tradeId, { action: 'add-tp', tpPercent, portionPercent });
+      console.log(`✅ Take profit added at ${tpPrice.toFixed(8)}`);
+    } catch (err) {
+      console.log(`❌ Add take profit failed: ${err.message}`);
+    }
+  }
+
+  listToken(list, [address, ...reasonWords] = []) {
+    if (!address) {
+      console.log(`⚠️ Usage: ${list} <mint> [reason]`);
+      return;
+    }
+    
+    const reason = reasonWords.join(' ') || `${list === 'blacklist' ? 'Blacklisted' : 'Whitelisted'} manually`;
+    if (list === 'blacklist') {
+      if (!reputation.blacklistToken(address, reason, 'manual')) {
+        console.log(`ℹ️ ${address} is already blacklisted`);
+      }
+    } else {
+      reputation.whitelistToken(address, reason);
+    }
+  }
+
+  unlistToken(address) {
+    if (!address) {
+      console.log('⚠️ Usage: unlist <mint>');
+      return;
+    }
+    console.log(reputation.unlistToken(address) ? `✅ ${address} removed from the lists` : `⚠️ ${address} is not listed`);
+  }
+
+  blacklistDeployer([wallet, ...reasonWords] = []) {
+    if (!wallet) {
+      console.log('⚠️ Usage: blacklist-dev <wallet> [reason]');
+      return;
+    }
+    if (!reputation.blacklistDeployer(wallet, reasonWords.join(' ') || 'Blacklisted manually')) {
+      console.log(`ℹ️ ${wallet} is already blacklisted`);
+    }
+  }
+
+  unlistDeployer(wallet) {
+    if (!wallet) {
+      console.log('⚠️ Usage: unlist-dev <wallet>');
+      return;
+    }
+    console.log(reputation.unlistDeployer(wallet) ? `✅ Deployer ${wallet} removed from the blacklist` : `⚠️ ${wallet} is not blacklisted`);
+  }
+
+  async showDeployer(address) {
+    if (!address) {
+      console.log('⚠️ Usage: deployer <mint>');
+      return;
+    }
+    
+    try {
+      const deployer = await tokenSafety.getDeployer(address);
+      if (!deployer) {
+        console.log(`⚠️ Could not find the creation transaction for ${address}`);
+        return;
+      }
+      
+      const entry = reputation.getDeployerEntry(deployer);
+      const tokens = reputation.getTokensByDeployer(deployer);
+      console.log(`👤 Deployer: ${deployer}${entry ? ` 🚫 blacklisted (${entry.reason})` : ''}`);
+      console.log(`   Tokens seen from this deployer: ${tokens.length}`);
+      tokens.forEach(mint => console.log(`   - ${mint}${reputation.isBlacklisted(mint) ? ' 🚫' : ''}`));
+    } catch (err) {
+      console.log(`❌ Deployer lookup failed: ${err.message}`);
+    }
+  }
+
+  showReputation() {
+    const { blacklistedTokens, whitelistedTokens, blacklistedDeployers, envBlacklist } = reputation.getLists();
+    const print = entries => entries.forEach(([key, entry]) => {
+      console.log(`   ${key} - ${entry.reason || ''}${entry.source === 'auto' ? ' (auto)' : ''}`);
+    });
+    
+    console.log(`\n🚫 BLACKLISTED TOKENS (${Object.keys(blacklistedTokens).length + envBlacklist.length}):`);
+    print(Object.entries(blacklistedTokens));
+    envBlacklist.forEach(mint => console.log(`   ${mint} - from BLACKLISTED_TOKENS`));
+    
+    console.log(`\n🤍 WHITELISTED TOKENS (${Object.keys(whitelistedTokens).length}):`);
+    print(Object.entries(whitelistedTokens));
+    
+    console.log(`\n👤 BLACKLISTED DEPLOYERS (${Object.keys(blacklistedDeployers).length}):`);
+    print(Object.entries(blacklistedDeployers));
+  }
+
+  async showRpcStatus() {
+    await rpcPool.checkHealth();
+    
+    console.log('\n🔌 RPC ENDPOINTS:');
+    rpcPool.getStats().forEach(e => {
+      const status = e.available ? '✅' : `⛔ out for ${Math.ceil(e.disabledForMs / 1000)}s`;
+      console.log(`   ${status} ${e.name}${e.primary ? ' (primary)' : ''}`);
+      console.log(`      Latency: ${e.latencyMs}ms | Error rate: ${(e.errorRate * 100).toFixed(1)}% | Slot lag: ${e.slotLag} | Requests: ${e.requests} (${e.failures} failed)`);
+    });
+  }
+
+  async checkTokenSafety(address, channelId = null) {
     if (!address) {
       console.log("⚠️ Please specify a contract address to check");
       return true;
     }
     
     console.log(`🔒 Checking safety for ${address}...`);
-    const safety = await tokenSafety.checkToken(address);
+    const safety = await tokenSafety.checkToken(address, { channelId });
     
-    if (safety.isSafe) {
-      console.log(`✅ Token appears safe. ${safety.liquidity ? `Liquidity: $${safety.liquidity.toFixed(2)}` : ''}`);
+    if (safety.whitelisted) {
+      console.log(`🤍 Token is whitelisted and will be accepted. Score: ${safety.score}/100`);
+    } else if (safety.isSafe) {
+      console.log(`✅ Token appears safe. Score: ${safety.score}/100 (${safety.policy} policy, minimum ${safety.minScore})`);
     } else {
-      console.log(`❌ Safety concerns detected:`);
-      safety.warnings.forEach(w => console.log(`  - ${w}`));
+      console.log(`❌ Token rejected. Score: ${safety.score}/100 (${safety.policy} policy, minimum ${safety.minScore})`);
+      safety.rejectReasons.forEach(r => console.log(`  - ${r}`));
+    }
+
+    // Per-check breakdown: status, what it cost and whether it can reject on its own
+    const icons = { pass: '✅', warn: '⚠️', fail: '❌' };
+    console.log(`\n   ${'CHECK'.padEnd(22)} ${'WEIGHT'.padEnd(10)} ${'TYPE'.padEnd(5)} DETAIL`);
+    safety.checks.forEach(c => {
+      const lost = c.status === 'pass' ? '' : ` (-${c.status === 'warn' ? c.weight / 2 : c.weight})`;
+      console.log(`   ${icons[c.status]} ${c.label.padEnd(20)} ${(String(c.weight) + lost).padEnd(10)} ${(c.hard ? 'hard' : 'soft').padEnd(5)} ${c.detail}`);
+    });
+    console.log('');
+
+    if (safety.metadata) {
+      const { name, symbol, updateAuthority } = safety.metadata;
+      console.log(`   Token: ${name || '?'} (${symbol || '?'}) | Update authority: ${updateAuthority || 'none'}`);
+    }
+
+    if (safety.mint) {
+      const { program, mintAuthority, freezeAuthority } = safety.mint;
+      console.log(`   Program: ${program} | Mint authority: ${mintAuthority ? 'set' : 'renounced'} | Freeze authority: ${freezeAuthority ? 'set' : 'none'}`);
+    }
+
+    if (safety.liquidityDepth) {
+      console.log(`   Max trade under ${config.MAX_PRICE_IMPACT}% impact: $${safety.liquidityDepth.maxTradeUsd.toFixed(2)}`);
+    }
+
+    if (safety.holders) {
+      const { topHolderPercent, top10Percent } = safety.holders;
+      console.log(`   Top holder: ${topHolderPercent.toFixed(1)}% | Top 10: ${top10Percent.toFixed(1)}%`);
+    }
+
+    if (safety.liquidityPool && safety.liquidityPool.applicable) {
+      const { label, burnedPercent, lockedPercent } = safety.liquidityPool;
+      console.log(`   ${label || 'Pool'} LP: ${burnedPercent.toFixed(1)}% burned, ${lockedPercent.toFixed(1)}% locked`);
+    }
+
+    if (safety.buyPriceImpact != null) {
+      const pct = v => v != null ? `${(v * 100).toFixed(2)}%` : 'n/a';
+      console.log(`   Buy impact: ${pct(safety.buyPriceImpact)} | Sell impact: ${pct(safety.sellPriceImpact)} | Round-trip loss: ${pct(safety.roundTripLoss)}`);
     }
     return true;
   }
@@ -4,52 +4,59 @@ const config = require('./config');
 const fs = require('fs');
 const path = require('path');
 const { 
-  Connection, 
   PublicKey, 
-  Keypair,
-  Transaction,
-  SystemProgram,
-  LAMPORTS_PER_SOL,
-  sendAndConfirmTransaction
+  VersionedTransaction,
+  TransactionMessage,
+  ComputeBudgetProgram,
+  LAMPORTS_PER_SOL
 } = require('@solana/web3.js');
-const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
 const fetch = require('node-fetch');
+const tradeStore = require('./tradeStore');
+const notifier = require('./notifier');
+const PaperTradingSimulator = require('./paper-trading-sim');
+const rpcPool = require('./rpcPool');
+const keystore = require('./keystore');
+const walletRegistry = require('./wallets');
+const { FEE_URGENCY, estimatePriorityFee, estimateSwapFee, getFeePaid } = require('./priorityFees');
+const { getDecimals } = require('./tokenMetadata');
+const quoteAsset = require('./quoteAsset');
+const priceStream = require('./priceStream');
+const pumpFun = require('./pumpFun');
 
 // Jupiter API integration (using v6 API instead of deprecated core package)
-let connection = null;
-let wallet = null;
+const connection = rpcPool.getConnection();
 
-// Initialize Jupiter and wallet
-async function initializeJupiter() {
+// Wallet name -> keypair for every configured wallet that could be loaded
+const wallets = new Map();
+
+/**
+ * Initialize Jupiter and the wallets. Each wallet comes from its encrypted
+ * keystore; a plaintext WALLET_PRIVATE_KEY is still accepted for the default
+ * wallet when it has none.
+ * @param {Object} options { interactive } - prompt for keystore passphrases if needed
+ */
+async function initializeJupiter({ interactive = false } = {}) {
   try {
-    // Set up connection with fallback
-    connection = new Connection(config.RPC_ENDPOINT, {
-      commitment: 'confirmed',
-      confirmTransactionInitialTimeout: 60000
-    });
-    
-    // Initialize wallet from private key
-    if (config.WALLET_PRIVATE_KEY && !config.DRY_RUN) {
-      try {
-        // Handle different private key formats
-        let privateKeyBytes;
-        if (config.WALLET_PRIVATE_KEY.startsWith('[') && config.WALLET_PRIVATE_KEY.endsWith(']')) {
-          // Array format: [1,2,3,...]
-          privateKeyBytes = new Uint8Array(JSON.parse(config.WALLET_PRIVATE_KEY));
-        } else if (config.WALLET_PRIVATE_KEY.length === 128) {
-          // Hex format
-          privateKeyBytes = Buffer.from(config.WALLET_PRIVATE_KEY, 'hex');
+    if (!config.DRY_RUN) {
+      const unlocked = await keystore.unlockAll({ interactive });
+      
+      for (const name of walletRegistry.getWalletNames()) {
+        if (unlocked.has(name)) {
+          wallets.set(name, unlocked.get(name));
+          console.log(`✅ Wallet "${name}" unlocked:`, unlocked.get(name).publicKey.toString());
+        } else if (name === walletRegistry.getDefaultWallet() && config.WALLET_PRIVATE_KEY) {
+          try {
+            wallets.set(name, keystore.parseSecretKey(config.WALLET_PRIVATE_KEY));
+            console.log(`✅ Wallet "${name}" initialized:`, wallets.get(name).publicKey.toString());
+            console.warn('⚠️ WALLET_PRIVATE_KEY is stored in plaintext; import it into the encrypted keystore with "npm run wallet"');
+          } catch (err) {
+            console.error('❌ Failed to parse private key:', err.message);
+            throw err;
+          }
         } else {
-          // Base58 format
-          const bs58 = require('bs58');
-          privateKeyBytes = bs58.decode(config.WALLET_PRIVATE_KEY);
+          console.warn(`⚠️ Wallet "${name}" has no keystore; channels routed to it can't trade until it is imported with "npm run wallet"`);
         }
-        
-        wallet = Keypair.fromSecretKey(privateKeyBytes);
-        console.log('✅ Wallet initialized:', wallet.publicKey.toString());
-      } catch (err) {
-        console.error('❌ Failed to parse private key:', err.message);
-        throw new Error('Invalid private key format. Use hex, base58, or array format.');
       }
     }
     
@@ -60,91 +67,109 @@ async function initializeJupiter() {
   }
 }
 
-// ----- Paper Trading State Management -----
-const STATE_FILE = path.join(__dirname, 'data', 'simulation-state.json');
-let simulationState = {
-  prices: {},
-  positions: {},
-  orders: [],
-  balance: config.DRY_RUN_BALANCE || 1000,
-  lastUpdate: Date.now()
-};
-
-function initSimulation() {
-  try {
-    const dataDir = path.dirname(STATE_FILE);
-    if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
-
-    if (fs.existsSync(STATE_FILE)) {
-      const loaded = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-      simulationState = { ...loaded, lastUpdate: Date.now() };
-      console.log(`🔄 Loaded simulation state: $${simulationState.balance.toFixed(2)}, ${Object.keys(simulationState.prices).length} tokens`);
-    }
-  } catch (e) {
-    console.error('Simulation init error:', e);
+/**
+ * Keypair of a named wallet, initializing the exchange client on first use
+ * @param {string|null} walletName Wallet from WALLETS; null for the default
+ * @returns {Promise<Keypair>}
+ */
+async function getWallet(walletName = null) {
+  const name = walletRegistry.resolveWallet(walletName);
+  if (wallets.size === 0) {
+    await initializeJupiter();
   }
-  setInterval(saveState, 30000);
-  simulatePriceMovements();
+  
+  const wallet = wallets.get(name);
+  if (!wallet) throw new Error(`Wallet "${name}" not initialized`);
+  return wallet;
 }
 
-function saveState() {
-  try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(simulationState, null, 2));
-  } catch (e) {
-    console.error('Save state error:', e);
+// ----- Paper Trading -----
+// Paper mode runs every call against the simulated exchange backend
+const simulator = config.DRY_RUN ? new PaperTradingSimulator(config) : null;
+
+// Callbacks fired when a position is fully closed (live or simulated)
+const positionClosedListeners = [];
+
+// ----- Jupiter API Integration -----
+
+// How often an unconfirmed swap is re-sent while its blockhash is still valid
+const RESEND_INTERVAL_MS = 2000;
+
+const SWAP_ERROR = {
+  SLIPPAGE: 'slippage',
+  EXPIRED: 'expired',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  ACCOUNT_NOT_INITIALIZED: 'account_not_initialized',
+  TRANSFER_HOOK: 'transfer_hook',
+  FAILED: 'failed'
+};
+
+/**
+ * A swap that didn't land, with a type from SWAP_ERROR so callers can tell a
+ * missed price (worth retrying) from an empty wallet (not worth retrying)
+ */
+class SwapError extends Error {
+  constructor(type, message, signature = null) {
+    super(message);
+    this.name = 'SwapError';
+    this.type = type;
+    this.signature = signature;
   }
 }
 
-function simulatePriceMovements() {
-  setInterval(() => {
-    for (const token in simulationState.prices) {
-      const vol = config.DRY_RUN_PRICE_VOLATILITY / 100;
-      const change = 1 + (Math.random() * vol * 2 - vol);
-      simulationState.prices[token] *= change;
-      checkOrderTriggers(token);
+/**
+ * Whether the failing program was invoked by Token-2022 (a transfer hook),
+ * tracked through the nesting of "invoke" and "success"/"failed" log lines
+ */
+function failedInTransferHook(logs = []) {
+  const stack = [];
+  const token2022 = TOKEN_2022_PROGRAM_ID.toBase58();
+  
+  for (const line of logs || []) {
+    const invoke = /^Program (\w+) invoke \[\d+\]/.exec(line);
+    if (invoke) {
+      stack.push(invoke[1]);
+      continue;
     }
-    simulationState.lastUpdate = Date.now();
-  }, 5000);
-}
-
-function checkOrderTriggers(token) {
-  const price = simulationState.prices[token];
-  const remaining = [];
-  for (const o of simulationState.orders) {
-    if (o.token !== token) { remaining.push(o); continue; }
-    if (o.type === 'stop' && price <= o.price) { executeSimulationOrder(o, price); continue; }
-    if (o.type === 'limit' && price >= o.price) { executeSimulationOrder(o, price); continue; }
-    remaining.push(o);
+    
+    const done = /^Program (\w+) (success|failed)/.exec(line);
+    if (!done) continue;
+    
+    if (done[2] === 'failed' && done[1] !== token2022 && stack[stack.length - 2] === token2022) return true;
+    stack.pop();
   }
-  simulationState.orders = remaining;
+  
+  return false;
 }
 
-function executeSimulationOrder(order, execPrice) {
-  const pos = simulationState.positions[order.token];
-  if (!pos) return;
+/**
+ * Work out why a swap failed from its error and program logs
+ */
+function classifySwapFailure(err, logs = []) {
+  const text = [err && err.message ? err.message : JSON.stringify(err), ...(logs || [])].join('\n');
   
-  if (order.type === 'stop') {
-    const pnl = (execPrice - pos.entryPrice) * pos.amount;
-    console.log(`[DRY RUN] Stop-loss ${order.token} closed for P/L $${pnl.toFixed(2)}`);
-    simulationState.balance += pos.amount * execPrice;
-    delete simulationState.positions[order.token];
-    simulationState.orders = simulationState.orders.filter(o => o.token !== order.token);
-  } else if (order.type === 'limit') {
-    const takeAmt = Math.min(order.amount, pos.amount);
-    const pnl = (execPrice - pos.entryPrice) * takeAmt;
-    console.log(`[DRY RUN] Take-profit ${order.token} executed for profit $${pnl.toFixed(2)}`);
-    simulationState.balance += takeAmt * execPrice;
-    pos.amount -= takeAmt;
-    if (pos.amount <= 0) delete simulationState.positions[order.token];
+  // Checked first: a hook's own custom error codes would otherwise look like the ones below
+  if (failedInTransferHook(logs) || /transfer ?hook|called outside of a token transfer/i.test(text)) {
+    return SWAP_ERROR.TRANSFER_HOOK;
+  }
+  // Jupiter's SlippageToleranceExceeded is custom error 6001 (0x1771); the pump.fun
+  // program names its slippage errors in the logs
+  if (/SlippageToleranceExceeded|TooMuchSolRequired|TooLittleSolReceived|"Custom":6001\b|0x1771/i.test(text)) {
+    return SWAP_ERROR.SLIPPAGE;
+  }
+  // Token program error 1 is an insufficient token balance. Simulation reports a fee
+  // payer that has never held SOL as AccountNotFound, so that is an empty wallet too.
+  if (/InsufficientFunds|insufficient (funds|lamports)|"Custom":1\}|custom program error: 0x1\b|AccountNotFound/i.test(text)) {
+    return SWAP_ERROR.INSUFFICIENT_FUNDS;
   }
-  saveState();
+  // Anchor's AccountNotInitialized is 3012 (0xbc4); the token program logs "State is uninitialized"
+  if (/AccountNotInitialized|UninitializedAccount|requires an initialized account|State is uninitialized|expected this account to be already initialized|0xbc4\b|"Custom":3012\b/i.test(text)) {
+    return SWAP_ERROR.ACCOUNT_NOT_INITIALIZED;
+  }
+  if (/Blockhash not found|block height exceeded/i.test(text)) return SWAP_ERROR.EXPIRED;
+  return SWAP_ERROR.FAILED;
 }
 
-// Initialize simulation if in paper mode
-if (config.DRY_RUN) initSimulation();
-
-// ----- Jupiter API Integration -----
-
 /**
  * Get Jupiter quote for a swap
  */
@@ -170,11 +195,16 @@ async function getJupiterQuote(inputMint, outputMint, amount, slippageBps = 50)
 
 /**
  * Execute swap via Jupiter
+ * @param {string} urgency FEE_URGENCY level for the priority fee
+ * @param {Keypair} wallet Wallet that signs the swap and holds both tokens
+ * @returns {Promise<Object>} { signature, success, inAmount, outAmount, fee }; amounts are raw
+ *   base units the wallet actually spent and received
  */
-async function executeJupiterSwap(quoteResponse) {
-  if (!wallet) throw new Error('Wallet not initialized');
-  
+async function executeJupiterSwap(quoteResponse, urgency, wallet) {
   try {
+    const priorityFee = await estimateSwapFee(quoteResponse, urgency);
+    console.log(`⛽ Priority fee: ${priorityFee.lamports} lamports (${urgency}, p${priorityFee.percentile} of ${priorityFee.samples} recent fees${priorityFee.capped ? ', capped' : ''})`);
+    
     // Get swap transaction
     const swapResponse = await fetch('https://quote-api.jup.ag/v6/swap', {
       method: 'POST',
@@ -186,7 +216,7 @@ async function executeJupiterSwap(quoteResponse) {
         userPublicKey: wallet.publicKey.toString(),
         wrapAndUnwrapSol: true,
         dynamicComputeUnitLimit: true,
-        prioritizationFeeLamports: config.PRIORITY_FEE_LAMPORTS || 10000
+        prioritizationFeeLamports: priorityFee.lamports
       })
     });
 
@@ -194,94 +224,268 @@ async function executeJupiterSwap(quoteResponse) {
       throw new Error(`Jupiter swap API error: ${swapResponse.status}`);
     }
 
-    const { swapTransaction } = await swapResponse.json();
+    const { swapTransaction, lastValidBlockHeight } = await swapResponse.json();
     
-    // Deserialize transaction
-    const transactionBuf = Buffer.from(swapTransaction, 'base64');
-    const transaction = Transaction.from(transactionBuf);
+    // Jupiter v6 returns a v0 transaction that uses address lookup tables
+    const transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+    await simulateSwap(transaction);
+    transaction.sign([wallet]);
     
-    // Sign and send transaction
-    transaction.sign(wallet);
+    const expiresAt = lastValidBlockHeight || (await connection.getLatestBlockhash('confirmed')).lastValidBlockHeight;
+    const signature = await sendAndConfirmSwap(transaction.serialize(), expiresAt);
     
-    const signature = await connection.sendTransaction(transaction, [wallet], {
-      skipPreflight: false,
-      maxRetries: 3
-    });
+    return await readSwapResult(signature, quoteResponse, priorityFee, wallet);
+  } catch (err) {
+    console.error(`Jupiter swap execution error${err.type ? ` (${err.type})` : ''}: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * What a confirmed swap actually spent, received and paid in fees
+ * @param {Object} quoted { inputMint, outputMint, inAmount, outAmount } - the quoted amounts stand in
+ *   if the transaction can't be read yet
+ * @param {Object} priorityFee From estimatePriorityFee
+ * @returns {Promise<Object>} { signature, success, inAmount, outAmount, fee }
+ */
+async function readSwapResult(signature, quoted, priorityFee, wallet) {
+  // One lookup gives both the fee paid and the balances that actually moved
+  const tx = await connection.getTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  }).catch(() => null);
+  if (!tx) console.warn(`⚠️ Swap ${signature} not readable yet, recording quoted amounts and fee`);
+  
+  const spent = getTokenBalanceChange(tx, quoted.inputMint, wallet.publicKey);
+  const received = getTokenBalanceChange(tx, quoted.outputMint, wallet.publicKey);
+  
+  // The requested total is built into the transaction, so it stands in if the lookup fails
+  const paid = getFeePaid(tx);
+  
+  return {
+    signature,
+    success: true,
+    inAmount: spent != null ? -spent : parseInt(quoted.inAmount),
+    outAmount: received != null ? received : parseInt(quoted.outAmount),
+    fee: {
+      urgency: priorityFee.urgency,
+      percentile: priorityFee.percentile,
+      requestedLamports: priorityFee.lamports,
+      feeLamports: paid ? paid.feeLamports : null,
+      priorityFeeLamports: paid ? paid.priorityFeeLamports : priorityFee.lamports
+    }
+  };
+}
+
+/**
+ * Simulate the unsigned swap so a doomed one fails here instead of paying fees on-chain
+ * @throws {SwapError} Typed from the simulation logs
+ */
+async function simulateSwap(transaction) {
+  const { value } = await connection.simulateTransaction(transaction, {
+    sigVerify: false,
+    commitment: 'confirmed'
+  });
+  
+  if (value.err) {
+    const type = classifySwapFailure(value.err, value.logs);
+    throw new SwapError(type, `Swap failed simulation (${type}): ${JSON.stringify(value.err)}`);
+  }
+}
+
+/**
+ * Raw change in the wallet's balance of a mint over a transaction, from its
+ * pre/post token balances. For wSOL the wallet's native lamports count too,
+ * since Jupiter unwraps SOL into them; the network fee is added back, so only
+ * the swap (and rent for any token account it opened) is left.
+ * @returns {number|null} null if the transaction couldn't be read
+ */
+function getTokenBalanceChange(tx, mintAddress, ownerKey) {
+  if (!tx || !tx.meta || !tx.meta.postTokenBalances) return null;
+  
+  const owner = ownerKey.toBase58();
+  const total = balances => (balances || [])
+    .filter(b => b.mint === mintAddress && b.owner === owner)
+    .reduce((sum, b) => sum + parseInt(b.uiTokenAmount.amount), 0);
+  let change = total(tx.meta.postTokenBalances) - total(tx.meta.preTokenBalances);
+  
+  if (mintAddress === quoteAsset.SOL_MINT) {
+    const message = tx.transaction.message;
+    const keys = message.staticAccountKeys || message.accountKeys;
+    const index = keys.findIndex(key => key.toBase58() === owner);
+    if (index >= 0) {
+      const feePaid = index === 0 ? tx.meta.fee : 0; // The fee payer is always the first account
+      change += tx.meta.postBalances[index] - tx.meta.preBalances[index] + feePaid;
+    }
+  }
+  
+  return change;
+}
+
+/**
+ * Send a signed swap and keep re-sending it until it confirms or its
+ * blockhash expires (block height passes lastValidBlockHeight)
+ * @returns {Promise<string>} Transaction signature
+ * @throws {SwapError} slippage, expired, insufficient_funds or failed
+ */
+async function sendAndConfirmSwap(rawTransaction, lastValidBlockHeight) {
+  let signature;
+  try {
+    // simulateSwap has already run, so skip the node's own preflight
+    signature = await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+  } catch (err) {
+    const type = classifySwapFailure(err, err.logs);
+    throw new SwapError(type, `Swap rejected by the RPC node (${type}): ${err.message}`);
+  }
+  
+  while (true) {
+    // Read the height first so a transaction that landed just before expiry still counts
+    const blockHeight = await connection.getBlockHeight('confirmed');
+    const { value: [status] } = await connection.getSignatureStatuses([signature]);
     
-    // Wait for confirmation
-    const confirmation = await connection.confirmTransaction(signature, 'confirmed');
+    if (status && status.err) {
+      const tx = await connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      }).catch(() => null);
+      const type = classifySwapFailure(status.err, tx && tx.meta ? tx.meta.logMessages : []);
+      throw new SwapError(type, `Swap failed on-chain (${type}): ${JSON.stringify(status.err)}`, signature);
+    }
     
-    if (confirmation.value.err) {
-      throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+    if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+      return signature;
     }
     
-    return {
-      signature,
-      success: true
-    };
-  } catch (err) {
-    console.error('Jupiter swap execution error:', err);
-    throw err;
+    if (blockHeight > lastValidBlockHeight) {
+      throw new SwapError(
+        SWAP_ERROR.EXPIRED,
+        `Swap expired: not confirmed before block height ${lastValidBlockHeight}`,
+        signature
+      );
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, RESEND_INTERVAL_MS));
+    
+    // Same signed transaction, so a copy that already landed can't execute twice
+    connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 }).catch(err => {
+      console.warn(`⚠️ Swap re-send failed: ${err.message}`);
+    });
   }
 }
 
 /**
- * Get real-time price from Jupiter
+ * Get real-time price from Jupiter, quoted against the quote asset
+ * @returns {Promise<number>} USD per whole token
  */
-async function getLivePrice(mintAddress) {
+async function getJupiterPrice(mintAddress) {
   try {
-    const inputMint = config.USDC_MINT_ADDRESS;
-    const outputMint = mintAddress;
+    const decimals = await getDecimals(mintAddress);
     
-    // Get quote for 1 USDC worth
-    const quote = await getJupiterQuote(inputMint, outputMint, 1_000_000); // 1 USDC (6 decimals)
+    // Get quote for $1 worth of the quote asset
+    const spend = await quoteAsset.usdToRaw(1);
+    const quote = await getJupiterQuote(quoteAsset.getQuoteAsset().mint, mintAddress, spend.raw);
     
     if (!quote || !quote.outAmount) {
       throw new Error('No quote available');
     }
     
-    const price = 1_000_000 / parseInt(quote.outAmount); // Price per token in USDC
-    return price;
+    const tokens = parseInt(quote.outAmount) / Math.pow(10, decimals);
+    return (spend.amount * spend.usdPrice) / tokens;
   } catch (err) {
     console.error('Error fetching price:', err);
     throw err;
   }
 }
 
+// Jupiter's price API takes up to 100 mints per request
+const PRICE_BATCH_SIZE = 100;
+
+/**
+ * USD prices for many tokens at once from Jupiter's price API
+ * @returns {Promise<Map>} Mint -> USD per whole token, for the tokens it could price
+ */
+async function getJupiterPrices(mintAddresses) {
+  const prices = new Map();
+  
+  for (let i = 0; i < mintAddresses.length; i += PRICE_BATCH_SIZE) {
+    const ids = mintAddresses.slice(i, i + PRICE_BATCH_SIZE);
+    const response = await fetch(`https://api.jup.ag/price/v2?ids=${ids.join(',')}`);
+    if (!response.ok) {
+      throw new Error(`Jupiter price API error: ${response.status}`);
+    }
+    
+    const { data } = await response.json();
+    for (const mint of ids) {
+      const price = data && data[mint] ? parseFloat(data[mint].price) : NaN;
+      if (price > 0) prices.set(mint, price);
+    }
+  }
+  
+  return prices;
+}
+
+/**
+ * The pool carrying most of a quote's final hop into a token: its main pool
+ * @returns {Object|null} { address, label }
+ */
+function getMainPool(quote, mintAddress) {
+  const mainHop = (quote.routePlan || [])
+    .filter(hop => hop.swapInfo && hop.swapInfo.outputMint === mintAddress)
+    .sort((a, b) => (b.percent || 0) - (a.percent || 0))[0];
+  
+  return mainHop ? { address: mainHop.swapInfo.ammKey, label: mainHop.swapInfo.label } : null;
+}
+
 /**
- * Execute live market buy through Jupiter
+ * Execute live market buy through Jupiter, paying with the quote asset
+ * @param {number} amountUsd Trade size in USD, converted to the quote asset
+ * @param {number} slippage Slippage tolerance in %
+ * @param {string|null} walletName Wallet that pays and receives the tokens
+ * @returns {Promise<Object>} { id, filledPrice (USD per whole token), quotePrice (quote asset per whole token),
+ *   amountOut (whole tokens), amountIn (USD), quoteAmountIn, quoteUsdPrice, pool, fee, success }
  */
-async function executeLiveBuy(mintAddress, amountUsdc) {
-  if (!wallet) throw new Error('Wallet not initialized');
+async function executeJupiterBuy(mintAddress, amountUsd, slippage = config.DEFAULT_SLIPPAGE, walletName = null) {
+  const wallet = await getWallet(walletName);
   
   try {
-    const inputMint = config.USDC_MINT_ADDRESS;
-    const outputMint = mintAddress;
-    const amount = Math.floor(amountUsdc * 1_000_000); // Convert to USDC decimals
+    const spend = await quoteAsset.usdToRaw(amountUsd);
+    const decimals = await getDecimals(mintAddress);
     
     // Get quote
     const quote = await getJupiterQuote(
-      inputMint, 
-      outputMint, 
-      amount, 
-      config.DEFAULT_SLIPPAGE * 100
+      quoteAsset.getQuoteAsset().mint,
+      mintAddress,
+      spend.raw,
+      Math.round(slippage * 100)
     );
     
     if (!quote || !quote.outAmount) {
       throw new Error('No quote available for swap');
     }
     
-    console.log(`Found route: ${amountUsdc} USDC → ~${parseInt(quote.outAmount) / 1e9} tokens`);
+    console.log(`Found route: ${quoteAsset.format(spend.amount)} ($${amountUsd.toFixed(2)}) → ~${parseInt(quote.outAmount) / Math.pow(10, decimals)} tokens`);
     
     // Execute swap
-    const result = await executeJupiterSwap(quote);
+    const result = await executeJupiterSwap(quote, FEE_URGENCY.AGGRESSIVE, wallet);
+    
+    // Price the fill from what the wallet actually received, not the quote
+    const tokensReceived = result.outAmount / Math.pow(10, decimals);
+    const quoteSpent = quoteAsset.fromRaw(result.inAmount);
     
-    const filledPrice = amount / parseInt(quote.outAmount);
+    if (!(tokensReceived > 0)) {
+      throw new Error(`Swap ${result.signature} confirmed but no tokens were received`);
+    }
     
     return {
       id: result.signature,
-      filledPrice,
-      amountOut: parseInt(quote.outAmount),
+      filledPrice: (quoteSpent * spend.usdPrice) / tokensReceived,
+      quotePrice: quoteSpent / tokensReceived,
+      amountOut: tokensReceived,
+      amountIn: quoteSpent * spend.usdPrice,
+      quoteAmountIn: quoteSpent,
+      quoteUsdPrice: spend.usdPrice,
+      pool: getMainPool(quote, mintAddress),
+      fee: result.fee,
       success: true
     };
   } catch (err) {
@@ -291,210 +495,1076 @@ async function executeLiveBuy(mintAddress, amountUsdc) {
 }
 
 /**
- * Check token safety using on-chain data
+ * Execute live market sell (token → quote asset) through Jupiter
+ * @param {string} mintAddress Token mint address
+ * @param {number|null} tokenAmount Whole tokens to sell, or null for the full balance
+ * @param {string} urgency FEE_URGENCY level for the priority fee
+ * @param {string|null} walletName Wallet holding the tokens
+ * @param {number} slippage Slippage tolerance in %
  */
-async function checkTokenSafety(mintAddress) {
+async function executeJupiterSell(mintAddress, tokenAmount = null, urgency = FEE_URGENCY.AGGRESSIVE, walletName = null, slippage = config.EXIT_SLIPPAGE) {
+  const wallet = await getWallet(walletName);
+  
   try {
-    const mint = new PublicKey(mintAddress);
+    const { amount, balanceRaw, decimals } = await getSellAmount(wallet, mintAddress, tokenAmount);
     
-    // Get token account info
-    const accountInfo = await connection.getAccountInfo(mint);
-    if (!accountInfo) {
-      return { safe: false, reason: 'Token account not found' };
+    const quote = await getJupiterQuote(
+      mintAddress,
+      quoteAsset.getQuoteAsset().mint,
+      amount,
+      Math.round(slippage * 100)
+    );
+    
+    if (!quote || !quote.outAmount) {
+      throw new Error('No quote available for exit');
     }
     
-    // Try to get price/liquidity from Jupiter
-    let liquidity = 0;
-    let priceImpact = 0;
+    const unit = Math.pow(10, decimals);
+    console.log(`Found exit route: ${amount / unit} tokens → ~${quoteAsset.format(quoteAsset.fromRaw(quote.outAmount))}`);
     
-    try {
-      // Test swap of $100 to check liquidity and price impact
-      const testAmount = 100_000_000; // 100 USDC
-      const quote = await getJupiterQuote(
-        config.USDC_MINT_ADDRESS,
-        mintAddress,
-        testAmount,
-        1000 // 10% for safety check
-      );
-      
-      if (quote && quote.outAmount) {
-        // Estimate price impact based on quote vs linear scaling
-        const expectedOut = (testAmount / 1_000_000) * parseInt(quote.outAmount);
-        priceImpact = Math.abs(1 - (parseInt(quote.outAmount) / expectedOut)) * 100;
-        
-        // Estimate liquidity based on price impact
-        if (priceImpact < 1) liquidity = 100000; // Good liquidity
-        else if (priceImpact < 5) liquidity = 50000; // Moderate
-        else if (priceImpact < 10) liquidity = 10000; // Low
-        else liquidity = 5000; // Very low
-      }
-    } catch (err) {
-      console.warn('Could not fetch Jupiter quote for safety check');
+    // Priced before swapping so a missing SOL/USD price can't strand a swap that landed
+    const usdPrice = await quoteAsset.getUsdPrice();
+    const result = await executeJupiterSwap(quote, urgency, wallet);
+    
+    // Actual amounts from the transaction, in whole tokens and the quote asset
+    const tokensSold = result.inAmount / unit;
+    const quoteReceived = quoteAsset.fromRaw(result.outAmount);
+    
+    if (!(tokensSold > 0)) {
+      throw new Error(`Swap ${result.signature} confirmed but no tokens were sold`);
     }
     
     return {
-      safe: liquidity >= config.MIN_LIQUIDITY_USD,
-      name: mintAddress.slice(0, 8),
-      liquidity,
-      priceImpact: priceImpact / 100, // Convert to decimal
-      reason: liquidity < config.MIN_LIQUIDITY_USD ? 'Insufficient liquidity' : null
+      id: result.signature,
+      fee: result.fee,
+      exitPrice: (quoteReceived * usdPrice) / tokensSold,
+      quotePrice: quoteReceived / tokensSold,
+      amountOut: quoteReceived * usdPrice,
+      quoteAmountOut: quoteReceived,
+      quoteUsdPrice: usdPrice,
+      amountSold: tokensSold,
+      remaining: Math.max(0, balanceRaw - result.inAmount) / unit,
+      success: true
     };
   } catch (err) {
-    console.error('Token safety check error:', err);
-    return { safe: false, reason: err.message };
+    console.error('Live sell error:', err);
+    throw err;
   }
 }
 
-// ----- Unified Interface -----
+/**
+ * Raw amount of a token to sell: tokenAmount (whole tokens) capped at what the
+ * wallet actually holds, or the whole balance
+ * @returns {Promise<Object>} { amount, balanceRaw, decimals }
+ * @throws {Error} Nothing to sell
+ */
+async function getSellAmount(wallet, mintAddress, tokenAmount) {
+  // Read the wallet's token account for the real balance and decimals
+  const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
+    wallet.publicKey,
+    { mint: new PublicKey(mintAddress) }
+  );
+  
+  if (tokenAccounts.value.length === 0) {
+    throw new Error('No token balance to sell');
+  }
+  
+  const tokenBalance = tokenAccounts.value[0].account.data.parsed.info.tokenAmount;
+  const balanceRaw = parseInt(tokenBalance.amount);
+  
+  // Never try to sell more than we actually hold
+  let amount = balanceRaw;
+  if (tokenAmount != null) {
+    amount = Math.min(balanceRaw, Math.floor(tokenAmount * Math.pow(10, tokenBalance.decimals)));
+  }
+  
+  if (amount <= 0) {
+    throw new Error('No token balance to sell');
+  }
+  
+  return { amount, balanceRaw, decimals: tokenBalance.decimals };
+}
 
-async function getAccountBalance() {
-  if (config.DRY_RUN) {
-    return simulationState.balance;
+// ----- pump.fun Bonding Curves -----
+// Tokens still on their bonding curve are priced from the curve account and
+// traded with the curve program's own instructions (see pumpFun.js). Curves
+// only trade against SOL, so with QUOTE_ASSET=USDC curve buys are paid from
+// the wallet's SOL and sells return SOL; fills are still reported in USD and
+// quote asset terms like any other.
+
+// Curve buys and sells, including opening the token account, fit well inside this
+const CURVE_COMPUTE_UNITS = 150000;
+let curveQuoteWarned = false;
+
+function warnCurveQuoteAsset() {
+  if (curveQuoteWarned || !quoteAsset.isUsd()) return;
+  curveQuoteWarned = true;
+  console.warn('⚠️ pump.fun curves only trade against SOL: curve buys are paid from the wallet\'s SOL and sells return SOL');
+}
+
+// Quote asset base units <-> lamports, at the SOL/USD price when quoting in USDC
+function quoteRawToLamports(raw, solUsd) {
+  if (!quoteAsset.isUsd()) return BigInt(raw);
+  return BigInt(Math.floor((quoteAsset.fromRaw(raw) / solUsd) * LAMPORTS_PER_SOL));
+}
+
+function lamportsToQuoteRaw(lamports, solUsd) {
+  if (!quoteAsset.isUsd()) return lamports;
+  return BigInt(quoteAsset.toRaw((Number(lamports) / LAMPORTS_PER_SOL) * solUsd));
+}
+
+/**
+ * Curve spot price
+ * @returns {Promise<number>} USD per whole token
+ */
+async function getCurvePrice(curve) {
+  return pumpFun.getSpotPrice(curve) * await quoteAsset.getSolUsdPrice();
+}
+
+/**
+ * Quote a swap against the curve in the shape of a Jupiter quote, so round
+ * trips and depth curves treat it like any other route
+ * @param {string} inputMint The quote asset (buy) or the curve's token (sell)
+ * @param {number|string} amount Raw input amount
+ * @returns {Promise<Object>} { inputMint, outputMint, inAmount, outAmount, priceImpactPct, routePlan }
+ */
+async function getCurveQuote(curve, inputMint, outputMint, amount) {
+  const { feeBps } = await pumpFun.getGlobal();
+  const solUsd = await quoteAsset.getSolUsdPrice();
+  const lamportsPerUnit = Number(curve.virtualSolReserves) / Number(curve.virtualTokenReserves);
+  
+  // Impact is the curve's alone; the fee is left out as it is in Jupiter's quotes
+  let outAmount;
+  let priceImpact;
+  if (outputMint === curve.mint) {
+    const lamports = quoteRawToLamports(amount, solUsd);
+    outAmount = pumpFun.getBuyTokens(curve, lamports, feeBps);
+    priceImpact = 1 - Number(pumpFun.getBuyTokens(curve, lamports, 0n)) / (Number(lamports) / lamportsPerUnit);
+  } else {
+    const tokens = BigInt(amount);
+    outAmount = lamportsToQuoteRaw(pumpFun.getSellLamports(curve, tokens, feeBps), solUsd);
+    priceImpact = 1 - Number(pumpFun.getSellLamports(curve, tokens, 0n)) / (Number(tokens) * lamportsPerUnit);
   }
   
+  return {
+    inputMint,
+    outputMint,
+    inAmount: String(amount),
+    outAmount: outAmount.toString(),
+    priceImpactPct: String(Math.max(0, priceImpact) || 0),
+    routePlan: [{ percent: 100, swapInfo: { ammKey: curve.address, label: 'pump.fun', inputMint, outputMint } }]
+  };
+}
+
+/**
+ * Sign and send curve instructions with a compute budget and priority fee
+ * @param {Object} quoted { inputMint, outputMint, inAmount, outAmount } of the swap, in SOL and the token
+ * @returns {Promise<Object>} Same as executeJupiterSwap
+ */
+async function executeCurveSwap(curve, instructions, quoted, urgency, wallet) {
   try {
-    if (!connection || !wallet) {
-      await initializeJupiter();
-    }
+    const priorityFee = await estimatePriorityFee([new PublicKey(curve.address)], urgency, CURVE_COMPUTE_UNITS);
+    console.log(`⛽ Priority fee: ${priorityFee.lamports} lamports (${urgency}, p${priorityFee.percentile} of ${priorityFee.samples} recent fees${priorityFee.capped ? ', capped' : ''})`);
     
-    // Get USDC token account
-    const usdcMint = new PublicKey(config.USDC_MINT_ADDRESS);
-    const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
-      wallet.publicKey,
-      { mint: usdcMint }
-    );
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    const message = new TransactionMessage({
+      payerKey: wallet.publicKey,
+      recentBlockhash: blockhash,
+      instructions: [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: CURVE_COMPUTE_UNITS }),
+        ComputeBudgetProgram.setComputeUnitPrice({
+          microLamports: Math.floor((priorityFee.lamports * 1e6) / CURVE_COMPUTE_UNITS)
+        }),
+        ...instructions
+      ]
+    }).compileToV0Message();
     
-    if (tokenAccounts.value.length === 0) {
-      return 0;
-    }
+    const transaction = new VersionedTransaction(message);
+    await simulateSwap(transaction);
+    transaction.sign([wallet]);
     
-    const balance = tokenAccounts.value[0].account.data.parsed.info.tokenAmount.uiAmount;
-    return balance || 0;
+    const signature = await sendAndConfirmSwap(transaction.serialize(), lastValidBlockHeight);
+    return await readSwapResult(signature, quoted, priorityFee, wallet);
   } catch (err) {
-    console.error('Error getting balance:', err);
+    console.error(`pump.fun swap execution error${err.type ? ` (${err.type})` : ''}: ${err.message}`);
     throw err;
   }
 }
 
-async function buyMarket(mintAddress, amountUsdc) {
-  if (config.DRY_RUN) {
-    // Paper trading logic
-    if (!simulationState.prices[mintAddress]) {
-      simulationState.prices[mintAddress] = Math.random() * 0.1 + 0.00001;
+/**
+ * Buy from the curve with SOL. The buy is for an exact token amount and
+ * slippage caps the SOL it may cost. The wallet's SOL (less SOL_FEE_RESERVE)
+ * caps the buy, since a USDC-sized trade is still paid in SOL here.
+ * @returns {Promise<Object>} Same as executeJupiterBuy
+ */
+async function executeCurveBuy(curve, amountUsd, slippage = config.DEFAULT_SLIPPAGE, walletName = null) {
+  const wallet = await getWallet(walletName);
+  
+  try {
+    warnCurveQuoteAsset();
+    const solUsd = await quoteAsset.getSolUsdPrice();
+    const quoteUsdPrice = await quoteAsset.getUsdPrice();
+    const global = await pumpFun.getGlobal();
+    
+    let lamports = BigInt(Math.floor((amountUsd / solUsd) * LAMPORTS_PER_SOL));
+    const slippageBps = BigInt(Math.round((100 + slippage) * 100));
+    
+    // Room for the full slippage allowance, with SOL_FEE_RESERVE left for fees and rent
+    const reserve = BigInt(Math.round(config.SOL_FEE_RESERVE * LAMPORTS_PER_SOL));
+    const spendable = BigInt(await connection.getBalance(wallet.publicKey)) - reserve;
+    const affordable = spendable > 0n ? spendable * 10000n / slippageBps : 0n;
+    if (affordable <= 0n) {
+      throw new SwapError(
+        SWAP_ERROR.INSUFFICIENT_FUNDS,
+        `Not enough SOL for a pump.fun curve buy (${config.SOL_FEE_RESERVE} SOL is kept for fees)`
+      );
+    }
+    if (lamports > affordable) {
+      console.warn(`⚠️ Curve buy capped at ${quoteAsset.format(Number(affordable) / LAMPORTS_PER_SOL, 'SOL')} to fit the wallet's spendable SOL`);
+      lamports = affordable;
+    }
+    
+    const tokenAmount = pumpFun.getBuyTokens(curve, lamports, global.feeBps);
+    if (tokenAmount <= 0n) {
+      throw new Error('Bonding curve has no tokens left to buy');
     }
     
-    const price = simulationState.prices[mintAddress];
-    const tokenAmount = amountUsdc / price;
+    const maxSolCost = lamports * slippageBps / 10000n;
+    const unit = Math.pow(10, pumpFun.TOKEN_DECIMALS);
+    const usdAmount = (Number(lamports) / LAMPORTS_PER_SOL) * solUsd;
+    console.log(`Found route: pump.fun curve ${quoteAsset.format(Number(lamports) / LAMPORTS_PER_SOL, 'SOL')} ($${usdAmount.toFixed(2)}) → ~${Number(tokenAmount) / unit} tokens`);
     
-    simulationState.balance -= amountUsdc;
-    simulationState.positions[mintAddress] = {
-      entryPrice: price,
-      amount: tokenAmount,
-      timestamp: Date.now()
-    };
+    const result = await executeCurveSwap(
+      curve,
+      pumpFun.buildBuyInstructions(curve, wallet.publicKey, global, tokenAmount, maxSolCost),
+      { inputMint: quoteAsset.SOL_MINT, outputMint: curve.mint, inAmount: lamports.toString(), outAmount: tokenAmount.toString() },
+      FEE_URGENCY.AGGRESSIVE,
+      wallet
+    );
     
-    saveState();
+    const tokensReceived = result.outAmount / unit;
+    const usdSpent = (result.inAmount / LAMPORTS_PER_SOL) * solUsd;
+    
+    if (!(tokensReceived > 0)) {
+      throw new Error(`Swap ${result.signature} confirmed but no tokens were received`);
+    }
     
     return {
-      id: `sim-buy-${Date.now()}`,
-      filledPrice: price,
-      amountOut: tokenAmount,
+      id: result.signature,
+      filledPrice: usdSpent / tokensReceived,
+      quotePrice: usdSpent / quoteUsdPrice / tokensReceived,
+      amountOut: tokensReceived,
+      amountIn: usdSpent,
+      quoteAmountIn: usdSpent / quoteUsdPrice,
+      quoteUsdPrice,
+      pool: { address: curve.address, label: 'pump.fun' },
+      fee: result.fee,
       success: true
     };
+  } catch (err) {
+    console.error('Live buy error:', err);
+    throw err;
   }
-  
-  // Live trading
-  if (!connection || !wallet) {
-    await initializeJupiter();
-  }
-  
-  return executeLiveBuy(mintAddress, amountUsdc);
 }
 
-async function placeStopLoss(mintAddress, amount, stopPrice) {
-  if (config.DRY_RUN) {
-    const order = {
-      id: `sim-stop-${Date.now()}`,
-      token: mintAddress,
-      type: 'stop',
-      price: stopPrice,
-      amount: simulationState.positions[mintAddress]?.amount || amount
+/**
+ * Sell to the curve for SOL, accepting up to `slippage` % less than quoted
+ * @returns {Promise<Object>} Same as executeJupiterSell
+ */
+async function executeCurveSell(curve, tokenAmount = null, urgency = FEE_URGENCY.AGGRESSIVE, walletName = null, slippage = config.EXIT_SLIPPAGE) {
+  const wallet = await getWallet(walletName);
+  
+  try {
+    warnCurveQuoteAsset();
+    const { amount, balanceRaw, decimals } = await getSellAmount(wallet, curve.mint, tokenAmount);
+    const global = await pumpFun.getGlobal();
+    
+    const expected = pumpFun.getSellLamports(curve, BigInt(amount), global.feeBps);
+    const minSolOutput = expected * BigInt(Math.round((100 - slippage) * 100)) / 10000n;
+    const unit = Math.pow(10, decimals);
+    console.log(`Found exit route: pump.fun curve ${amount / unit} tokens → ~${quoteAsset.format(Number(expected) / LAMPORTS_PER_SOL, 'SOL')}`);
+    
+    // Priced before swapping so a missing SOL/USD price can't strand a swap that landed
+    const solUsd = await quoteAsset.getSolUsdPrice();
+    const quoteUsdPrice = await quoteAsset.getUsdPrice();
+    const result = await executeCurveSwap(
+      curve,
+      pumpFun.buildSellInstructions(curve, wallet.publicKey, global, BigInt(amount), minSolOutput),
+      { inputMint: curve.mint, outputMint: quoteAsset.SOL_MINT, inAmount: String(amount), outAmount: expected.toString() },
+      urgency,
+      wallet
+    );
+    
+    const tokensSold = result.inAmount / unit;
+    const usdReceived = (result.outAmount / LAMPORTS_PER_SOL) * solUsd;
+    
+    if (!(tokensSold > 0)) {
+      throw new Error(`Swap ${result.signature} confirmed but no tokens were sold`);
+    }
+    
+    return {
+      id: result.signature,
+      fee: result.fee,
+      exitPrice: usdReceived / tokensSold,
+      quotePrice: usdReceived / quoteUsdPrice / tokensSold,
+      amountOut: usdReceived,
+      quoteAmountOut: usdReceived / quoteUsdPrice,
+      quoteUsdPrice,
+      amountSold: tokensSold,
+      remaining: Math.max(0, balanceRaw - result.inAmount) / unit,
+      success: true
     };
-    simulationState.orders.push(order);
-    saveState();
-    return order;
+  } catch (err) {
+    console.error('Live sell error:', err);
+    throw err;
   }
-  
-  // Live trading - return a simulated order that the trader.js will monitor
-  return {
-    id: `stop-${Date.now()}`,
-    token: mintAddress,
-    type: 'stop',
-    price: stopPrice,
-    amount,
-    status: 'pending'
-  };
 }
 
-async function placeTakeProfit(mintAddress, amount, tpPrice) {
-  if (config.DRY_RUN) {
-    const order = {
-      id: `sim-tp-${Date.now()}`,
-      token: mintAddress,
-      type: 'limit',
-      price: tpPrice,
-      amount
-    };
-    simulationState.orders.push(order);
-    saveState();
-    return order;
-  }
-  
-  // Live trading - return a simulated order that the trader.js will monitor
+// ----- DEX Adapters -----
+// Every live price, quote, buy and sell goes through the adapter for where the
+// token trades: its pump.fun bonding curve while it has one, Jupiter routing
+// otherwise. A curve that completes has migrated to an AMM pool, so the token
+// switches to Jupiter from then on. Adapters share one interface and fill shape.
+
+const jupiterAdapter = {
+  name: 'jupiter',
+  getPrice: getJupiterPrice,
+  quote: getJupiterQuote,
+  buy: executeJupiterBuy,
+  sell: executeJupiterSell
+};
+
+/**
+ * Adapter bound to the curve state it was resolved with
+ */
+function bondingCurveAdapter(curve) {
   return {
-    id: `tp-${Date.now()}`,
-    token: mintAddress,
-    type: 'limit',
-    price: tpPrice,
-    amount,
-    status: 'pending'
+    name: 'pump.fun',
+    getPrice: () => getCurvePrice(curve),
+    quote: (inputMint, outputMint, amount) => getCurveQuote(curve, inputMint, outputMint, amount),
+    buy: (mintAddress, amountUsd, slippage, walletName) => executeCurveBuy(curve, amountUsd, slippage, walletName),
+    sell: (mintAddress, tokenAmount, urgency, walletName, slippage) => executeCurveSell(curve, tokenAmount, urgency, walletName, slippage)
   };
 }
 
-async function modifyOrder(orderId, updates) {
-  if (config.DRY_RUN) {
-    const idx = simulationState.orders.findIndex(o => o.id === orderId);
-    if (idx < 0) throw new Error(`Order ${orderId} not found`);
-    
-    simulationState.orders[idx] = { 
-      ...simulationState.orders[idx], 
-      ...updates, 
-      lastUpdated: Date.now() 
-    };
-    saveState();
-    return { id: orderId, ...updates };
+/**
+ * The adapter a token trades through right now
+ * @returns {Promise<Object>} { name, getPrice, quote, buy, sell }
+ */
+async function getDexAdapter(mintAddress) {
+  try {
+    const curve = await pumpFun.getActiveCurve(mintAddress);
+    if (curve) return bondingCurveAdapter(curve);
+  } catch (err) {
+    console.warn(`⚠️ Could not read the pump.fun curve for ${mintAddress}, routing through Jupiter: ${err.message}`);
   }
-  
+  return jupiterAdapter;
+}
+
+/**
+ * Real-time price from the token's DEX
+ * @returns {Promise<number>} USD per whole token
+ */
+async function getLivePrice(mintAddress) {
+  return (await getDexAdapter(mintAddress)).getPrice(mintAddress);
+}
+
+/**
+ * Execute live market buy, paying with the quote asset (SOL on a bonding curve)
+ * @returns {Promise<Object>} See executeJupiterBuy
+ */
+async function executeLiveBuy(mintAddress, amountUsd, slippage = config.DEFAULT_SLIPPAGE, walletName = null) {
+  return (await getDexAdapter(mintAddress)).buy(mintAddress, amountUsd, slippage, walletName);
+}
+
+/**
+ * Execute live market sell back to the quote asset (SOL on a bonding curve)
+ * @param {number} slippage Slippage tolerance in %
+ * @returns {Promise<Object>} See executeJupiterSell
+ */
+async function executeLiveSell(mintAddress, tokenAmount = null, urgency = FEE_URGENCY.AGGRESSIVE, walletName = null, slippage = config.EXIT_SLIPPAGE) {
+  return (await getDexAdapter(mintAddress)).sell(mintAddress, tokenAmount, urgency, walletName, slippage);
+}
+
+/**
+ * Price a changed pool account straight from its data, without a quote: only
+ * bonding curves can be read this way
+ * @returns {number|null} USD per whole token, or null if the account can't be priced
+ */
+function decodePoolPrice(mintAddress, accountInfo) {
+  const curve = pumpFun.decodeCurve(accountInfo && accountInfo.data);
+  const solUsd = quoteAsset.getCachedSolUsdPrice();
+  if (!curve || curve.complete || !solUsd) return null;
+  return pumpFun.getSpotPrice(curve) * solUsd;
+}
+
+// ----- Live Order Engine -----
+// Pending stop-loss and take-profit orders for live positions. Tokens with
+// orders are watched on the shared price stream, each price update is checked
+// against their orders, and triggered ones are filled with a real token →
+// quote asset swap. Orders are saved to disk so they survive a restart (see
+// restoreLiveOrders).
+const LIVE_ORDERS_FILE = path.join(__dirname, 'data', 'live-orders.json');
+const liveOrders = new Map();
+const checkingTokens = new Set();
+let liveOrderSeq = 0;
+
+function saveLiveOrders() {
+  try {
+    const dataDir = path.dirname(LIVE_ORDERS_FILE);
+    if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(LIVE_ORDERS_FILE, JSON.stringify(Array.from(liveOrders.values()), null, 2));
+  } catch (e) {
+    console.error('Save live orders error:', e);
+  }
+}
+
+function addLiveOrder(order) {
+  liveOrders.set(order.id, order);
+  saveLiveOrders();
+  priceStream.watch(order.token, 'orders');
+  return order;
+}
+
+function removeLiveOrder(orderId) {
+  const order = liveOrders.get(orderId);
+  if (!order) return false;
+  
+  liveOrders.delete(orderId);
+  saveLiveOrders();
+  if (getLiveOrders(order.token).length === 0) priceStream.unwatch(order.token, 'orders');
+  return true;
+}
+
+/**
+ * Reload the live orders saved by a previous run and reconcile them with the
+ * wallet: orders for tokens no longer held are dropped and amounts are capped
+ * at the current on-chain balance. Orders whose balance can't be read are kept
+ * as saved; the trade restore retries the balance and cancels them if it is empty.
+ * @returns {Promise<Array>} The restored orders
+ */
+async function restoreLiveOrders() {
+  if (config.DRY_RUN || !fs.existsSync(LIVE_ORDERS_FILE)) return [];
+  
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(LIVE_ORDERS_FILE, 'utf8'));
+  } catch (e) {
+    console.error('Error loading live orders:', e);
+    return [];
+  }
+  
+  const tokens = new Set(saved.map(o => o.token));
+  for (const token of tokens) {
+    const orders = saved.filter(o => o.token === token);
+    
+    let position = null;
+    try {
+      position = await getPosition(token, orders[0].wallet);
+    } catch (err) {
+      console.warn(`⚠️ Couldn't read the ${token} balance (${err.message}), keeping ${orders.length} saved order(s) as they were`);
+    }
+    
+    if (position && !position.size) {
+      console.warn(`⚠️ No ${token} balance left in wallet "${walletRegistry.resolveWallet(orders[0].wallet)}", dropping ${orders.length} saved order(s)`);
+      continue;
+    }
+    
+    for (const order of orders) {
+      let amount = order.amount;
+      if (position) amount = order.type === 'stop' ? position.size : Math.min(order.amount, position.size);
+      
+      // An order caught mid-fill is retried; the balance check covers a swap that landed.
+      // Abandoned orders stay abandoned until the position is closed.
+      liveOrders.set(order.id, {
+        ...order,
+        status: order.status === 'failed' ? 'failed' : 'pending',
+        amount
+      });
+    }
+  }
+  
+  saveLiveOrders();
+  if (liveOrders.size > 0) {
+    console.log(`🔄 Restored ${liveOrders.size} live order(s)`);
+    for (const order of liveOrders.values()) priceStream.watch(order.token, 'orders');
+  }
+  
+  return getLiveOrders();
+}
+
+/**
+ * Check a token's pending live orders against a streamed price. Updates that
+ * arrive while its orders are filling are skipped; failed fills retry on the next.
+ */
+async function checkLiveOrders({ mint: token, price }) {
+  if (checkingTokens.has(token)) return;
+  checkingTokens.add(token);
+  
+  try {
+    // Stops take priority over take-profits for the same token
+    const orders = Array.from(liveOrders.values())
+      .filter(o => o.token === token && o.status === 'pending')
+      .sort((a, b) => (a.type === 'stop' ? -1 : 1) - (b.type === 'stop' ? -1 : 1));
+    
+    for (const order of orders) {
+      if (!liveOrders.has(order.id)) continue; // Removed by an earlier fill
+      
+      const triggered = (order.type === 'stop' && price <= order.price) ||
+        (order.type === 'limit' && price >= order.price);
+      
+      if (triggered) {
+        await fillLiveOrder(order, price);
+      }
+    }
+  } finally {
+    checkingTokens.delete(token);
+  }
+}
+
+/**
+ * Fill a triggered live order and write the result back to tradeStore
+ */
+async function fillLiveOrder(order, triggerPrice) {
+  const label = order.type === 'stop' ? 'Stop-loss' : 'Take-profit';
+  console.log(`${order.type === 'stop' ? '🔴' : '🟢'} ${label} triggered for ${order.token} at ${triggerPrice}`);
+  
+  order.status = 'filling';
+  
+  try {
+    // Stops exit the whole position, take-profits only their portion
+    const fill = await executeLiveSell(
+      order.token,
+      order.type === 'stop' ? null : order.amount,
+      getFeeUrgency(order),
+      order.wallet,
+      getExitSlippage(order)
+    );
+    const positionClosed = order.type === 'stop' || fill.remaining <= 0;
+    
+    // Profit on the sold portion, from proceeds and the entry/exit price ratio
+    const profit = order.entryPrice
+      ? fill.amountOut * (1 - order.entryPrice / fill.exitPrice)
+      : null;
+    
+    order.status = 'filled';
+    removeLiveOrder(order.id);
+    
+    console.log(`✅ ${label} filled for ${order.token}: ${fill.amountSold} tokens → ${quoteAsset.format(fill.quoteAmountOut)} ($${fill.amountOut.toFixed(2)})`);
+    
+    if (positionClosed) {
+      // Remaining orders for this token have nothing left to sell
+      for (const o of Array.from(liveOrders.values())) {
+        if (o.token === order.token) removeLiveOrder(o.id);
+      }
+    }
+    
+    const realizedProfit = recordFill(order, fill, profit, positionClosed);
+    
+    if (positionClosed) {
+      emitPositionClosed({
+        contractAddress: order.token,
+        entryPrice: order.entryPrice,
+        exitPrice: fill.exitPrice,
+        exitType: getExitType(order),
+        profit: realizedProfit != null ? realizedProfit : profit,
+        tradeId: order.tradeId
+      });
+    }
+    
+    return fill;
+  } catch (err) {
+    order.attempts = (order.attempts || 0) + 1;
+    order.lastError = err.message;
+    order.lastErrorType = err.type || null;
+    
+    // The next attempt bids more: wider slippage after a missed price, a higher fee after expiring
+    if (err.type === SWAP_ERROR.SLIPPAGE) order.slippageFailures = (order.slippageFailures || 0) + 1;
+    if (err.type === SWAP_ERROR.EXPIRED) order.expiredAttempts = (order.expiredAttempts || 0) + 1;
+    
+    // Retrying can't fix an empty wallet. A stop keeps retrying slippage and
+    // expiry for as long as it takes; everything else gets MAX_RETRIES.
+    const retryable = err.type === SWAP_ERROR.SLIPPAGE || err.type === SWAP_ERROR.EXPIRED;
+    const exhausted = order.attempts >= config.MAX_RETRIES && !(order.type === 'stop' && retryable);
+    
+    if (err.type === SWAP_ERROR.INSUFFICIENT_FUNDS || exhausted) {
+      abandonLiveOrder(order, label);
+    } else {
+      order.status = 'pending';
+      saveLiveOrders();
+      console.warn(`⚠️ ${label} for ${order.token} failed (attempt ${order.attempts}), retrying at ${getExitSlippage(order)}% slippage, ${getFeeUrgency(order)} fee: ${err.message}`);
+    }
+    
+    recordLiveFailure(order);
+    return null;
+  }
+}
+
+/**
+ * Stop filling an order. It stays in liveOrders as 'failed' so it is still
+ * listed (and removed with the position), the trade is flagged unprotected
+ * when it was the stop-loss, and the user is alerted.
+ */
+function abandonLiveOrder(order, label) {
+  order.status = 'failed';
+  saveLiveOrders();
+  console.error(`❌ ${label} for ${order.token} abandoned after ${order.attempts} attempt(s): ${order.lastError}`);
+  
+  const trade = order.tradeId ? tradeStore.trades.find(t => t.id === order.tradeId) : null;
+  if (trade && order.type === 'stop') {
+    tradeStore.updateTrade(order.tradeId, { unprotected: true, unprotectedSince: Date.now() });
+  }
+  
+  notifier.notifyExitAbandoned(trade || { contractAddress: order.token }, order);
+}
+
+// Priority fee levels an exit steps up through each time it expires
+const FEE_ESCALATION = [FEE_URGENCY.NORMAL, FEE_URGENCY.AGGRESSIVE, FEE_URGENCY.VERY_AGGRESSIVE];
+
+/**
+ * How hard to bid for block space when an order fills
+ */
+function getFeeUrgency(order) {
+  let level = 1;
+  if (order.type === 'limit') level = 0;
+  if (order.type === 'stop' && order.trailing) level = 2;
+  
+  return FEE_ESCALATION[Math.min(level + (order.expiredAttempts || 0), FEE_ESCALATION.length - 1)];
+}
+
+/**
+ * Slippage (%) for an order's next fill: EXIT_SLIPPAGE, widened by
+ * SLIPPAGE_RETRY_STEP per slippage failure up to MAX_SLIPPAGE (never below EXIT_SLIPPAGE)
+ */
+function getExitSlippage(order) {
+  const widened = config.EXIT_SLIPPAGE + (order.slippageFailures || 0) * config.SLIPPAGE_RETRY_STEP;
+  return Math.min(widened, Math.max(config.MAX_SLIPPAGE, config.EXIT_SLIPPAGE));
+}
+
+function getExitType(order) {
+  if (order.type === 'stop') return 'stoploss';
+  if (order.type === 'limit') return 'takeprofit';
+  return 'manual';
+}
+
+/**
+ * Profit on a fill in the quote asset. Live fills compare the quote asset
+ * prices of entry and exit, so SOL/USD moves don't leak in; paper fills are
+ * in USD and are converted at the last SOL/USD price.
+ */
+function getQuoteProfit(order, fill, profit) {
+  if (fill.quoteAmountOut != null && fill.quotePrice && order.entryQuotePrice) {
+    return fill.quoteAmountOut * (1 - order.entryQuotePrice / fill.quotePrice);
+  }
+  
+  const usdPrice = quoteAsset.getCachedUsdPrice();
+  return profit != null && usdPrice ? profit / usdPrice : null;
+}
+
+/**
+ * Write a fill (live or paper) back to its tradeStore record
+ * @returns {number|null} Realized profit (USD) on the trade so far, or null if untracked
+ */
+function recordFill(order, fill, profit, positionClosed) {
+  if (!order.tradeId) return null;
+  
+  const trade = tradeStore.trades.find(t => t.id === order.tradeId);
+  if (!trade) return null;
+  
+  const fills = [...(trade.fills || []), {
+    orderId: order.id,
+    type: order.type,
+    signature: fill.id,
+    amountSold: fill.amountSold,
+    amountOut: fill.amountOut,
+    quoteAmountOut: fill.quoteAmountOut != null ? fill.quoteAmountOut : null,
+    exitPrice: fill.exitPrice,
+    profit,
+    profitQuote: getQuoteProfit(order, fill, profit),
+    fee: fill.fee || null,
+    timestamp: Date.now()
+  }];
+  const realizedProfit = fills.reduce((sum, f) => sum + (f.profit || 0), 0);
+  const realizedProfitQuote = fills.reduce((sum, f) => sum + (f.profitQuote || 0), 0);
+  const quote = { quoteAsset: trade.quoteAsset || quoteAsset.getQuoteAsset().symbol, realizedProfitQuote };
+  
+  if (positionClosed) {
+    const updated = tradeStore.updateTrade(order.tradeId, {
+      fills,
+      ...quote,
+      exitPrice: fill.exitPrice,
+      exitTimestamp: Date.now(),
+      exitType: getExitType(order)
+    });
+    tradeStore.closeTrade(order.tradeId, realizedProfit);
+    notifier.notifyTradeExit({ ...updated, profit: realizedProfit, profitQuote: realizedProfitQuote }, updated.exitType);
+  } else {
+    tradeStore.updateTrade(order.tradeId, {
+      fills,
+      ...quote,
+      remainingAmount: fill.remaining,
+      realizedProfit
+    });
+  }
+  
+  return realizedProfit;
+}
+
+/**
+ * Register a callback for fully closed positions (live and paper)
+ * @param {Function} listener Receives { contractAddress, entryPrice, exitPrice, exitType, profit, tradeId }
+ */
+function onPositionClosed(listener) {
+  positionClosedListeners.push(listener);
+}
+
+function emitPositionClosed(closed) {
+  for (const listener of positionClosedListeners) {
+    try {
+      listener(closed);
+    } catch (err) {
+      console.error(`⚠️ Position close listener error: ${err.message}`);
+    }
+  }
+}
+
+function recordLiveFailure(order) {
+  if (!order.tradeId) return;
+  
+  const trade = tradeStore.trades.find(t => t.id === order.tradeId);
+  if (!trade) return;
+  
+  tradeStore.updateTrade(order.tradeId, {
+    orderFailures: [...(trade.orderFailures || []), {
+      orderId: order.id,
+      type: order.type,
+      error: order.lastError,
+      errorType: order.lastErrorType,
+      attempts: order.attempts,
+      gaveUp: order.status === 'failed',
+      timestamp: Date.now()
+    }]
+  });
+}
+
+/**
+ * Get pending live orders (optionally for a single token)
+ */
+function getLiveOrders(mintAddress = null) {
+  return Array.from(liveOrders.values())
+    .filter(o => !mintAddress || o.token === mintAddress);
+}
+
+/**
+ * Get pending stop-loss/take-profit orders in either mode
+ */
+function getOpenOrders(mintAddress = null) {
+  if (config.DRY_RUN) return simulator.getOpenOrders(mintAddress);
+  return getLiveOrders(mintAddress);
+}
+
+/**
+ * Last known price without a network round trip (null if never seen)
+ */
+function getLastPrice(mintAddress) {
+  if (config.DRY_RUN) return simulator.state.prices[mintAddress] || null;
+  return priceStream.getLastPrice(mintAddress);
+}
+
+/**
+ * Quote quote asset → token for amountUsd, then token → quote asset for what
+ * the buy would return. A token with no sell route, or one that loses most of
+ * its value on the way back, is likely a honeypot.
+ * @returns {Promise<Object>} { buyPriceImpact, sellPriceImpact, roundTripLoss, sellable, pool } (fractions)
+ */
+async function quoteRoundTrip(mintAddress, amountUsd) {
+  const quoteMint = quoteAsset.getQuoteAsset().mint;
+  const amountIn = (await quoteAsset.usdToRaw(amountUsd)).raw;
+  const dex = await getDexAdapter(mintAddress);
+  const buyQuote = await dex.quote(quoteMint, mintAddress, amountIn, 1000);
+  
+  if (!buyQuote || !buyQuote.outAmount) {
+    throw new Error('No buy route');
+  }
+  
+  const result = {
+    buyPriceImpact: parseFloat(buyQuote.priceImpactPct) || 0,
+    sellPriceImpact: null,
+    roundTripLoss: 1,
+    sellable: false,
+    pool: getMainPool(buyQuote, mintAddress)
+  };
+  
+  try {
+    const sellQuote = await dex.quote(mintAddress, quoteMint, buyQuote.outAmount, 1000);
+    if (sellQuote && sellQuote.outAmount) {
+      result.sellPriceImpact = parseFloat(sellQuote.priceImpactPct) || 0;
+      result.roundTripLoss = 1 - parseInt(sellQuote.outAmount) / amountIn;
+      result.sellable = true;
+    }
+  } catch (err) {
+    // No route back to the quote asset - leave it flagged as unsellable
+  }
+  
+  return result;
+}
+
+// Buy sizes (USD) quoted to build a depth curve, and how long a curve is reused
+const DEPTH_QUOTE_SIZES = [10, 100, 1000, 10000, 100000];
+const DEPTH_CACHE_MS = 2 * 60 * 1000;
+const depthCache = new Map();
+
+/**
+ * Measure pool depth by quoting buys of increasing size. Each quote's price
+ * impact gives a constant-product estimate of the quote side of the pool
+ * (reserve = size * (1 - impact) / impact); liquidity is twice the median.
+ * @returns {Promise<Object>} { curve: [{ sizeUsd, priceImpact }], liquidityUsd, maxTradeUsd }
+ */
+async function getLiquidityDepth(mintAddress) {
+  const cached = depthCache.get(mintAddress);
+  if (cached && Date.now() - cached.timestamp < DEPTH_CACHE_MS) return cached.depth;
+  
+  const { mint: quoteMint } = quoteAsset.getQuoteAsset();
+  const usdPrice = await quoteAsset.getUsdPrice();
+  const dex = await getDexAdapter(mintAddress);
+  
+  const curve = [];
+  for (const sizeUsd of DEPTH_QUOTE_SIZES) {
+    const quote = await dex.quote(quoteMint, mintAddress, quoteAsset.toRaw(sizeUsd / usdPrice), 1000);
+    if (!quote || !quote.outAmount) break;
+    
+    const priceImpact = parseFloat(quote.priceImpactPct) || 0;
+    curve.push({ sizeUsd, priceImpact });
+    
+    // Past half the pool there's nothing more to learn
+    if (priceImpact > 0.5) break;
+  }
+  
+  if (curve.length === 0) throw new Error('No buy route');
+  
+  // Impacts under 0.05% are rounding noise, so floor them (understates deep pools)
+  const reserves = curve
+    .filter(p => p.priceImpact < 0.5)
+    .map(p => {
+      const impact = Math.max(p.priceImpact, 0.0005);
+      return p.sizeUsd * (1 - impact) / impact;
+    })
+    .sort((a, b) => a - b);
+  const reserveUsd = reserves.length > 0
+    ? reserves[Math.floor(reserves.length / 2)]
+    : curve[0].sizeUsd * (1 - curve[0].priceImpact) / curve[0].priceImpact;
+  
+  const depth = {
+    curve,
+    liquidityUsd: reserveUsd * 2,
+    maxTradeUsd: maxSizeForImpact(curve, config.MAX_PRICE_IMPACT / 100)
+  };
+  
+  depthCache.set(mintAddress, { timestamp: Date.now(), depth });
+  return depth;
+}
+
+/**
+ * Largest buy that stays under maxImpact. Between the last quote under the
+ * limit and the first one over it, the pool is treated as constant-product.
+ * If every quoted size is under the limit the largest one is returned.
+ */
+function maxSizeForImpact(curve, maxImpact) {
+  let prevSize = 0;
+  
+  for (const point of curve) {
+    if (point.priceImpact > maxImpact) {
+      const reserve = point.sizeUsd * (1 - point.priceImpact) / point.priceImpact;
+      const size = reserve * maxImpact / (1 - maxImpact);
+      return Math.min(Math.max(size, prevSize), point.sizeUsd);
+    }
+    prevSize = point.sizeUsd;
+  }
+  
+  return prevSize;
+}
+
+/**
+ * Check token safety using on-chain data
+ */
+async function checkTokenSafety(mintAddress) {
+  try {
+    const mint = new PublicKey(mintAddress);
+    
+    // Get token account info
+    const accountInfo = await connection.getAccountInfo(mint);
+    if (!accountInfo) {
+      return { safe: false, reason: 'Token account not found' };
+    }
+    
+    // Quote a buy of our trade size and sell it straight back
+    let roundTrip = null;
+    let depth = null;
+    
+    try {
+      roundTrip = await quoteRoundTrip(mintAddress, config.TRADE_AMOUNT_USD || 100);
+      depth = await getLiquidityDepth(mintAddress);
+    } catch (err) {
+      console.warn(`Could not fetch Jupiter quote for safety check: ${err.message}`);
+    }
+    
+    const liquidity = depth ? depth.liquidityUsd : 0;
+    
+    return {
+      safe: liquidity >= config.MIN_LIQUIDITY_USD,
+      liquidity,
+      depth,
+      priceImpact: roundTrip ? roundTrip.buyPriceImpact : 0,
+      buyPriceImpact: roundTrip ? roundTrip.buyPriceImpact : null,
+      sellPriceImpact: roundTrip ? roundTrip.sellPriceImpact : null,
+      roundTripLoss: roundTrip ? roundTrip.roundTripLoss : null,
+      sellable: roundTrip ? roundTrip.sellable : null,
+      pool: roundTrip ? roundTrip.pool : null,
+      reason: liquidity < config.MIN_LIQUIDITY_USD ? 'Insufficient liquidity' : null
+    };
+  } catch (err) {
+    console.error('Token safety check error:', err);
+    return { safe: false, reason: err.message };
+  }
+}
+
+// ----- Unified Interface -----
+
+/**
+ * Spendable quote asset balance of one wallet, in USD
+ * @param {string|null} walletName Wallet from WALLETS; null for the default
+ */
+async function getAccountBalance(walletName = null) {
+  if (config.DRY_RUN) return simulator.getAccountBalance(walletRegistry.resolveWallet(walletName));
+  
+  try {
+    const wallet = await getWallet(walletName);
+    const asset = quoteAsset.getQuoteAsset();
+    let amount = 0;
+    
+    if (asset.native) {
+      // SOL_FEE_RESERVE stays behind for network fees and token account rent
+      const lamports = await connection.getBalance(wallet.publicKey);
+      amount = Math.max(0, lamports / LAMPORTS_PER_SOL - config.SOL_FEE_RESERVE);
+    } else {
+      const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
+        wallet.publicKey,
+        { mint: new PublicKey(asset.mint) }
+      );
+      
+      if (tokenAccounts.value.length > 0) {
+        amount = tokenAccounts.value[0].account.data.parsed.info.tokenAmount.uiAmount || 0;
+      }
+    }
+    
+    return amount > 0 ? amount * await quoteAsset.getUsdPrice() : 0;
+  } catch (err) {
+    console.error('Error getting balance:', err);
+    throw err;
+  }
+}
+
+/**
+ * Spendable balance of every configured wallet, in USD
+ * @returns {Promise<Object>} Wallet name -> balance, or null for a live wallet that isn't loaded
+ */
+async function getWalletBalances() {
+  const balances = {};
+  if (!config.DRY_RUN && wallets.size === 0) {
+    await initializeJupiter();
+  }
+  
+  for (const name of walletRegistry.getWalletNames()) {
+    const loaded = config.DRY_RUN || wallets.has(name);
+    balances[name] = loaded ? await getAccountBalance(name) : null;
+  }
+  
+  return balances;
+}
+
+/**
+ * Public address of a live wallet, or null in paper mode or if it isn't loaded
+ */
+function getWalletAddress(walletName = null) {
+  const wallet = wallets.get(walletRegistry.resolveWallet(walletName));
+  return wallet ? wallet.publicKey.toBase58() : null;
+}
+
+/**
+ * Market buy (paper or live)
+ * @param {number} amountUsd Trade size in USD; live buys pay in the quote asset
+ * @param {Object} meta Position metadata; meta.slippage (%) overrides DEFAULT_SLIPPAGE,
+ *   meta.wallet picks the wallet that pays
+ */
+async function buyMarket(mintAddress, amountUsd, meta = {}) {
+  if (config.DRY_RUN) return simulator.buyMarket(mintAddress, amountUsd, meta);
+  
+  return executeLiveBuy(mintAddress, amountUsd, meta.slippage, meta.wallet);
+}
+
+async function placeStopLoss(mintAddress, amount, stopPrice, meta = {}) {
+  if (config.DRY_RUN) return simulator.placeStopLoss(mintAddress, amount, stopPrice, meta);
+  
+  // Live trading - hand the order to the live order engine
+  return addLiveOrder({
+    id: `stop-${Date.now()}-${++liveOrderSeq}`,
+    token: mintAddress,
+    type: 'stop',
+    price: stopPrice,
+    amount,
+    status: 'pending',
+    trailing: Boolean(meta.trailing),
+    wallet: walletRegistry.resolveWallet(meta.wallet),
+    tradeId: meta.tradeId || null,
+    entryPrice: meta.entryPrice || null,
+    entryQuotePrice: meta.entryQuotePrice || null,
+    createdAt: Date.now()
+  });
+}
+
+async function placeTakeProfit(mintAddress, amount, tpPrice, meta = {}) {
+  if (config.DRY_RUN) return simulator.placeTakeProfit(mintAddress, amount, tpPrice, meta);
+  
+  // Live trading - hand the order to the live order engine
+  return addLiveOrder({
+    id: `tp-${Date.now()}-${++liveOrderSeq}`,
+    token: mintAddress,
+    type: 'limit',
+    price: tpPrice,
+    amount,
+    status: 'pending',
+    wallet: walletRegistry.resolveWallet(meta.wallet),
+    tradeId: meta.tradeId || null,
+    entryPrice: meta.entryPrice || null,
+    entryQuotePrice: meta.entryQuotePrice || null,
+    createdAt: Date.now()
+  });
+}
+
+async function modifyOrder(orderId, updates) {
+  if (config.DRY_RUN) return simulator.modifyOrder(orderId, updates);
+  
   // Live trading - update the monitored order
-  return { id: orderId, ...updates, modified: true };
+  const order = liveOrders.get(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+  
+  const { stopPrice, ...rest } = updates;
+  Object.assign(order, rest, { lastUpdated: Date.now() });
+  if (stopPrice != null) order.price = stopPrice;
+  saveLiveOrders();
+  
+  return order;
 }
 
 async function cancelOrder(orderId) {
-  if (config.DRY_RUN) {
-    const len = simulationState.orders.length;
-    simulationState.orders = simulationState.orders.filter(o => o.id !== orderId);
-    saveState();
-    return simulationState.orders.length < len;
-  }
+  if (config.DRY_RUN) return simulator.cancelOrder(orderId);
   
   // Live trading - remove from monitoring
-  return true;
+  return removeLiveOrder(orderId);
 }
 
 async function getCurrentPrice(mintAddress) {
-  if (config.DRY_RUN) {
-    return simulationState.prices[mintAddress] || 0;
-  }
+  if (config.DRY_RUN) return simulator.getCurrentPrice(mintAddress);
   
   try {
     return await getLivePrice(mintAddress);
@@ -504,16 +1574,17 @@ async function getCurrentPrice(mintAddress) {
   }
 }
 
-async function getPosition(mintAddress) {
-  if (config.DRY_RUN) {
-    const p = simulationState.positions[mintAddress];
-    return { size: p ? p.amount : 0 };
-  }
+/**
+ * Token balance of one wallet
+ * @param {string|null} walletName Wallet from WALLETS; null for the default
+ * @returns {Promise<Object>} { size } in whole tokens
+ * @throws When the balance can't be read (locked wallet, RPC error), so that is never mistaken for an empty position
+ */
+async function getPosition(mintAddress, walletName = null) {
+  if (config.DRY_RUN) return simulator.getPosition(mintAddress, walletRegistry.resolveWallet(walletName));
   
   try {
-    if (!connection || !wallet) {
-      await initializeJupiter();
-    }
+    const wallet = await getWallet(walletName);
     
     const mint = new PublicKey(mintAddress);
     const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
@@ -529,59 +1600,85 @@ async function getPosition(mintAddress) {
     return { size: balance || 0 };
   } catch (err) {
     console.error('Error getting position:', err);
-    return { size: 0 };
+    throw err;
   }
 }
 
-async function closePosition(mintAddress) {
+/**
+ * Market sell part of a position (manual exits). The fill is written to the
+ * trade's tradeStore record and a full exit fires onPositionClosed.
+ * @param {number|null} tokenAmount Whole tokens to sell, or null for everything
+ * @param {Object} meta { tradeId, entryPrice, entryQuotePrice, wallet } of the trade being sold
+ */
+async function sellMarket(mintAddress, tokenAmount = null, meta = {}) {
+  const walletName = walletRegistry.resolveWallet(meta.wallet);
+  
   if (config.DRY_RUN) {
-    const pos = simulationState.positions[mintAddress];
-    if (!pos) return { success: false, error: 'No position' };
-    
-    const price = simulationState.prices[mintAddress];
-    if (!price) return { success: false, error: 'No price' };
-    
-    const pnl = (price - pos.entryPrice) * pos.amount;
-    simulationState.balance += pos.amount * price;
-    delete simulationState.positions[mintAddress];
-    simulationState.orders = simulationState.orders.filter(o => o.token !== mintAddress);
-    saveState();
-    
-    return { success: true, profit: pnl, exitPrice: price };
+    const position = await simulator.getPosition(mintAddress, walletName);
+    return simulator.sellMarket(mintAddress, tokenAmount == null ? position.size : tokenAmount, { ...meta, wallet: walletName });
+  }
+  
+  const order = {
+    id: `sell-${Date.now()}-${++liveOrderSeq}`,
+    token: mintAddress,
+    type: 'market',
+    amount: tokenAmount,
+    wallet: walletName,
+    tradeId: meta.tradeId || null,
+    entryPrice: meta.entryPrice || null,
+    entryQuotePrice: meta.entryQuotePrice || null
+  };
+  
+  const fill = await executeLiveSell(mintAddress, tokenAmount, FEE_URGENCY.AGGRESSIVE, walletName);
+  const positionClosed = fill.remaining <= 0;
+  const profit = order.entryPrice
+    ? fill.amountOut * (1 - order.entryPrice / fill.exitPrice)
+    : null;
+  
+  if (positionClosed) {
+    // Pending orders have nothing left to sell once we exit
+    for (const o of getLiveOrders(mintAddress)) removeLiveOrder(o.id);
   }
   
+  const realizedProfit = recordFill(order, fill, profit, positionClosed);
+  
+  if (positionClosed) {
+    emitPositionClosed({
+      contractAddress: mintAddress,
+      entryPrice: order.entryPrice,
+      exitPrice: fill.exitPrice,
+      exitType: 'manual',
+      profit: realizedProfit != null ? realizedProfit : profit,
+      tradeId: order.tradeId
+    });
+  }
+  
+  return fill;
+}
+
+/**
+ * Sell a wallet's whole position back to the quote asset
+ * @param {string|null} walletName Wallet holding the position; null for the default
+ * @param {Object} meta { tradeId, entryPrice, entryQuotePrice } of the trade being closed
+ */
+async function closePosition(mintAddress, walletName = null, meta = {}) {
+  if (config.DRY_RUN) return simulator.closePosition(mintAddress, walletRegistry.resolveWallet(walletName), meta);
+  
   try {
     // Get current position
-    const position = await getPosition(mintAddress);
+    const position = await getPosition(mintAddress, walletName);
     if (position.size === 0) {
       return { success: false, error: 'No position to close' };
     }
     
-    // Swap tokens back to USDC using Jupiter
-    const outputMint = config.USDC_MINT_ADDRESS;
-    const inputMint = mintAddress;
-    
-    // Get amount in smallest unit (assuming 9 decimals for most tokens)
-    const amount = Math.floor(position.size * 1e9);
-    
-    const quote = await getJupiterQuote(
-      inputMint,
-      outputMint,
-      amount,
-      config.EXIT_SLIPPAGE * 100
-    );
-    
-    if (!quote || !quote.outAmount) {
-      throw new Error('No quote available for exit');
-    }
-    
-    const result = await executeJupiterSwap(quote);
-    const exitPrice = parseInt(quote.outAmount) / amount;
+    // Swap the full token balance back to the quote asset using Jupiter
+    const result = await sellMarket(mintAddress, null, { ...meta, wallet: walletName });
     
     return { 
       success: true, 
-      exitPrice,
-      amountOut: parseInt(quote.outAmount) / 1e6 // USDC amount
+      exitPrice: result.exitPrice,
+      amountOut: result.amountOut, // USD value
+      quoteAmountOut: result.quoteAmountOut
     };
   } catch (err) {
     console.error('Error closing position:', err);
@@ -589,8 +1686,83 @@ async function closePosition(mintAddress) {
   }
 }
 
-// Initialize on module load only for live trading
-if (!config.DRY_RUN) {
+// ----- Paper Trading Status -----
+
+/**
+ * Feed an external price into the simulator and trigger any orders
+ * (used by the replay harness instead of the simulated price walk)
+ */
+async function setSimulatedPrice(mintAddress, price) {
+  if (!simulator) throw new Error('Simulated prices are only available in paper trading mode');
+  return simulator.setPrice(mintAddress, price);
+}
+
+/**
+ * Paper account summary with open positions, or null in live mode
+ */
+function getPaperTradingStatus() {
+  if (!simulator) return null;
+  
+  const portfolio = simulator.getPortfolioSummary();
+  const positions = simulator.getActivePositions();
+  
+  return {
+    balance: portfolio.balance,
+    walletBalances: portfolio.walletBalances,
+    totalValue: portfolio.totalValue,
+    unrealizedPnL: portfolio.unrealizedPnL,
+    realizedPnL: portfolio.realizedPnL,
+    totalPnL: portfolio.totalPnL,
+    roi: portfolio.roi,
+    activePositions: positions.length,
+    totalTrades: portfolio.trades,
+    winRate: portfolio.winRate,
+    maxDrawdown: portfolio.maxDrawdown,
+    startingBalance: portfolio.startingBalance,
+    positions: positions.map(pos => ({
+      contractAddress: pos.contractAddress,
+      symbol: pos.symbol,
+      entryPrice: pos.entryPrice,
+      currentPrice: pos.currentPrice,
+      size: pos.amount,
+      value: pos.value,
+      pnl: pos.profit,
+      pnlPercent: pos.pnlPercent.toFixed(2),
+      timestamp: pos.timestamp,
+      channelId: pos.channelId,
+      channelName: pos.channelName,
+      wallet: pos.wallet
+    }))
+  };
+}
+
+// Paper fills go through the same bookkeeping as live ones
+if (simulator) {
+  simulator.onFill(({ order, fill, profit, positionClosed, position }) => {
+    recordFill(order, fill, profit, positionClosed);
+    
+    if (positionClosed) {
+      emitPositionClosed({
+        contractAddress: order.token,
+        entryPrice: position.entryPrice,
+        exitPrice: fill.exitPrice,
+        exitType: getExitType(order),
+        profit: position.realizedProfit,
+        tradeId: order.tradeId
+      });
+    }
+  });
+  simulator.onPrice((token, price) => priceStream.publish(token, price, 'simulator'));
+  simulator.start();
+} else {
+  // Live prices are streamed from pools and Jupiter; exit orders react to each update
+  priceStream.setPriceSource({ quote: getLivePrice, quoteMany: getJupiterPrices, decodePool: decodePoolPrice });
+  priceStream.onPrice(checkLiveOrders);
+}
+
+// Initialize on module load only for live trading; locked keystores are unlocked at startup instead
+const keystoresUnlockable = walletRegistry.getWalletNames().every(name => !keystore.exists(name) || keystore.canUnlock(name));
+if (!config.DRY_RUN && keystoresUnlockable) {
   initializeJupiter().catch(err => {
     console.warn('Failed to initialize Jupiter on load:', err.message);
   });
@@ -598,6 +1770,8 @@ if (!config.DRY_RUN) {
 
 module.exports = {
   getAccountBalance,
+  getWalletBalances,
+  getWalletAddress,
   buyMarket,
   placeStopLoss,
   placeTakeProfit,
@@ -606,6 +1780,18 @@ module.exports = {
   getCurrentPrice,
   getPosition,
   closePosition,
+  sellMarket,
   checkTokenSafety,
-  initializeJupiter
+  quoteRoundTrip,
+  getLiquidityDepth,
+  getLiveOrders,
+  getOpenOrders,
+  getLastPrice,
+  restoreLiveOrders,
+  onPositionClosed,
+  setSimulatedPrice,
+  getPaperTradingStatus,
+  initializeJupiter,
+  SwapError,
+  SWAP_ERROR
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+// holderAnalysis.js - Holder concentration and LP lock analysis
+// Looks at who holds a token's supply (ignoring AMM pools and burn addresses)
+// and whether the LP tokens of its main pool have been burned or locked.
+
+const { PublicKey } = require('@solana/web3.js');
+
+// Token accounts owned by these are burned supply
+const BURN_ADDRESSES = new Set([
+  '1nc1nerator11111111111111111111111111111111',
+  '11111111111111111111111111111111'
+]);
+
+// Pool vault authorities that are PDAs without account data
+const POOL_AUTHORITIES = new Set([
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium AMM v4
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHfvxc7q'  // Raydium CPMM
+]);
+
+// Vaults owned by an account of one of these programs belong to a pool
+const AMM_PROGRAMS = new Set([
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM v4
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1R', // Raydium CPMM
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', // Raydium CLMM
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',  // Orca Whirlpool
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',  // Meteora DLMM
+  'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB', // Meteora pools
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',  // Pump.fun bonding curve
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'   // PumpSwap
+]);
+
+// LP tokens held by these programs' accounts are locked
+const LOCKER_PROGRAMS = new Set([
+  'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m', // Streamflow
+  'LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE'  // Raydium LP lock
+]);
+
+// Pools with a fungible LP mint, and where the mint sits in the pool account
+const LP_MINT_OFFSETS = {
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 464, // Raydium AMM v4 state
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1R': 136  // Raydium CPMM pool state
+};
+
+/**
+ * Classify the largest token accounts of a mint by who owns them
+ * @returns {Promise<Array>} [{ account, owner, amount, kind: 'holder'|'pool'|'burn'|'locked' }]
+ */
+async function getLargestHolders(connection, mint) {
+  const largest = await connection.getTokenLargestAccounts(mint);
+  const accounts = largest.value.filter(a => a.uiAmount > 0);
+  if (accounts.length === 0) return [];
+
+  const parsed = await connection.getMultipleParsedAccounts(accounts.map(a => a.address));
+  const owners = parsed.value.map(info => info && info.data.parsed ? info.data.parsed.info.owner : null);
+
+  // The owner's own account tells us whether it's a program-controlled pool or lock
+  const ownerInfos = await connection.getMultipleAccountsInfo(
+    owners.map(o => new PublicKey(o || PublicKey.default))
+  );
+
+  return accounts.map((a, i) => {
+    const owner = owners[i];
+    const ownerProgram = ownerInfos[i] ? ownerInfos[i].owner.toBase58() : null;
+
+    let kind = 'holder';
+    if (BURN_ADDRESSES.has(owner)) kind = 'burn';
+    else if (POOL_AUTHORITIES.has(owner) || AMM_PROGRAMS.has(ownerProgram)) kind = 'pool';
+    else if (LOCKER_PROGRAMS.has(ownerProgram)) kind = 'locked';
+
+    return { account: a.address.toBase58(), owner, amount: a.uiAmount, kind };
+  });
+}
+
+/**
+ * Top-1 and top-10 holder share of circulating supply, leaving out pools and burns
+ * @returns {Promise<Object>} { supply, circulating, topHolderPercent, top10Percent, poolPercent, topHolders }
+ */
+async function analyzeHolders(connection, mintAddress) {
+  const mint = new PublicKey(mintAddress);
+  const [supplyResult, holders] = await Promise.all([
+    connection.getTokenSupply(mint),
+    getLargestHolders(connection, mint)
+  ]);
+
+  const supply = supplyResult.value.uiAmount || 0;
+  const sumOf = kind => holders.filter(h => h.kind === kind).reduce((sum, h) => sum + h.amount, 0);
+  const circulating = supply - sumOf('burn');
+  const wallets = holders.filter(h => h.kind === 'holder').sort((a, b) => b.amount - a.amount);
+  const share = amount => circulating > 0 ? (amount / circulating) * 100 : 0;
+
+  return {
+    supply,
+    circulating,
+    topHolderPercent: share(wallets.length > 0 ? wallets[0].amount : 0),
+    top10Percent: share(wallets.slice(0, 10).reduce((sum, h) => sum + h.amount, 0)),
+    poolPercent: share(sumOf('pool')),
+    topHolders: wallets.slice(0, 10).map(h => ({ owner: h.owner, percent: share(h.amount) }))
+  };
+}
+
+/**
+ * How much of a pool's LP supply is burned or locked
+ * @param {string} poolAddress AMM pool (Jupiter route ammKey)
+ * @returns {Promise<Object>} { pool, program, lpMint, burnedPercent, lockedPercent } or { applicable: false }
+ */
+async function analyzeLiquidityPool(connection, poolAddress) {
+  const poolInfo = await connection.getAccountInfo(new PublicKey(poolAddress));
+  if (!poolInfo) throw new Error(`Pool ${poolAddress} not found`);
+
+  const program = poolInfo.owner.toBase58();
+  const offset = LP_MINT_OFFSETS[program];
+
+  // Concentrated-liquidity pools and bonding curves have no fungible LP token
+  if (offset === undefined) {
+    return { pool: poolAddress, program, applicable: false };
+  }
+
+  const lpMint = new PublicKey(poolInfo.data.subarray(offset, offset + 32));
+  const [supplyResult, holders] = await Promise.all([
+    connection.getTokenSupply(lpMint),
+    getLargestHolders(connection, lpMint)
+  ]);
+
+  const supply = supplyResult.value.uiAmount || 0;
+  const percentOf = kind => {
+    if (supply <= 0) return 0;
+    return holders.filter(h => h.kind === kind).reduce((sum, h) => sum + h.amount, 0) / supply * 100;
+  };
+
+  return {
+    pool: poolAddress,
+    program,
+    applicable: true,
+    lpMint: lpMint.toBase58(),
+    lpSupply: supply,
+    // LP burned with the burn instruction leaves no supply at all
+    burnedPercent: supply > 0 ? percentOf('burn') : 100,
+    lockedPercent: percentOf('locked')
+  };
+}
+
+module.exports = {
+  analyzeHolders,
+  analyzeLiquidityPool
+};
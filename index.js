@@ -22,6 +22,7 @@ async function checkConfigurationAndStart() {
       
       // Now start the main bot
       console.log('🚀 Starting CrestX...\n');
+      await unlockWallet();
       startMainBot();
       
     } catch (error) {
@@ -30,23 +31,47 @@ async function checkConfigurationAndStart() {
     }
   } else {
     // Configuration exists, start normally
+    await unlockWallet();
     startMainBot();
   }
 }
 
+// Live mode with encrypted keystores: ask for their passphrases before the CLI takes over the terminal
+async function unlockWallet() {
+  const config = require('./config');
+  const keystore = require('./keystore');
+  const { getWalletNames } = require('./wallets');
+  if (config.DRY_RUN || !getWalletNames().some(name => keystore.exists(name))) return;
+  
+  try {
+    const unlocked = await keystore.unlockAll({ interactive: true });
+    for (const [name, wallet] of unlocked) {
+      console.log(`🔓 Wallet "${name}" ${wallet.publicKey.toBase58()} unlocked`);
+    }
+    console.log('');
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // Main bot functionality with enhanced menu system
 function startMainBot() {
   // Now require all the modules after setup is complete
   const readline = require("readline");
   const { startListener, getMessageStats } = require("./listener");
   const { parseMemeCoinMessage, validateParsedSignal } = require("./parser");
-  const { executeTrade, cancelTrade, getActiveTrades, getDryRunBalance } = require("./trader");
+  const { executeTrade, cancelTrade, getActiveTrades, getDryRunBalance, restoreActiveTrades } = require("./trader");
   const tokenSafety = require("./tokenSafety");
+  const tokenMetadata = require("./tokenMetadata");
   const tradeStore = require("./tradeStore");
   const notifier = require("./notifier");
   const config = require("./config");
+  const channelRegistry = require("./channelRegistry");
   const { displayBanner, displaySmallBanner } = require("./banner");
   const { EnhancedMenu } = require("./enhanced-menu");
+  const { startControlApi } = require("./controlApi");
+  const keystore = require("./keystore");
 
   // Create data directory if it doesn't exist
   const dataDir = path.join(__dirname, 'data');
@@ -80,6 +105,7 @@ function startMainBot() {
     tradesExecuted: 0,
     tradesFailed: 0,
     safetyRejections: 0,
+    riskRejections: 0,
     messagesByChannel: {},
     signalsByChannel: {},
     tradesByChannel: {},
@@ -121,12 +147,25 @@ function startMainBot() {
   async function startBot() {
     console.log(displayBanner(config));
     
+    // Hot-reload channel parser definitions while running
+    channelRegistry.watchDefinitions();
+    
     // Validate configuration
     validateConfig();
     
     // Display status
     displayDeploymentStatus();
     
+    // Re-arm exit orders for positions left open by a previous run
+    try {
+      await restoreActiveTrades();
+    } catch (err) {
+      console.error(`❌ Failed to restore open trades: ${err.message}`);
+    }
+    
+    // Local HTTP control API for scripts and dashboards (off unless enabled)
+    startControlApi();
+    
     // Start Telegram listener with enhanced callback
     const client = await startListener(async (message, chatId, metadata = {}) => {
       stats.messagesReceived++;
@@ -210,12 +249,9 @@ function startMainBot() {
         return;
       }
       
-      // Apply channel-specific confidence thresholds
-      let requiredConfidence = 2; // Default
-      if (channelInfo) {
-        // Premium channels can have lower confidence requirements
-        requiredConfidence = channelInfo.name.includes('Underdog') ? 2 : 2;
-      }
+      // Apply channel-specific confidence thresholds from the channel definition
+      const channelDefinition = channelRegistry.getDefinition(chatId);
+      const requiredConfidence = channelDefinition ? channelDefinition.risk.confidenceThreshold : 2;
       
       if (signal.confidence < requiredConfidence) {
         console.log(`⚠️ [${channelDisplay}] Low-confidence signal (${signal.confidence}/${requiredConfidence}), skipping`);
@@ -224,16 +260,8 @@ function startMainBot() {
       
       // Apply defaults for missing fields based on channel
       if (!signal.stopLossPercent) {
-        if (channelInfo?.name.includes('Underdog')) {
-          signal.stopLossPercent = 15; // Underdog default
-          console.log(`🔧 [${channelDisplay}] Applied Underdog default stop loss: 15%`);
-        } else if (channelInfo?.name.includes('Degen')) {
-          signal.stopLossPercent = 20; // Degen default
-          console.log(`🔧 [${channelDisplay}] Applied Degen default stop loss: 20%`);
-        } else {
-          signal.stopLossPercent = 20; // Generic default
-          console.log(`🔧 [${channelDisplay}] Applied default stop loss: 20%`);
-        }
+        signal.stopLossPercent = channelDefinition ? channelDefinition.risk.defaultStopLoss : 20;
+        console.log(`🔧 [${channelDisplay}] Applied ${channelDefinition ? channelDefinition.name + ' ' : ''}default stop loss: ${signal.stopLossPercent}%`);
       }
       
       if (!signal.tradePercent) {
@@ -244,21 +272,27 @@ function startMainBot() {
       // Safety check if enabled
       if (config.ENABLE_SAFETY_CHECKS) {
         console.log(`🔒 [${channelDisplay}] Performing safety check on ${signal.contractAddress}...`);
-        const safetyResult = await tokenSafety.checkToken(signal.contractAddress);
+        const safetyResult = await tokenSafety.checkToken(signal.contractAddress, { channelId: chatId });
         
         if (!safetyResult.isSafe) {
           stats.safetyRejections++;
-          console.log(`❌ [${channelDisplay}] Token safety check failed: ${safetyResult.warnings.join(', ')}`);
-          notifier.notifySafetyWarning(safetyResult, safetyResult.warnings);
+          console.log(`❌ [${channelDisplay}] Token safety check failed (score ${safetyResult.score}/100): ${safetyResult.rejectReasons.join(', ')}`);
+          notifier.notifySafetyWarning(safetyResult, safetyResult.rejectReasons, chatId);
           return;
         }
         
-        console.log(`✅ [${channelDisplay}] Token passed safety checks. Liquidity: ${safetyResult.liquidity?.toFixed(2) || 'Unknown'}`);
-        
-        // Enrich signal with token info if available
-        if (safetyResult.name) {
-          signal.symbol = safetyResult.name;
+        console.log(`✅ [${channelDisplay}] Token passed safety checks (score ${safetyResult.score}/100). Liquidity: ${safetyResult.liquidity?.toFixed(2) || 'Unknown'}`);
+      }
+      
+      // Enrich signal with the token's on-chain name/symbol (cached by the safety check)
+      try {
+        const tokenMeta = await tokenMetadata.getMetadata(signal.contractAddress);
+        if (tokenMeta) {
+          signal.symbol = tokenMeta.symbol || tokenMeta.name;
+          signal.tokenName = tokenMeta.name;
         }
+      } catch (err) {
+        console.warn(`⚠️ [${channelDisplay}] Could not resolve token metadata: ${err.message}`);
       }
       
       // Execute the trade
@@ -283,8 +317,16 @@ function startMainBot() {
             id: result.id || Date.now().toString(),
             contractAddress: signal.contractAddress,
             symbol: signal.symbol,
+            tokenName: signal.tokenName,
             entryPrice: result.entryPrice,
             amount: result.amount,
+            tradeAmount: result.tradeAmount,
+            wallet: result.wallet,
+            quoteAsset: result.quoteAsset,
+            entryQuotePrice: result.entryQuotePrice,
+            quoteAmountIn: result.quoteAmountIn,
+            pool: result.pool,
+            entryFee: result.fee || null,
             stopLossPercent: signal.stopLossPercent,
             takeProfitTargets: signal.takeProfitTargets,
             timestamp: Date.now(),
@@ -294,11 +336,16 @@ function startMainBot() {
             sourceChannel: chatId,
             channelName: channelInfo?.name || 'Unknown',
             channelType: signal.channelType || 'generic',
-            signalConfidence: signal.confidence
+            signalConfidence: signal.confidence,
+            source: 'signal'
           };
           
           tradeStore.addTrade(tradeRecord);
           notifier.notifyTradeExecution(tradeRecord);
+        } else if (result.riskRejected) {
+          // Reasons are already logged by the trader
+          stats.riskRejections++;
+          notifier.notifyRiskRejection(signal, result.riskWarnings, chatId);
         } else {
           stats.tradesFailed++;
           console.error(`❌ [${channelDisplay}] ${modeLabel}Trade failed: ${result.error}`);
@@ -316,9 +363,12 @@ function startMainBot() {
   function validateConfig() {
     const requiredFields = config.DRY_RUN 
       ? ["API_ID", "API_HASH", "TELEGRAM_CHANNEL_IDS"] 
-      : ["API_ID", "API_HASH", "TELEGRAM_CHANNEL_IDS", "RPC_ENDPOINT", "WALLET_PRIVATE_KEY"];
+      : ["API_ID", "API_HASH", "TELEGRAM_CHANNEL_IDS", "RPC_ENDPOINT"];
       
     const missingFields = requiredFields.filter(field => !config[field]);
+    if (!config.DRY_RUN && !config.WALLET_PRIVATE_KEY && !keystore.exists()) {
+      missingFields.push("wallet keystore (npm run wallet)");
+    }
     
     if (missingFields.length > 0) {
       console.error(`❌ Missing required configuration: ${missingFields.join(", ")}`);
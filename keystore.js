@@ -0,0 +1,288 @@
+// keystore.js - Encrypted wallet keystore
+// The default wallet's secret key lives in data/wallet-keystore.json and every
+// other named wallet's in data/wallet-keystore-<name>.json, encrypted with
+// AES-256-GCM under a key derived from a passphrase with scrypt. They are
+// unlocked once at startup, from WALLET_KEYSTORE_PASSPHRASE or a hidden
+// prompt, and the plaintext keys only ever exist in memory.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Keypair } = require('@solana/web3.js');
+const config = require('./config');
+const wallets = require('./wallets');
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 256 * 1024 * 1024; // N=2^17 needs 128MB, over Node's 32MB default
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// Wallet name -> unlocked keypair, kept for the life of the process
+const unlockedWallets = new Map();
+
+/**
+ * Bad passphrase, missing or corrupted keystore
+ */
+class KeystoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeystoreError';
+  }
+}
+
+function getKeystorePath(name = wallets.getDefaultWallet()) {
+  const defaultPath = config.WALLET_KEYSTORE_PATH || path.join(__dirname, 'data', 'wallet-keystore.json');
+  if (name === wallets.getDefaultWallet()) return defaultPath;
+
+  if (!wallets.WALLET_NAME.test(name)) throw new KeystoreError(`Invalid wallet name "${name}"`);
+  const ext = path.extname(defaultPath);
+  return path.join(path.dirname(defaultPath), `${path.basename(defaultPath, ext)}-${name}${ext}`);
+}
+
+function exists(name = wallets.getDefaultWallet()) {
+  return fs.existsSync(getKeystorePath(name));
+}
+
+/**
+ * Parse a secret key in array ([1,2,...]), hex or base58 form
+ * @returns {Keypair}
+ */
+function parseSecretKey(text) {
+  const value = (text || '').trim();
+  let secretKey;
+
+  try {
+    if (value.startsWith('[') && value.endsWith(']')) {
+      secretKey = new Uint8Array(JSON.parse(value));
+    } else if (/^[0-9a-f]{128}$/i.test(value)) {
+      secretKey = Buffer.from(value, 'hex');
+    } else {
+      const bs58 = require('bs58');
+      secretKey = bs58.decode(value);
+    }
+    return Keypair.fromSecretKey(secretKey);
+  } catch (err) {
+    throw new KeystoreError('Invalid private key format. Use hex, base58, or array format.');
+  }
+}
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Encrypt a keypair. The public key is stored in the clear and bound to the
+ * ciphertext as GCM additional data, so it can't be swapped for another.
+ */
+function encryptKeypair(keypair, passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new KeystoreError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const publicKey = keypair.publicKey.toBase58();
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  cipher.setAAD(Buffer.from(publicKey));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey,
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+    cipher: { name: 'aes-256-gcm', iv: iv.toString('hex'), authTag: cipher.getAuthTag().toString('hex') },
+    ciphertext: ciphertext.toString('hex')
+  };
+}
+
+/**
+ * Decrypt a keystore
+ * @returns {Keypair}
+ * @throws {KeystoreError} Wrong passphrase or tampered file
+ */
+function decryptKeystore(keystore, passphrase) {
+  if (keystore.version !== KEYSTORE_VERSION) {
+    throw new KeystoreError(`Unsupported keystore version ${keystore.version}`);
+  }
+
+  try {
+    const { name, salt, ...params } = keystore.kdf;
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      deriveKey(passphrase, Buffer.from(salt, 'hex'), params),
+      Buffer.from(keystore.cipher.iv, 'hex')
+    );
+    decipher.setAAD(Buffer.from(keystore.publicKey));
+    decipher.setAuthTag(Buffer.from(keystore.cipher.authTag, 'hex'));
+    const secretKey = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'hex')), decipher.final()]);
+    return Keypair.fromSecretKey(secretKey);
+  } catch (err) {
+    throw new KeystoreError('Wrong passphrase or corrupted keystore');
+  }
+}
+
+function load(name) {
+  const filePath = getKeystorePath(name);
+  if (!fs.existsSync(filePath)) throw new KeystoreError(`No keystore for wallet "${name}" at ${filePath}`);
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function save(keystore, name) {
+  const filePath = getKeystorePath(name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Write-then-rename so a crash never leaves a half-written keystore
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Encrypt an existing private key into the keystore
+ * @param {string} secretText Private key in array, hex or base58 form
+ * @returns {Object} Public summary of the new keystore
+ */
+function importKey(secretText, passphrase, name = wallets.getDefaultWallet()) {
+  const keypair = parseSecretKey(secretText);
+  const now = new Date().toISOString();
+  save({ ...encryptKeypair(keypair, passphrase), createdAt: now, updatedAt: now }, name);
+  unlockedWallets.delete(name);
+  console.log(`🔐 Wallet "${name}" (${keypair.publicKey.toBase58()}) saved to encrypted keystore`);
+  return getSummary(name);
+}
+
+/**
+ * Re-encrypt the keystore under a new passphrase (fresh salt and IV)
+ */
+function rotatePassphrase(oldPassphrase, newPassphrase, name = wallets.getDefaultWallet()) {
+  const keystore = load(name);
+  const keypair = decryptKeystore(keystore, oldPassphrase);
+  save({
+    ...encryptKeypair(keypair, newPassphrase),
+    createdAt: keystore.createdAt,
+    updatedAt: new Date().toISOString()
+  }, name);
+  console.log(`🔐 Keystore passphrase rotated for wallet "${name}" (${keystore.publicKey})`);
+  return getSummary(name);
+}
+
+/**
+ * Everything about the keystore except the secret: safe to share with ops
+ */
+function getSummary(name = wallets.getDefaultWallet()) {
+  const keystore = load(name);
+  return {
+    wallet: name,
+    publicKey: keystore.publicKey,
+    path: getKeystorePath(name),
+    kdf: keystore.kdf.name,
+    cipher: keystore.cipher.name,
+    createdAt: keystore.createdAt || null,
+    updatedAt: keystore.updatedAt || null
+  };
+}
+
+/**
+ * Ask for a secret on an existing readline interface without echoing it
+ */
+function askHidden(rl, question) {
+  return new Promise(resolve => {
+    const writeToOutput = rl._writeToOutput;
+
+    // Readline redraws "prompt + typed text" on edits; only ever draw the prompt
+    rl._writeToOutput = text => {
+      if (text.startsWith(question)) writeToOutput.call(rl, question);
+      else if (text === '\r\n' || text === '\n') writeToOutput.call(rl, text);
+    };
+
+    rl.question(question, answer => {
+      rl._writeToOutput = writeToOutput;
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Whether unlock() can succeed without a prompt
+ */
+function canUnlock(name = wallets.getDefaultWallet()) {
+  return Boolean(unlockedWallets.has(name) || config.WALLET_KEYSTORE_PASSPHRASE);
+}
+
+/**
+ * Passphrase from WALLET_KEYSTORE_PASSPHRASE, else a hidden prompt when interactive
+ */
+async function askPassphrase(name, keystore, interactive) {
+  if (config.WALLET_KEYSTORE_PASSPHRASE) return config.WALLET_KEYSTORE_PASSPHRASE;
+
+  if (!interactive || !process.stdin.isTTY) {
+    throw new KeystoreError(`Wallet "${name}" is locked: set WALLET_KEYSTORE_PASSPHRASE or unlock it at startup`);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await askHidden(rl, `🔐 Passphrase for wallet "${name}" (${keystore.publicKey}): `);
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Unlock one wallet's keystore
+ * @param {string} name Wallet name from WALLETS
+ * @param {Object} options { interactive } - prompt on the terminal if needed
+ * @returns {Promise<Keypair>}
+ */
+async function unlock(name = wallets.getDefaultWallet(), { interactive = false } = {}) {
+  if (unlockedWallets.has(name)) return unlockedWallets.get(name);
+
+  const keystore = load(name);
+  const keypair = decryptKeystore(keystore, await askPassphrase(name, keystore, interactive));
+  unlockedWallets.set(name, keypair);
+  return keypair;
+}
+
+/**
+ * Unlock every configured wallet that has a keystore. A passphrase typed at
+ * the prompt is tried on the next wallets before asking again.
+ * @returns {Promise<Map<string, Keypair>>} Wallet name -> keypair
+ */
+async function unlockAll({ interactive = false } = {}) {
+  let typed = null;
+
+  for (const name of wallets.getWalletNames()) {
+    if (unlockedWallets.has(name) || !exists(name)) continue;
+
+    const keystore = load(name);
+    if (typed) {
+      try {
+        unlockedWallets.set(name, decryptKeystore(keystore, typed));
+        continue;
+      } catch (err) {
+        // This wallet has its own passphrase
+      }
+    }
+
+    const passphrase = await askPassphrase(name, keystore, interactive);
+    unlockedWallets.set(name, decryptKeystore(keystore, passphrase));
+    typed = passphrase;
+  }
+
+  return new Map(unlockedWallets);
+}
+
+module.exports = {
+  KeystoreError,
+  MIN_PASSPHRASE_LENGTH,
+  getKeystorePath,
+  exists,
+  parseSecretKey,
+  importKey,
+  rotatePassphrase,
+  getSummary,
+  askHidden,
+  canUnlock,
+  unlock,
+  unlockAll
+};
@@ -5,25 +5,12 @@ const input = require("input");
 const fs = require("fs");
 const path = require("path");
 const config = require("./config");
+const channelRegistry = require("./channelRegistry");
 
 let client;
 
 const TEMP_SESSION_FILE = path.join(__dirname, "../session.txt");
 
-// Premium channel information for better logging
-const PREMIUM_CHANNELS = {
-  '-1002209371269': {
-    name: 'Underdog Calls Private',
-    icon: '🔥',
-    description: 'Premium memecoin signals'
-  },
-  '-1002277274250': {
-    name: 'Degen',
-    icon: '💎',
-    description: 'High-risk high-reward calls'
-  }
-};
-
 // Message statistics for monitoring
 const messageStats = {
   totalMessages: 0,
@@ -98,7 +85,7 @@ async function startListener(callback) {
       updateMessageStats(chatIdStr);
 
       // Get channel info for enhanced logging
-      const channelInfo = PREMIUM_CHANNELS[chatIdStr];
+      const channelInfo = channelRegistry.getDefinition(chatIdStr);
       const channelDisplay = channelInfo 
         ? `${channelInfo.icon} ${channelInfo.name}` 
         : `📱 Channel ${chatIdStr}`;
@@ -139,7 +126,7 @@ async function startListener(callback) {
  */
 function getChannelInfo() {
   return config.TELEGRAM_CHANNEL_IDS.map(channelId => {
-    const info = PREMIUM_CHANNELS[channelId];
+    const info = channelRegistry.getDefinition(channelId);
     return info 
       ? `${info.icon} ${info.name} (${channelId})`
       : `📱 Custom Channel (${channelId})`;
@@ -152,7 +139,7 @@ function getChannelInfo() {
 function displayChannelStatus() {
   console.log('\n🔍 Channel Monitoring Status:');
   config.TELEGRAM_CHANNEL_IDS.forEach(channelId => {
-    const info = PREMIUM_CHANNELS[channelId];
+    const info = channelRegistry.getDefinition(channelId);
     if (info) {
       console.log(`   ${info.icon} ${info.name} - ${info.description}`);
     } else {
@@ -206,7 +193,7 @@ function startStatsLogger() {
       
       // Show per-channel breakdown
       Object.entries(messageStats.messagesByChannel).forEach(([channelId, count]) => {
-        const info = PREMIUM_CHANNELS[channelId];
+        const info = channelRegistry.getDefinition(channelId);
         const channelName = info ? info.name : `Channel ${channelId}`;
         console.log(`   ${channelName}: ${count} messages`);
       });
@@ -247,13 +234,9 @@ async function addChannelToMonitor(channelId, channelName = null) {
       if (success) {
         console.log(`✅ Added channel ${channelId} to monitoring list`);
         
-        // Optionally add to premium channels if name provided
+        // Optionally register display metadata if name provided
         if (channelName) {
-          PREMIUM_CHANNELS[channelId] = {
-            name: channelName,
-            icon: '📱',
-            description: 'Custom channel'
-          };
+          channelRegistry.registerChannel(channelId, { name: channelName });
         }
         
         return true;
@@ -279,8 +262,8 @@ async function removeChannelFromMonitor(channelId) {
       if (success) {
         console.log(`✅ Removed channel ${channelId} from monitoring list`);
         
-        // Remove from premium channels if it exists
-        delete PREMIUM_CHANNELS[channelId];
+        // Drop runtime metadata; file-based definitions stay registered
+        channelRegistry.unregisterChannel(channelId);
         
         return true;
       }
@@ -322,6 +305,5 @@ module.exports = {
   startListener,
   getMessageStats,
   addChannelToMonitor,
-  removeChannelFromMonitor,
-  PREMIUM_CHANNELS
+  removeChannelFromMonitor
 };
\ No newline at end of file
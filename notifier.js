@@ -4,20 +4,9 @@
 require('dotenv').config();
 const fetch = require('node-fetch');
 const config = require('./config');
-
-// Channel configurations for notifications
-const CHANNEL_CONFIGS = {
-  '-1002209371269': {
-    name: 'Underdog Calls Private',
-    icon: '🔥',
-    emoji: '🚀'
-  },
-  '-1002277274250': {
-    name: 'Degen',
-    icon: '💎',
-    emoji: '🎲'
-  }
-};
+const channelRegistry = require('./channelRegistry');
+const { formatTokenLabel } = require('./tokenMetadata');
+const quoteAsset = require('./quoteAsset');
 
 class Notifier {
   constructor() {
@@ -92,7 +81,7 @@ class Notifier {
    * Get channel display information
    */
   getChannelInfo(channelId) {
-    return CHANNEL_CONFIGS[channelId] || {
+    return channelRegistry.getDefinition(channelId) || {
       name: 'Custom Channel',
       icon: '📱',
       emoji: '📈'
@@ -137,7 +126,7 @@ class Notifier {
 ${channelInfo.icon} *Source:* ${channelDisplay}${dryRunLabel}
 
 📊 *Trade Details:*
-\`Token:\` ${trade.symbol || trade.contractAddress}
+\`Token:\` ${formatTokenLabel(trade)} (\`${trade.contractAddress}\`)
 \`Entry:\` $${this.formatPrice(trade.entryPrice)}
 \`Size:\` $${this.formatAmount(trade.amount)} ${trade.tradePercent ? `(${trade.tradePercent}%)` : ''}
 \`Stop Loss:\` ${trade.stopLossPercent ? `-${trade.stopLossPercent}%` : 'None'}
@@ -160,7 +149,7 @@ ${trade.takeProfitTargets && trade.takeProfitTargets.length > 0
     const channelDisplay = trade.channelName || channelInfo.name;
     const typeIcon = exitType === 'stoploss' ? '🔴 Stop Loss' : '🟢 Take Profit';
     const profitText = trade.profit != null
-      ? (trade.profit >= 0 ? `+$${trade.profit.toFixed(2)}` : `-$${Math.abs(trade.profit).toFixed(2)}`)
+      ? quoteAsset.formatProfit(trade.profit, trade.profitQuote, trade.quoteAsset)
       : 'Unknown';
     const profitEmoji = trade.profit >= 0 ? '📈' : '📉';
     
@@ -185,7 +174,7 @@ ${trade.takeProfitTargets && trade.takeProfitTargets.length > 0
 ${channelInfo.icon} *Source:* ${channelDisplay}${dryRunLabel}
 
 📊 *Trade Summary:*
-\`Token:\` ${trade.symbol || trade.contractAddress}
+\`Token:\` ${formatTokenLabel(trade)} (\`${trade.contractAddress}\`)
 \`Entry:\` $${this.formatPrice(trade.entryPrice)}
 \`Exit:\` $${this.formatPrice(trade.exitPrice)}
 \`Change:\` ${percentChange}%
@@ -208,7 +197,8 @@ ${profitEmoji} *P/L:* ${profitText}
     
     const msg = `⚠️ *Token Safety Warning*${channelDisplay}
 
-🔍 *Token:* \`${token.name || token.address}\`
+🔍 *Token:* ${token.name ? `${token.name}${token.symbol ? ` (${token.symbol})` : ''} ` : ''}\`${token.address}\`${token.score != null ? `
+📊 *Safety Score:* ${token.score}/100 (minimum ${token.minScore})` : ''}
 
 ❌ *Issues Detected:*
 ${issues.map(i => `• ${i}`).join('\n')}
@@ -218,6 +208,51 @@ ${issues.map(i => `• ${i}`).join('\n')}
     await this._send(msg);
   }
 
+  /**
+   * Signal skipped by the risk manager (daily limits, drawdown, exposure)
+   */
+  async notifyRiskRejection(signal, reasons, channelId = null) {
+    if (!this.enabled) return;
+    
+    const channelInfo = channelId ? this.getChannelInfo(channelId) : null;
+    const channelDisplay = channelInfo ? `\n${channelInfo.icon} *Channel:* ${channelInfo.name}` : '';
+    
+    const msg = `🚫 *Trade Blocked by Risk Limits*${channelDisplay}
+
+🔍 *Token:* ${formatTokenLabel(signal)} (\`${signal.contractAddress}\`)
+
+⚠️ *Reasons:*
+${reasons.map(r => `• ${r}`).join('\n')}
+
+🛡️ *Action:* Signal skipped`;
+
+    await this._send(msg);
+  }
+
+  /**
+   * A live exit order was given up on; a lost stop-loss leaves the position unprotected
+   * @param {Object} trade tradeStore record, or { contractAddress } for an untracked position
+   * @param {Object} order The abandoned order (type, wallet, attempts, lastError)
+   */
+  async notifyExitAbandoned(trade, order) {
+    if (!this.enabled) return;
+    
+    const channelInfo = trade.sourceChannel ? this.getChannelInfo(trade.sourceChannel) : null;
+    const channelDisplay = channelInfo ? `\n${channelInfo.icon} *Channel:* ${channelInfo.name}` : '';
+    const isStop = order.type === 'stop';
+    
+    const msg = `🚨 *${isStop ? 'Stop Loss' : 'Take Profit'} Abandoned*${channelDisplay}
+
+🔍 *Token:* ${formatTokenLabel(trade)} (\`${trade.contractAddress}\`)
+👛 *Wallet:* ${order.wallet || 'default'}
+🔁 *Attempts:* ${order.attempts}
+❌ *Error:* \`${order.lastError}\`
+
+🛡️ *Action:* ${isStop ? 'Position is UNPROTECTED - exit it manually' : 'Take-profit left unfilled, the stop-loss is still armed'}`;
+
+    await this._send(msg);
+  }
+
   /**
    * Send daily performance summary
    */
@@ -317,7 +352,7 @@ ${channelInfo.icon} *Source:* ${trade.channelName || channelInfo.name}
 
 💰 *Profit:* +$${trade.profit.toFixed(2)}
 📈 *Gain:* +${percentGain}%
-🎯 *Token:* ${trade.symbol || trade.contractAddress}
+🎯 *Token:* ${formatTokenLabel(trade)}
 
 🔥 *Great signal from ${channelInfo.name}!*`;
 
@@ -1,115 +1,479 @@
 // Enhanced Paper Trading Simulator with realistic market conditions
+// This is the simulated exchange backend used in paper mode. It exposes the
+// same interface as the live exchangeClient (buyMarket, placeStopLoss,
+// getPosition, ...) so the trader never needs to know which one it talks to.
+// Each wallet in WALLETS gets its own virtual USD balance of DRY_RUN_BALANCE;
+// state.balance and startingBalance are the totals across wallets.
+const fs = require('fs');
+const path = require('path');
+
+const STATE_FILE = path.join(__dirname, 'data', 'simulation-state.json');
+
+// Slippage a small market order pays before size and volatility adjustments.
+// DEFAULT_SLIPPAGE and EXIT_SLIPPAGE are tolerances, not what a fill costs.
+const BASE_FILL_SLIPPAGE = 0.01;
+
 class PaperTradingSimulator {
   constructor(config) {
     this.config = config;
+
+    this.walletFunding = parseFloat(config.DRY_RUN_BALANCE) || 1000;
+    this.wallets = config.WALLETS && config.WALLETS.length > 0 ? config.WALLETS : ['main'];
     this.state = {
-      balance: parseFloat(config.DRY_RUN_BALANCE) || 1000,
-      positions: new Map(),
-      orders: new Map(),
-      priceHistory: new Map(),
-      marketConditions: {
-        volatility: 0.05, // Base volatility
-        trend: 0,         // -1 bearish, 0 neutral, 1 bullish
-        volume: 1.0       // Volume multiplier
-      },
+      balance: 0,
+      startingBalance: 0,
+      walletBalances: {},
+      prices: {},
+      positions: {},
+      orders: [],
+      realizedPnL: 0,
       performance: {
         totalTrades: 0,
+        closedTrades: 0,
         winningTrades: 0,
-        totalProfit: 0,
         maxDrawdown: 0,
-        peakBalance: parseFloat(config.DRY_RUN_BALANCE) || 1000
-      }
+        peakBalance: 0
+      },
+      lastUpdate: Date.now()
+    };
+    this.fundWallets();
+
+    this.marketConditions = {
+      volatility: 0.05, // Base volatility
+      trend: 0,         // -1 bearish, 0 neutral, 1 bullish
+      volume: 1.0       // Volume multiplier
     };
 
     this.priceEngine = new RealisticPriceEngine(config);
     this.marketEvents = new MarketEventSimulator();
+    this.fillListeners = [];
+    this.priceListeners = [];
+    this.orderSeq = 0;
+    this.timers = [];
   }
 
   /**
-   * Execute a paper trade with realistic slippage and timing
+   * Load persisted state and start the price simulation (per config flags)
    */
-  async executePaperTrade(signal, metadata = {}) {
-    const tokenAddress = signal.contractAddress;
-
-    // Generate initial price if new token
-    if (!this.state.priceHistory.has(tokenAddress)) {
-      const initialPrice = this.generateInitialPrice();
-      this.state.priceHistory.set(tokenAddress, [{
-        price: initialPrice,
-        timestamp: Date.now(),
-        volume: Math.random() * 1000000 + 100000 // Random volume
-      }]);
+  start() {
+    if (this.config.DRY_RUN_PERSIST_STATE) {
+      this.loadState();
+      this.timers.push(setInterval(() => this.saveState(), 30000));
+    }
+
+    if (this.config.DRY_RUN_SIMULATE_PRICES) {
+      this.timers.push(setInterval(() => this.simulatePriceMovements(), 5000));
+    }
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  loadState() {
+    try {
+      const dataDir = path.dirname(STATE_FILE);
+      if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+
+      if (fs.existsSync(STATE_FILE)) {
+        const loaded = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+        this.state = {
+          ...this.state,
+          ...loaded,
+          // State saved before wallets were split holds a single balance
+          walletBalances: loaded.walletBalances || { [this.wallets[0]]: loaded.balance },
+          performance: { ...this.state.performance, ...(loaded.performance || {}) },
+          lastUpdate: Date.now()
+        };
+        this.fundWallets();
+        console.log(`🔄 Loaded simulation state: $${this.state.balance.toFixed(2)}, ${Object.keys(this.state.positions).length} positions`);
+      }
+    } catch (e) {
+      console.error('Simulation init error:', e);
+    }
+  }
+
+  /**
+   * Give each configured wallet the state doesn't know yet its DRY_RUN_BALANCE
+   */
+  fundWallets() {
+    for (const name of this.wallets) {
+      if (this.state.walletBalances[name] != null) continue;
+
+      this.state.walletBalances[name] = this.walletFunding;
+      this.state.balance += this.walletFunding;
+      this.state.startingBalance += this.walletFunding;
+      this.state.performance.peakBalance += this.walletFunding;
+    }
+  }
+
+  walletOf(position) {
+    return position.wallet || this.wallets[0];
+  }
+
+  /**
+   * Move a wallet's balance (and the total) by delta
+   */
+  adjustBalance(wallet, delta) {
+    this.state.walletBalances[wallet] = (this.state.walletBalances[wallet] || 0) + delta;
+    this.state.balance += delta;
+  }
+
+  saveState() {
+    if (!this.config.DRY_RUN_PERSIST_STATE) return;
+
+    try {
+      fs.writeFileSync(STATE_FILE, JSON.stringify(this.state, null, 2));
+    } catch (e) {
+      console.error('Save state error:', e);
     }
+  }
 
-    const currentPrice = this.getCurrentPrice(tokenAddress);
-    const tradeAmount = this.state.balance * (signal.tradePercent / 100);
+  /**
+   * Register a callback for order fills: ({ order, fill, profit, positionClosed, position })
+   */
+  onFill(listener) {
+    this.fillListeners.push(listener);
+  }
 
-    // Simulate order execution delay and slippage
-    const executionResult = await this.simulateOrderExecution(
+  /**
+   * Register a callback for simulated or replayed price changes: (tokenAddress, price)
+   */
+  onPrice(listener) {
+    this.priceListeners.push(listener);
+  }
+
+  // ----- Exchange interface -----
+
+  async getAccountBalance(wallet = this.wallets[0]) {
+    if (this.state.walletBalances[wallet] == null) {
+      throw new Error(`Unknown paper wallet "${wallet}"`);
+    }
+    return this.state.walletBalances[wallet];
+  }
+
+  /**
+   * Simulated market buy with slippage and execution delay
+   * @param {Object} meta Position metadata (channelId, channelName, symbol, wallet)
+   */
+  async buyMarket(tokenAddress, amountUsdc, meta = {}) {
+    const wallet = meta.wallet || this.wallets[0];
+    const balance = await this.getAccountBalance(wallet);
+    if (balance < amountUsdc) {
+      throw new Error(`Insufficient virtual balance in wallet "${wallet}": $${balance.toFixed(2)}`);
+    }
+
+    const held = this.state.positions[tokenAddress];
+    if (held && this.walletOf(held) !== wallet) {
+      throw new Error(`${tokenAddress} is already held in wallet "${this.walletOf(held)}"`);
+    }
+
+    if (!this.state.prices[tokenAddress]) {
+      this.state.prices[tokenAddress] = this.generateInitialPrice();
+    }
+
+    const execution = await this.simulateOrderExecution(
       tokenAddress,
       'buy',
-      tradeAmount,
-      currentPrice,
-      signal
+      amountUsdc,
+      this.state.prices[tokenAddress],
+      meta.signal || {},
+      meta.slippage != null ? meta.slippage : this.config.DEFAULT_SLIPPAGE
     );
 
-    // Handle failure
-    if (!executionResult.success) {
+    if (!execution.success) {
+      // Typed like a live SwapError so entries retry with wider slippage
+      const err = new Error(execution.error);
+      err.type = 'slippage';
+      throw err;
+    }
+
+    const tokenAmount = amountUsdc / execution.executedPrice;
+    const existing = this.state.positions[tokenAddress];
+
+    if (existing) {
+      // Average into the existing position
+      const totalAmount = existing.amount + tokenAmount;
+      existing.entryPrice = (existing.entryPrice * existing.amount + execution.executedPrice * tokenAmount) / totalAmount;
+      existing.amount = totalAmount;
+    } else {
+      this.state.positions[tokenAddress] = {
+        entryPrice: execution.executedPrice,
+        amount: tokenAmount,
+        realizedProfit: 0,
+        timestamp: Date.now(),
+        channelId: meta.channelId || null,
+        channelName: meta.channelName || null,
+        symbol: meta.symbol || tokenAddress.substring(0, 8),
+        wallet
+      };
+    }
+
+    this.adjustBalance(wallet, -amountUsdc);
+    this.state.performance.totalTrades++;
+    this.saveState();
+
+    console.log(`[DRY RUN] Bought ${tokenAmount.toFixed(2)} tokens at $${execution.executedPrice.toFixed(8)} (slippage ${(execution.slippage * 100).toFixed(2)}%)`);
+
+    return {
+      id: `sim-buy-${Date.now()}-${++this.orderSeq}`,
+      filledPrice: execution.executedPrice,
+      amountOut: tokenAmount,
+      slippage: execution.slippage,
+      success: true
+    };
+  }
+
+  async placeStopLoss(tokenAddress, amount, stopPrice, meta = {}) {
+    return this.addOrder('stop', tokenAddress, amount, stopPrice, meta);
+  }
+
+  async placeTakeProfit(tokenAddress, amount, tpPrice, meta = {}) {
+    return this.addOrder('limit', tokenAddress, amount, tpPrice, meta);
+  }
+
+  addOrder(type, tokenAddress, amount, price, meta) {
+    const order = {
+      id: `sim-${type === 'stop' ? 'stop' : 'tp'}-${Date.now()}-${++this.orderSeq}`,
+      token: tokenAddress,
+      type,
+      price,
+      amount,
+      status: 'pending',
+      wallet: meta.wallet || this.wallets[0],
+      tradeId: meta.tradeId || null,
+      entryPrice: meta.entryPrice || null,
+      createdAt: Date.now()
+    };
+    if (type === 'stop') order.trailing = Boolean(meta.trailing);
+
+    this.state.orders.push(order);
+    this.saveState();
+    return order;
+  }
+
+  async modifyOrder(orderId, updates) {
+    const order = this.state.orders.find(o => o.id === orderId);
+    if (!order) throw new Error(`Order ${orderId} not found`);
+
+    const { stopPrice, ...rest } = updates;
+    Object.assign(order, rest, { lastUpdated: Date.now() });
+    if (stopPrice != null) order.price = stopPrice;
+    this.saveState();
+
+    return order;
+  }
+
+  async cancelOrder(orderId) {
+    const len = this.state.orders.length;
+    this.state.orders = this.state.orders.filter(o => o.id !== orderId);
+    this.saveState();
+    return this.state.orders.length < len;
+  }
+
+  async getCurrentPrice(tokenAddress) {
+    return this.state.prices[tokenAddress] || 0;
+  }
+
+  /**
+   * @param {string|null} wallet Only count a position held in this wallet
+   */
+  async getPosition(tokenAddress, wallet = null) {
+    const position = this.state.positions[tokenAddress];
+    const held = position && (!wallet || this.walletOf(position) === wallet);
+    return { size: held ? position.amount : 0 };
+  }
+
+  /**
+   * Simulated market sell of part (or all) of a position
+   * @param {Object} meta Trade metadata (tradeId, wallet) so the fill reaches tradeStore
+   */
+  async sellMarket(tokenAddress, amount, meta = {}) {
+    const position = this.state.positions[tokenAddress];
+    if (!position || (meta.wallet && this.walletOf(position) !== meta.wallet)) throw new Error('No position');
+
+    const price = this.state.prices[tokenAddress];
+    if (!price) throw new Error('No price');
+
+    const fill = await this.fillOrder({
+      id: `sim-sell-${Date.now()}-${++this.orderSeq}`,
+      token: tokenAddress,
+      type: 'market',
+      amount: Math.min(amount, position.amount),
+      tradeId: meta.tradeId || null,
+      entryPrice: position.entryPrice
+    }, price);
+
+    if (!fill) throw new Error('Exit failed');
+    return fill;
+  }
+
+  async closePosition(tokenAddress, wallet = null, meta = {}) {
+    const position = this.state.positions[tokenAddress];
+    if (!position || (wallet && this.walletOf(position) !== wallet)) {
+      return { success: false, error: 'No position' };
+    }
+
+    this.state.orders = this.state.orders.filter(o => o.token !== tokenAddress);
+
+    try {
+      const fill = await this.sellMarket(tokenAddress, position.amount, meta);
       return {
-        success: false,
-        error: executionResult.error,
-        timestamp: Date.now()
+        success: true,
+        exitPrice: fill.exitPrice,
+        amountOut: fill.amountOut
       };
+    } catch (err) {
+      return { success: false, error: err.message };
     }
+  }
 
-    // Create position on success
-    const position = {
-      tokenAddress,
-      entryPrice: executionResult.executedPrice,
-      quantity: tradeAmount / executionResult.executedPrice,
-      entryTime: Date.now(),
-      stopLoss: signal.stopLossPercent
-        ? executionResult.executedPrice * (1 - signal.stopLossPercent / 100)
-        : null,
-      takeProfits: Array.isArray(signal.takeProfitTargets)
-        ? signal.takeProfitTargets.map(tp =>
-            executionResult.executedPrice * (1 + tp / 100)
-          )
-        : [],
-      metadata: {
-        ...metadata,
-        signal: signal,
-        originalTradePercent: signal.tradePercent
+  getOpenOrders(tokenAddress = null) {
+    return this.state.orders.filter(o => !tokenAddress || o.token === tokenAddress);
+  }
+
+  /**
+   * Set a token's price from outside (e.g. replayed history) and trigger orders
+   */
+  async setPrice(tokenAddress, price) {
+    this.state.prices[tokenAddress] = price;
+
+    for (const listener of this.priceListeners) {
+      try {
+        listener(tokenAddress, price);
+      } catch (err) {
+        console.error(`⚠️ Price listener error: ${err.message}`);
       }
-    };
+    }
 
-    this.state.positions.set(tokenAddress, position);
-    this.state.balance -= tradeAmount;
-    this.state.performance.totalTrades++;
+    await this.checkOrderTriggers(tokenAddress);
+  }
 
-    // Set up price monitoring for this position
-    this.startPositionMonitoring(tokenAddress);
+  // ----- Order matching -----
 
-    // Return success payload
-    return {
-      success: true,
-      id: `paper_${Date.now()}`,
-      entryPrice: executionResult.executedPrice,
-      amount: tradeAmount,
-      quantity: position.quantity,
-      slippage: executionResult.slippage,
-      executionTime: executionResult.executionTime,
-      timestamp: Date.now()
+  async simulatePriceMovements() {
+    for (const tokenAddress of Object.keys(this.state.prices)) {
+      const next = this.priceEngine.generateNextPrice(this.state.prices[tokenAddress], tokenAddress);
+      await this.setPrice(tokenAddress, next);
+    }
+    this.state.lastUpdate = Date.now();
+  }
+
+  async checkOrderTriggers(tokenAddress) {
+    const price = this.state.prices[tokenAddress];
+    if (!price) return;
+
+    const triggered = this.state.orders
+      .filter(o => o.token === tokenAddress &&
+        ((o.type === 'stop' && price <= o.price) || (o.type === 'limit' && price >= o.price)))
+      // Stops take priority over take-profits for the same token
+      .sort((a, b) => (a.type === 'stop' ? -1 : 1) - (b.type === 'stop' ? -1 : 1));
+
+    // Take triggered orders off the book first so a slow fill can't trigger twice
+    this.state.orders = this.state.orders.filter(o => !triggered.includes(o));
+
+    for (const order of triggered) {
+      if (!this.state.positions[tokenAddress]) break; // Closed by an earlier fill
+
+      const label = order.type === 'stop' ? 'Stop-loss' : 'Take-profit';
+      console.log(`${order.type === 'stop' ? '🔴' : '🟢'} [DRY RUN] ${label} triggered for ${tokenAddress} at ${price}`);
+
+      const fill = await this.fillOrder(order, price);
+      if (!fill) {
+        // Put it back and retry on the next price update
+        this.state.orders.push(order);
+      }
+    }
+  }
+
+  /**
+   * Slippage tolerance (%) for an order's next fill, widened per slippage
+   * failure the same way as live exits
+   */
+  getExitSlippage(order) {
+    const widened = this.config.EXIT_SLIPPAGE + (order.slippageFailures || 0) * this.config.SLIPPAGE_RETRY_STEP;
+    return Math.min(widened, Math.max(this.config.MAX_SLIPPAGE, this.config.EXIT_SLIPPAGE));
+  }
+
+  /**
+   * Sell against a position with realistic slippage and notify fill listeners
+   */
+  async fillOrder(order, triggerPrice) {
+    const position = this.state.positions[order.token];
+    if (!position) return null;
+
+    // Stops sell everything, take-profits and market sells only their portion
+    const amount = order.type === 'stop' ? position.amount : Math.min(order.amount, position.amount);
+    const execution = await this.simulateOrderExecution(
+      order.token,
+      'sell',
+      amount * triggerPrice,
+      triggerPrice,
+      {},
+      this.getExitSlippage(order)
+    );
+
+    if (!execution.success) {
+      // Like a live exit, a triggered order's next attempt accepts more slippage
+      order.slippageFailures = (order.slippageFailures || 0) + 1;
+      const retry = order.type === 'market' ? '' : `, retrying at ${this.getExitSlippage(order)}% slippage`;
+      console.warn(`⚠️ [DRY RUN] Exit for ${order.token} failed${retry}: ${execution.error}`);
+      return null;
+    }
+
+    // The position may have been closed while the fill was in flight
+    if (this.state.positions[order.token] !== position) return null;
+
+    const amountOut = amount * execution.executedPrice;
+    const profit = (execution.executedPrice - position.entryPrice) * amount;
+
+    this.adjustBalance(this.walletOf(position), amountOut);
+    this.state.realizedPnL += profit;
+    position.amount -= amount;
+    position.realizedProfit = (position.realizedProfit || 0) + profit;
+
+    // Take-profit splits leave float dust behind, so treat it as closed
+    const positionClosed = order.type === 'stop' || position.amount <= amount * 1e-9;
+    if (positionClosed) {
+      delete this.state.positions[order.token];
+      this.state.orders = this.state.orders.filter(o => o.token !== order.token);
+      this.updatePerformanceStats(position.realizedProfit);
+    }
+
+    console.log(`[DRY RUN] ${order.type === 'limit' ? 'Take-profit' : 'Exit'} ${order.token} filled for P/L $${profit.toFixed(2)}`);
+    this.saveState();
+
+    const fill = {
+      id: `sim-fill-${Date.now()}-${++this.orderSeq}`,
+      exitPrice: execution.executedPrice,
+      amountOut,
+      amountSold: amount,
+      remaining: positionClosed ? 0 : position.amount,
+      success: true
     };
+
+    for (const listener of this.fillListeners) {
+      try {
+        listener({ order, fill, profit, positionClosed, position });
+      } catch (err) {
+        console.error(`⚠️ Fill listener error: ${err.message}`);
+      }
+    }
+
+    return fill;
   }
 
   /**
    * Simulate realistic order execution with slippage and delays
+   * @param {number} tolerance Slippage tolerance in %; fills that would slip further fail
    */
-  async simulateOrderExecution(tokenAddress, side, amount, targetPrice, signal) {
-    // Simulate network delay (50-500ms)
-    const networkDelay = Math.random() * 450 + 50;
-    await new Promise(resolve => setTimeout(resolve, networkDelay));
+  async simulateOrderExecution(tokenAddress, side, amount, targetPrice, signal, tolerance) {
+    // Simulate network delay (50-500ms). Replayed prices run on virtual time, so skip it there.
+    const networkDelay = this.config.DRY_RUN_SIMULATE_PRICES ? Math.random() * 450 + 50 : 0;
+    if (networkDelay > 0) {
+      await new Promise(resolve => setTimeout(resolve, networkDelay));
+    }
 
     // Calculate slippage based on trade size and market conditions
     const slippage = this.calculateRealisticSlippage(amount, targetPrice, signal);
@@ -121,11 +485,11 @@ class PaperTradingSimulator {
       ? targetPrice * (1 + slippage + priceMovement)
       : targetPrice * (1 - slippage + priceMovement);
 
-    // Check if execution would fail (extreme slippage)
-    if (slippage > 0.15) { // 15% slippage threshold
+    // A live swap past its slippage tolerance fails simulation the same way
+    if (slippage > tolerance / 100) {
       return {
         success: false,
-        error: `Excessive slippage: ${(slippage * 100).toFixed(2)}%`,
+        error: `Slippage ${(slippage * 100).toFixed(2)}% exceeds ${tolerance}% tolerance`,
         slippage: slippage
       };
     }
@@ -140,15 +504,14 @@ class PaperTradingSimulator {
   }
 
   calculateRealisticSlippage(amount, price, signal) {
-    // Base slippage from config
-    let slippage = (this.config.DEFAULT_SLIPPAGE || 3) / 100;
+    let slippage = BASE_FILL_SLIPPAGE;
 
     // Adjust for trade size (larger trades = more slippage)
     const tradeSizeMultiplier = Math.min(amount / 10000, 2); // Cap at 2x
     slippage *= 1 + tradeSizeMultiplier * 0.5;
 
     // Adjust for market volatility
-    slippage *= 1 + this.state.marketConditions.volatility;
+    slippage *= 1 + this.marketConditions.volatility;
 
     // Adjust for signal urgency (urgent signals often face more slippage)
     if (signal.urgency === 'high') slippage *= 1.3;
@@ -161,95 +524,20 @@ class PaperTradingSimulator {
 
   calculatePriceMovementDuringExecution(price) {
     // Price can move during the execution delay
-    const vol = this.state.marketConditions.volatility;
+    const vol = this.marketConditions.volatility;
     return (Math.random() - 0.5) * vol * 0.1;
   }
 
-  /**
-   * Start monitoring a position for stop loss and take profit triggers
-   */
-  startPositionMonitoring(tokenAddress) {
-    const interval = setInterval(() => {
-      const pos = this.state.positions.get(tokenAddress);
-      if (!pos) return clearInterval(interval);
-
-      const currentPrice = this.getCurrentPrice(tokenAddress);
-
-      // Stop loss
-      if (pos.stopLoss && currentPrice <= pos.stopLoss) {
-        this.executePositionClose(tokenAddress, 'stop_loss', currentPrice);
-        return clearInterval(interval);
-      }
-
-      // Take profits
-      for (let i = 0; i < pos.takeProfits.length; i++) {
-        if (currentPrice >= pos.takeProfits[i]) {
-          const pct = 1 / pos.takeProfits.length;
-          this.executePartialClose(tokenAddress, pct, currentPrice, 'take_profit');
-          pos.takeProfits.splice(i, 1);
-          break;
-        }
-      }
-
-      // Trailing stop
-      if (this.config.USE_TRAILING_STOP && pos.stopLoss) {
-        const dist = (this.config.TRAILING_STOP_PERCENT || 20) / 100;
-        const newSL = currentPrice * (1 - dist);
-        if (newSL > pos.stopLoss) pos.stopLoss = newSL;
-      }
-    }, 5000);
-  }
-
-  executePositionClose(tokenAddress, reason, price) {
-    const pos = this.state.positions.get(tokenAddress);
-    if (!pos) return;
-
-    const proceeds = pos.quantity * price;
-    const profit = proceeds - pos.quantity * pos.entryPrice;
-
-    this.state.balance += proceeds;
-    this.updatePerformanceStats(profit);
-    this.state.positions.delete(tokenAddress);
-  }
-
-  executePartialClose(tokenAddress, pct, price, reason) {
-    const pos = this.state.positions.get(tokenAddress);
-    if (!pos) return;
-
-    const qty = pos.quantity * pct;
-    const proceeds = qty * price;
-    const cost = qty * pos.entryPrice;
-    const profit = proceeds - cost;
-
-    this.state.balance += proceeds;
-    pos.quantity -= qty;
-    this.updatePerformanceStats(profit);
-    if (pos.quantity < 1e-6) this.state.positions.delete(tokenAddress);
-  }
-
   updatePerformanceStats(profit) {
-    this.state.performance.totalProfit += profit;
-    if (profit > 0) this.state.performance.winningTrades++;
+    const performance = this.state.performance;
+    performance.closedTrades++;
+    if (profit > 0) performance.winningTrades++;
 
-    if (this.state.balance > this.state.performance.peakBalance) {
-      this.state.performance.peakBalance = this.state.balance;
+    if (this.state.balance > performance.peakBalance) {
+      performance.peakBalance = this.state.balance;
     }
-    const dd =
-      (this.state.performance.peakBalance - this.state.balance) /
-      this.state.performance.peakBalance;
-    this.state.performance.maxDrawdown =
-      Math.max(this.state.performance.maxDrawdown, dd);
-  }
-
-  getCurrentPrice(tokenAddress) {
-    const hist = this.state.priceHistory.get(tokenAddress) || [];
-    const last = hist.length ? hist[hist.length - 1].price : this.generateInitialPrice();
-    const next = this.priceEngine.generateNextPrice(last, tokenAddress);
-
-    hist.push({ price: next, timestamp: Date.now(), volume: this.generateVolume() });
-    if (hist.length > 1000) hist.shift();
-    this.state.priceHistory.set(tokenAddress, hist);
-    return next;
+    const dd = (performance.peakBalance - this.state.balance) / performance.peakBalance;
+    performance.maxDrawdown = Math.max(performance.maxDrawdown, dd);
   }
 
   generateInitialPrice() {
@@ -268,60 +556,56 @@ class PaperTradingSimulator {
     return 1e-5;
   }
 
-  generateVolume() {
-    return Math.random() * 500000 + 50000;
+  // ----- Reporting -----
+
+  getActivePositions() {
+    return Object.entries(this.state.positions).map(([token, position]) => {
+      const currentPrice = this.state.prices[token] || position.entryPrice;
+      const profit = (currentPrice - position.entryPrice) * position.amount;
+
+      return {
+        contractAddress: token,
+        symbol: position.symbol || token.substring(0, 8),
+        entryPrice: position.entryPrice,
+        currentPrice,
+        amount: position.amount,
+        value: position.amount * currentPrice,
+        profit,
+        pnlPercent: ((currentPrice / position.entryPrice) - 1) * 100,
+        timestamp: position.timestamp,
+        channelId: position.channelId,
+        channelName: position.channelName,
+        wallet: this.walletOf(position)
+      };
+    });
   }
 
   getPortfolioSummary() {
-    const positions = Array.from(this.state.positions.values());
-    let val = 0, pnl = 0;
-    positions.forEach(pos => {
-      const cp = this.getCurrentPrice(pos.tokenAddress);
-      val += pos.quantity * cp;
-      pnl += pos.quantity * (cp - pos.entryPrice);
-    });
-    const total = this.state.balance + val;
+    const positions = this.getActivePositions();
+    const positionValue = positions.reduce((sum, p) => sum + p.value, 0);
+    const unrealizedPnL = positions.reduce((sum, p) => sum + p.profit, 0);
+    const totalValue = this.state.balance + positionValue;
+    const totalPnL = unrealizedPnL + this.state.realizedPnL;
+    const performance = this.state.performance;
+
     return {
       balance: this.state.balance,
-      positionValue: val,
-      totalValue: total,
-      unrealizedPnL: pnl,
-      realizedPnL: this.state.performance.totalProfit,
-      totalPnL: pnl + this.state.performance.totalProfit,
+      walletBalances: { ...this.state.walletBalances },
+      positionValue,
+      totalValue,
+      unrealizedPnL,
+      realizedPnL: this.state.realizedPnL,
+      totalPnL,
       active: positions.length,
-      trades: this.state.performance.totalTrades,
-      winRate: this.state.performance.totalTrades
-        ? (this.state.performance.winningTrades / this.state.performance.totalTrades) * 100
+      trades: performance.totalTrades,
+      winRate: performance.closedTrades
+        ? (performance.winningTrades / performance.closedTrades) * 100
         : 0,
-      maxDrawdown: this.state.performance.maxDrawdown * 100,
-      roi:
-        ((total - (parseFloat(this.config.DRY_RUN_BALANCE) || 1000)) /
-          (parseFloat(this.config.DRY_RUN_BALANCE) || 1000)) *
-        100
+      maxDrawdown: performance.maxDrawdown * 100,
+      startingBalance: this.state.startingBalance,
+      roi: (totalPnL / this.state.startingBalance) * 100
     };
   }
-
-  getDetailedPositions() {
-    return Array.from(this.state.positions.entries()).map(
-      ([addr, pos]) => {
-        const cp = this.getCurrentPrice(addr);
-        const pnl = pos.quantity * (cp - pos.entryPrice);
-        return {
-          tokenAddress: addr,
-          entryPrice: pos.entryPrice,
-          currentPrice: cp,
-          quantity: pos.quantity,
-          positionValue: pos.quantity * cp,
-          unrealizedPnL: pnl,
-          unrealizedPnLPercent: (pnl / (pos.entryPrice * pos.quantity)) * 100,
-          stopLoss: pos.stopLoss,
-          takeProfits: pos.takeProfits,
-          holdingTime: Date.now() - pos.entryTime,
-          channelSource: pos.metadata?.signal?.channelInfo?.name || 'Unknown'
-        };
-      }
-    );
-  }
 }
 
 // Realistic price engine for paper trading
@@ -3,11 +3,7 @@
  * Parses trading signals from known channel formats and general memecoin callouts
  */
 
-// Known premium channel IDs
-const PREMIUM_CHANNELS = {
-  UNDERDOG: '-1002209371269',  // Underdog Calls Private
-  DEGEN: '-1002277274250'      // Degen
-};
+const channelRegistry = require('./channelRegistry');
 
 /**
  * Parses a meme-coin callout message and extracts:
@@ -23,13 +19,10 @@ const PREMIUM_CHANNELS = {
  * @param {string} channelId Optional channel ID for channel-specific parsing
  */
 function parseMemeCoinMessage(message, debug = false, channelId = null) {
-  // Check if we have a known premium channel format
-  if (channelId && Object.values(PREMIUM_CHANNELS).includes(channelId)) {
-    if (channelId === PREMIUM_CHANNELS.UNDERDOG) {
-      return parseUnderdogMessage(message, debug);
-    } else if (channelId === PREMIUM_CHANNELS.DEGEN) {
-      return parseDegenMessage(message, debug);
-    }
+  // Use the channel's registered parser definition if it has one
+  const definition = channelRegistry.getDefinition(channelId);
+  if (definition && definition.hasPatterns) {
+    return parseWithDefinition(message, definition, debug);
   }
 
   // Fall back to generic parsing for unknown channels
@@ -37,152 +30,60 @@ function parseMemeCoinMessage(message, debug = false, channelId = null) {
 }
 
 /**
- * Parse messages from Underdog Calls Private channel
+ * Return capture group 1 of the first pattern that matches
  * @param {string} message The message text
- * @param {boolean} debug If true, logs parsed result
+ * @param {RegExp[]} patterns Patterns to try in order
  */
-function parseUnderdogMessage(message, debug = false) {
-  const result = {
-    contractAddress: null,
-    tradePercent: 5, // Default to 5% for Underdog calls
-    stopLossPercent: null,
-    takeProfitTargets: [],
-    manualTakeProfit: false,
-    confidence: 0,
-    channelType: 'underdog'
-  };
-
-  // Underdog format typically has contract address after "CA:" or "Contract:"
-  const caPatterns = [
-    /(?:CA|Contract)(?:\s*)?(?::|\s)(?:\s*)([A-Za-z0-9_]{32,50})/i,
-    /([A-Za-z0-9_]{32,50})(?:\s+|$)/,  // Sometimes just the address
-    /Address(?:\s*)?(?::|\s)(?:\s*)([A-Za-z0-9_]{32,50})/i
-  ];
-
-  for (const pattern of caPatterns) {
-    const match = message.match(pattern);
-    if (match) {
-      result.contractAddress = match[1];
-      break;
-    }
-  }
-
-  // Underdog-specific trade percentage patterns
-  const apeMatch = message.match(/(?:Ape|APING|APE IN|Buy|Entry)\s*([\d.]+)%/i);
-  if (apeMatch) {
-    result.tradePercent = parseFloat(apeMatch[1]);
-  }
-
-  // Underdog-specific stop loss format
-  const slPatterns = [
-    /(?:SL|Stop Loss|Stoploss)(?:\s*)?(?::|\s)(?:\s*)-?(\d+(?:\.\d+)?)/i,
-    /Stop(?:\s+)at(?:\s+)(\d+(?:\.\d+)?)/i
-  ];
-
-  for (const pattern of slPatterns) {
+function matchFirst(message, patterns) {
+  for (const pattern of patterns) {
     const match = message.match(pattern);
-    if (match) {
-      result.stopLossPercent = parseFloat(match[1]);
-      break;
-    }
-  }
-
-  // Underdog-specific take profit targets
-  const tpMatches = message.match(/TP\d*(?:\s*)?(?::|\s)(?:\s*)(\d+(?:\.\d+)?)/gi);
-  if (tpMatches) {
-    result.takeProfitTargets = tpMatches.map(tp => {
-      const num = tp.match(/(\d+(?:\.\d+)?)/)[1];
-      return parseFloat(num);
-    });
-  }
-
-  // Check for "take profits along the way" instruction
-  if (/take profits along the way|take profits on the way up/i.test(message) && result.takeProfitTargets.length === 0) {
-    result.manualTakeProfit = true;
-    // Add reasonable take-profit levels for Underdog calls
-    result.takeProfitTargets = [25, 50, 100];
-  }
-
-  // Calculate confidence score
-  result.confidence =
-    (result.contractAddress ? 1 : 0) +
-    (result.tradePercent ? 1 : 0) +
-    (result.stopLossPercent ? 1 : 0);
-
-  if (debug) {
-    console.log("📝 Parsed Underdog callout:", JSON.stringify(result, null, 2));
+    if (match) return match[1];
   }
-
-  return result;
+  return null;
 }
 
 /**
- * Parse messages from Degen channel
+ * Parse a message using a channel parser definition from the registry
  * @param {string} message The message text
+ * @param {Object} definition Compiled channel definition
  * @param {boolean} debug If true, logs parsed result
  */
-function parseDegenMessage(message, debug = false) {
+function parseWithDefinition(message, definition, debug = false) {
+  const { patterns, defaults } = definition;
   const result = {
     contractAddress: null,
-    tradePercent: 3, // More conservative default for Degen channel
+    tradePercent: defaults.tradePercent,
     stopLossPercent: null,
     takeProfitTargets: [],
     manualTakeProfit: false,
     confidence: 0,
-    channelType: 'degen'
+    channelType: definition.type
   };
 
-  // Degen format often uses $SYMBOL format and then CA separately
-  const caPatterns = [
-    /CA\s*[-:=]?\s*([A-Za-z0-9_]{32,50})/i,
-    /ADDRESS\s*[-:=]?\s*([A-Za-z0-9_]{32,50})/i,
-    /Contract\s*[-:=]?\s*([A-Za-z0-9_]{32,50})/i,
-    /([A-Za-z0-9_]{32,50})(?=\s|$)/  // Standalone address
-  ];
+  result.contractAddress = matchFirst(message, patterns.contractAddress);
 
-  for (const pattern of caPatterns) {
-    const match = message.match(pattern);
-    if (match) {
-      result.contractAddress = match[1];
-      break;
-    }
+  const tradePercent = matchFirst(message, patterns.tradePercent);
+  if (tradePercent) {
+    result.tradePercent = parseFloat(tradePercent);
   }
 
-  // Degen-specific entry patterns
-  const entryPatterns = [
-    /(?:Ape|APING|APE IN|Buy|Entry)\s*([\d.]+)%/i,
-    /ENTRY\s*[-:=]?\s*(\d+(?:\.\d+)?)/i
-  ];
-
-  for (const pattern of entryPatterns) {
-    const match = message.match(pattern);
-    if (match) {
-      result.tradePercent = parseFloat(match[1]);
-      break;
-    }
+  const stopLoss = matchFirst(message, patterns.stopLoss);
+  if (stopLoss) {
+    result.stopLossPercent = parseFloat(stopLoss);
   }
 
-  // Stop loss percentage
-  const slPatterns = [
-    /SL\s*[-:=]?\s*(\d+(?:\.\d+)?)/i,
-    /Stop\s*Loss\s*[-:=]?\s*(\d+(?:\.\d+)?)/i
-  ];
-
-  for (const pattern of slPatterns) {
-    const match = message.match(pattern);
-    if (match) {
-      result.stopLossPercent = parseFloat(match[1]);
-      break;
+  // Every take-profit match counts; capture group 1 is the percentage
+  for (const pattern of patterns.takeProfit) {
+    for (const match of message.matchAll(pattern)) {
+      result.takeProfitTargets.push(parseFloat(match[1]));
     }
+    if (result.takeProfitTargets.length > 0) break;
   }
 
-  // Multiple TPs often labeled as TP1, TP2, etc.
-  const tpMatches = message.match(/TP\d*\s*[-:=]?\s*(\d+(?:\.\d+)?)/gi);
-  if (tpMatches) {
-    result.takeProfitTargets = tpMatches.map(tp => {
-      const num = tp.match(/(\d+(?:\.\d+)?)/)[1];
-      return parseFloat(num);
-    });
+  // Check for "take profits along the way" instruction
+  if (patterns.manualTakeProfit && patterns.manualTakeProfit.test(message) && result.takeProfitTargets.length === 0) {
+    result.manualTakeProfit = true;
+    result.takeProfitTargets = [...defaults.manualTakeProfitTargets];
   }
 
   // Calculate confidence score
@@ -192,7 +93,7 @@ function parseDegenMessage(message, debug = false) {
     (result.stopLossPercent ? 1 : 0);
 
   if (debug) {
-    console.log("📝 Parsed Degen callout:", JSON.stringify(result, null, 2));
+    console.log(`📝 Parsed ${definition.name} callout:`, JSON.stringify(result, null, 2));
   }
 
   return result;
@@ -289,12 +190,12 @@ function validateParsedSignal(parsedSignal, channelId = null) {
     validation.warnings.push('No contract address found');
   }
 
+  const definition = channelRegistry.getDefinition(channelId);
+
   if (!parsedSignal.stopLossPercent) {
     validation.warnings.push('No stop loss specified - using default');
-    if (channelId === PREMIUM_CHANNELS.UNDERDOG) {
-      validation.suggestions.push('Underdog calls typically use 15-20% stop loss');
-    } else if (channelId === PREMIUM_CHANNELS.DEGEN) {
-      validation.suggestions.push('Degen calls typically use 20-25% stop loss');
+    if (definition && definition.risk.stopLossHint) {
+      validation.suggestions.push(definition.risk.stopLossHint);
     }
   }
 
@@ -303,14 +204,9 @@ function validateParsedSignal(parsedSignal, channelId = null) {
   }
 
   // Channel-specific validation
-  if (channelId === PREMIUM_CHANNELS.UNDERDOG) {
-    if (parsedSignal.tradePercent && parsedSignal.tradePercent > 10) {
-      validation.warnings.push('High trade percentage for Underdog call');
-    }
-  } else if (channelId === PREMIUM_CHANNELS.DEGEN) {
-    if (parsedSignal.tradePercent && parsedSignal.tradePercent > 5) {
-      validation.warnings.push('High trade percentage for Degen call');
-    }
+  if (definition && definition.risk.maxTradePercent &&
+      parsedSignal.tradePercent && parsedSignal.tradePercent > definition.risk.maxTradePercent) {
+    validation.warnings.push(`High trade percentage for ${definition.name} call`);
   }
 
   return validation;
@@ -318,6 +214,6 @@ function validateParsedSignal(parsedSignal, channelId = null) {
 
 module.exports = { 
   parseMemeCoinMessage,
-  validateParsedSignal,
-  PREMIUM_CHANNELS
+  parseWithDefinition,
+  validateParsedSignal
 };
\ No newline at end of file
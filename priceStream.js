@@ -0,0 +1,231 @@
+// priceStream.js - Shared price feed for open positions
+// Each token with an open trade or pending exit order is watched once, however
+// many stops, take-profits and dashboards care about it. Where the token's main
+// pool is known its account is subscribed over the RPC websocket and the token
+// is re-priced as soon as the pool trades (at most once per
+// PRICE_STREAM_THROTTLE_MS), or priced straight from the account data when the
+// source can decode it (bonding curves). Everything else, and pools that have gone quiet,
+// is priced in one batched request every PRICE_POLL_INTERVAL_MS. Consumers
+// listen with onPrice() instead of running their own timers.
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('./config');
+const { getConnection } = require('./rpcPool');
+
+// Mint -> { holders, pool, subscriptionId, lastQuoteAt, timer }
+const watched = new Map();
+// Mint -> last price event, kept after a token is unwatched
+const lastPrices = new Map();
+const priceListeners = [];
+let source = null;
+let pollInterval = null;
+let pollRunning = false;
+
+/**
+ * Where prices come from. quote(mint) prices one token; quoteMany(mints), if
+ * given, prices many in one request and returns a Map of the ones it found;
+ * decodePool(mint, accountInfo), if given, prices a changed pool account from
+ * its data or returns null. With no source (paper trading) prices only arrive
+ * through publish().
+ */
+function setPriceSource(priceSource) {
+  source = priceSource;
+  startPolling();
+}
+
+/**
+ * Register a callback for price updates
+ * @param {Function} listener Receives { mint, price, source, timestamp }; price is USD per whole token
+ */
+function onPrice(listener) {
+  priceListeners.push(listener);
+}
+
+/**
+ * Record a token's price and hand it to every listener
+ * @param {string} origin 'pool', 'poll' or 'simulator'
+ */
+function publish(mint, price, origin) {
+  if (!(price > 0)) return;
+
+  const event = { mint, price, source: origin, timestamp: Date.now() };
+  lastPrices.set(mint, event);
+
+  for (const listener of priceListeners) {
+    try {
+      const pending = listener(event);
+      if (pending && pending.catch) {
+        pending.catch(err => console.error(`⚠️ Price listener error: ${err.message}`));
+      }
+    } catch (err) {
+      console.error(`⚠️ Price listener error: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Last streamed price without a network round trip (null if never seen)
+ */
+function getLastPrice(mint) {
+  const last = lastPrices.get(mint);
+  return last ? last.price : null;
+}
+
+/**
+ * Start streaming a token's price
+ * @param {string} holder Who wants it ('trade', 'orders'); the token is watched until every holder lets go
+ * @param {Object} options { pool } - main pool account, subscribed for swaps when known
+ */
+function watch(mint, holder, { pool = null } = {}) {
+  let entry = watched.get(mint);
+  if (!entry) {
+    entry = { holders: new Set(), pool: null, subscriptionId: null, lastQuoteAt: 0, timer: null };
+    watched.set(mint, entry);
+  }
+
+  entry.holders.add(holder);
+  if (pool && !entry.pool && source) subscribePool(mint, entry, pool);
+  startPolling();
+}
+
+function unwatch(mint, holder) {
+  const entry = watched.get(mint);
+  if (!entry) return;
+
+  entry.holders.delete(holder);
+  if (entry.holders.size > 0) return;
+
+  if (entry.timer) clearTimeout(entry.timer);
+  if (entry.subscriptionId != null) {
+    getConnection().removeAccountChangeListener(entry.subscriptionId).catch(err => {
+      console.warn(`⚠️ Could not unsubscribe from pool ${entry.pool}: ${err.message}`);
+    });
+  }
+
+  watched.delete(mint);
+  if (watched.size === 0) stopPolling();
+}
+
+function subscribePool(mint, entry, pool) {
+  try {
+    entry.subscriptionId = getConnection().onAccountChange(
+      new PublicKey(pool),
+      accountInfo => onPoolChange(mint, accountInfo),
+      'confirmed'
+    );
+    entry.pool = pool;
+    console.log(`📡 Streaming ${mint} price from pool ${pool}`);
+  } catch (err) {
+    console.warn(`⚠️ Could not subscribe to pool ${pool}, polling ${mint} instead: ${err.message}`);
+  }
+}
+
+/**
+ * The pool traded: publish the price its data gives, or re-quote now or once
+ * the throttle window has passed. Swaps that land while a re-quote is
+ * scheduled are covered by it.
+ */
+function onPoolChange(mint, accountInfo) {
+  const entry = watched.get(mint);
+  if (!entry) return;
+
+  const decoded = source && source.decodePool ? source.decodePool(mint, accountInfo) : null;
+  if (decoded > 0) {
+    publish(mint, decoded, 'pool');
+    return;
+  }
+  if (entry.timer) return;
+
+  const wait = Math.max(0, entry.lastQuoteAt + config.PRICE_STREAM_THROTTLE_MS - Date.now());
+  entry.timer = setTimeout(() => {
+    entry.timer = null;
+    refresh(mint, 'pool');
+  }, wait);
+}
+
+async function refresh(mint, origin) {
+  const entry = watched.get(mint);
+  if (!entry || !source) return;
+
+  entry.lastQuoteAt = Date.now();
+  try {
+    publish(mint, await source.quote(mint), origin);
+  } catch (err) {
+    console.warn(`⚠️ Price stream: no price for ${mint}, will retry`);
+  }
+}
+
+/**
+ * Price every watched token that has gone half an interval without a price:
+ * one batched request, then single quotes for whatever the batch missed
+ */
+async function poll() {
+  if (pollRunning || !source) return;
+  pollRunning = true;
+
+  try {
+    const cutoff = Date.now() - config.PRICE_POLL_INTERVAL_MS / 2;
+    const stale = Array.from(watched.keys()).filter(mint => {
+      const last = lastPrices.get(mint);
+      return !last || last.timestamp < cutoff;
+    });
+    if (stale.length === 0) return;
+
+    let prices = new Map();
+    if (source.quoteMany) {
+      try {
+        prices = await source.quoteMany(stale);
+      } catch (err) {
+        console.warn(`⚠️ Batched price request failed, quoting tokens one by one: ${err.message}`);
+      }
+    }
+
+    for (const mint of stale) {
+      if (!watched.has(mint)) continue; // Let go of while the batch was in flight
+      if (prices.has(mint)) publish(mint, prices.get(mint), 'poll');
+      else await refresh(mint, 'poll');
+    }
+  } finally {
+    pollRunning = false;
+  }
+}
+
+function startPolling() {
+  if (pollInterval || !source || watched.size === 0) return;
+  pollInterval = setInterval(poll, config.PRICE_POLL_INTERVAL_MS);
+  poll();
+}
+
+function stopPolling() {
+  if (!pollInterval) return;
+  clearInterval(pollInterval);
+  pollInterval = null;
+}
+
+/**
+ * What is being streamed, for dashboards and the control API
+ * @returns {Array} [{ mint, holders, pool, price, source, updatedAt }]
+ */
+function getStreamStatus() {
+  return Array.from(watched.entries()).map(([mint, entry]) => {
+    const last = lastPrices.get(mint);
+    return {
+      mint,
+      holders: Array.from(entry.holders),
+      pool: entry.subscriptionId != null ? entry.pool : null,
+      price: last ? last.price : null,
+      source: last ? last.source : null,
+      updatedAt: last ? last.timestamp : null
+    };
+  });
+}
+
+module.exports = {
+  setPriceSource,
+  onPrice,
+  publish,
+  getLastPrice,
+  watch,
+  unwatch,
+  getStreamStatus
+};
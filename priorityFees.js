@@ -0,0 +1,117 @@
+// priorityFees.js - Dynamic priority fee estimation
+// Samples getRecentPrioritizationFees for the pools a swap writes to and picks
+// a percentile of what others recently paid, higher the more urgently the swap
+// has to land. The estimate is a total in lamports for Jupiter's
+// prioritizationFeeLamports (or for spreading over the compute unit limit of a
+// transaction built here) and never exceeds PRIORITY_FEE_MAX_LAMPORTS.
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('./config');
+const { getConnection } = require('./rpcPool');
+
+const FEE_URGENCY = {
+  NORMAL: 'normal',                  // Take-profits: the price is already good
+  AGGRESSIVE: 'aggressive',          // Entries and manual exits
+  VERY_AGGRESSIVE: 'very_aggressive' // Trailing stops: every slot of delay costs money
+};
+
+const URGENCY_PERCENTILES = {
+  [FEE_URGENCY.NORMAL]: 50,
+  [FEE_URGENCY.AGGRESSIVE]: 75,
+  [FEE_URGENCY.VERY_AGGRESSIVE]: 95
+};
+
+// Jupiter spreads the total over the compute unit limit it simulates; routed
+// swaps rarely need more than this, so it turns a per-CU price into a total
+const SWAP_COMPUTE_UNITS = 300000;
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+const MAX_LOCKED_ACCOUNTS = 128; // RPC limit for getRecentPrioritizationFees
+
+/**
+ * Pool accounts the swap will write-lock, from the quote's route plan
+ */
+function getWritableAccounts(quoteResponse) {
+  const keys = (quoteResponse.routePlan || [])
+    .map(step => step.swapInfo && step.swapInfo.ammKey)
+    .filter(Boolean);
+
+  return [...new Set(keys)].slice(0, MAX_LOCKED_ACCOUNTS).map(key => new PublicKey(key));
+}
+
+function percentile(values, pct) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.ceil((pct / 100) * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, index))];
+}
+
+/**
+ * Estimate the priority fee for a transaction that write-locks the given accounts
+ * @param {PublicKey[]} writableAccounts Accounts whose recent fees are sampled
+ * @param {string} urgency One of FEE_URGENCY
+ * @param {number} computeUnits Compute unit limit the per-CU price is spread over
+ * @returns {Promise<Object>} { lamports, urgency, percentile, microLamportsPerCu, samples, capped }
+ */
+async function estimatePriorityFee(writableAccounts, urgency = FEE_URGENCY.AGGRESSIVE, computeUnits = SWAP_COMPUTE_UNITS) {
+  const pct = URGENCY_PERCENTILES[urgency] || URGENCY_PERCENTILES[FEE_URGENCY.AGGRESSIVE];
+  let microLamportsPerCu = null;
+  let samples = 0;
+
+  try {
+    const recent = await getConnection().getRecentPrioritizationFees({
+      lockedWritableAccounts: writableAccounts.slice(0, MAX_LOCKED_ACCOUNTS)
+    });
+
+    // Slots where nobody bid say nothing about what it takes to get in
+    const paid = recent.map(f => f.prioritizationFee).filter(fee => fee > 0);
+    samples = paid.length;
+    if (samples > 0) microLamportsPerCu = percentile(paid, pct);
+  } catch (err) {
+    console.warn(`⚠️ Priority fee sampling failed, using PRIORITY_FEE_LAMPORTS: ${err.message}`);
+  }
+
+  const estimate = microLamportsPerCu != null
+    ? Math.ceil((microLamportsPerCu * computeUnits) / 1e6)
+    : config.PRIORITY_FEE_LAMPORTS;
+  const lamports = Math.min(estimate, config.PRIORITY_FEE_MAX_LAMPORTS);
+
+  return {
+    lamports,
+    urgency,
+    percentile: pct,
+    microLamportsPerCu,
+    samples,
+    capped: estimate > lamports
+  };
+}
+
+/**
+ * Estimate the priority fee for a Jupiter swap
+ * @param {Object} quoteResponse Jupiter quote; the pools on its route are sampled
+ * @param {string} urgency One of FEE_URGENCY
+ */
+async function estimateSwapFee(quoteResponse, urgency = FEE_URGENCY.AGGRESSIVE) {
+  return estimatePriorityFee(getWritableAccounts(quoteResponse), urgency);
+}
+
+/**
+ * Fee a confirmed transaction actually paid, split into base and priority fee
+ * @param {Object|null} tx Result of getTransaction
+ * @returns {Object|null} { feeLamports, priorityFeeLamports } or null if unavailable
+ */
+function getFeePaid(tx) {
+  if (!tx || !tx.meta) return null;
+
+  const baseFee = LAMPORTS_PER_SIGNATURE * tx.transaction.signatures.length;
+  return {
+    feeLamports: tx.meta.fee,
+    priorityFeeLamports: Math.max(0, tx.meta.fee - baseFee)
+  };
+}
+
+module.exports = {
+  FEE_URGENCY,
+  estimatePriorityFee,
+  estimateSwapFee,
+  getFeePaid
+};
@@ -0,0 +1,246 @@
+// pumpFun.js - pump.fun bonding curves
+// A pump.fun token trades against its bonding curve until the curve fills
+// ("complete"), then migrates to an AMM pool (Raydium, or PumpSwap for newer
+// launches). Jupiter has no route while a token is on the curve, so curve
+// tokens are priced from the curve account here and traded with the program's
+// own buy and sell instructions. Account lists follow the program's IDL; if the
+// program changes them, simulation rejects the swap before anything is sent.
+
+const crypto = require('crypto');
+const { PublicKey, SystemProgram, TransactionInstruction } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction
+} = require('@solana/spl-token');
+const { getConnection } = require('./rpcPool');
+
+const PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+const [GLOBAL] = PublicKey.findProgramAddressSync([Buffer.from('global')], PROGRAM_ID);
+const [EVENT_AUTHORITY] = PublicKey.findProgramAddressSync([Buffer.from('__event_authority')], PROGRAM_ID);
+
+const TOKEN_DECIMALS = 6; // Every pump.fun mint
+const LAMPORTS = 1e9;
+const BPS = 10000n;
+
+// Anchor discriminators: the first 8 bytes of sha256("global:<ix>") / sha256("account:<Type>")
+const discriminator = name => crypto.createHash('sha256').update(name).digest().subarray(0, 8);
+const BUY_IX = discriminator('global:buy');
+const SELL_IX = discriminator('global:sell');
+const CURVE_ACCOUNT = discriminator('account:BondingCurve');
+const GLOBAL_ACCOUNT = discriminator('account:Global');
+
+// Global settings only change on program upgrades
+const GLOBAL_TTL_MS = 10 * 60 * 1000;
+let globalCache = null;
+
+// Mints with no curve, and curves that completed, never go back on one
+const offCurve = new Set();
+
+function getBondingCurveAddress(mint) {
+  return PublicKey.findProgramAddressSync([Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()], PROGRAM_ID)[0];
+}
+
+function getCreatorVaultAddress(creator) {
+  return PublicKey.findProgramAddressSync([Buffer.from('creator-vault'), creator.toBuffer()], PROGRAM_ID)[0];
+}
+
+/**
+ * Decode a bonding curve account
+ * @returns {Object|null} { virtualTokenReserves, virtualSolReserves, realTokenReserves, realSolReserves,
+ *   tokenTotalSupply, complete, creator } (reserves as BigInt base units), or null if it isn't one
+ */
+function decodeCurve(data) {
+  if (!data || data.length < 49 || !data.subarray(0, 8).equals(CURVE_ACCOUNT)) return null;
+
+  return {
+    virtualTokenReserves: data.readBigUInt64LE(8),
+    virtualSolReserves: data.readBigUInt64LE(16),
+    realTokenReserves: data.readBigUInt64LE(24),
+    realSolReserves: data.readBigUInt64LE(32),
+    tokenTotalSupply: data.readBigUInt64LE(40),
+    complete: data[48] === 1,
+    creator: data.length >= 81 ? new PublicKey(data.subarray(49, 81)) : null
+  };
+}
+
+/**
+ * Fee recipient and trading fees from the program's global account
+ * @returns {Promise<Object>} { feeRecipient, feeBps } - feeBps includes the creator fee
+ */
+async function getGlobal() {
+  if (globalCache && Date.now() - globalCache.timestamp < GLOBAL_TTL_MS) return globalCache.global;
+
+  const account = await getConnection().getAccountInfo(GLOBAL);
+  const data = account && account.data;
+  if (!data || !data.subarray(0, 8).equals(GLOBAL_ACCOUNT)) throw new Error('pump.fun global account not found');
+
+  const protocolFeeBps = data.readBigUInt64LE(105);
+  const creatorFeeBps = data.length >= 162 ? data.readBigUInt64LE(154) : 0n;
+  const global = {
+    feeRecipient: new PublicKey(data.subarray(41, 73)),
+    feeBps: protocolFeeBps + creatorFeeBps
+  };
+
+  globalCache = { global, timestamp: Date.now() };
+  return global;
+}
+
+/**
+ * A token's bonding curve, or null if it has none or the curve has completed
+ * (migrated tokens are remembered so they aren't looked up again)
+ * @returns {Promise<Object|null>} decodeCurve() fields plus { address, mint, tokenProgram }
+ */
+async function getActiveCurve(mintAddress) {
+  if (offCurve.has(mintAddress)) return null;
+
+  // The mint's owner says whether it is an SPL Token or Token-2022 mint
+  const address = getBondingCurveAddress(mintAddress);
+  const [account, mintAccount] = await getConnection().getMultipleAccountsInfo([address, new PublicKey(mintAddress)]);
+  const curve = account && account.owner.equals(PROGRAM_ID) ? decodeCurve(account.data) : null;
+
+  if (!curve || curve.complete) {
+    if (curve) console.log(`🎓 ${mintAddress} has completed its pump.fun bonding curve, routing through Jupiter`);
+    offCurve.add(mintAddress);
+    return null;
+  }
+
+  return {
+    ...curve,
+    address: address.toBase58(),
+    mint: mintAddress,
+    tokenProgram: mintAccount ? mintAccount.owner : TOKEN_PROGRAM_ID
+  };
+}
+
+/**
+ * Spot price in SOL per whole token
+ */
+function getSpotPrice(curve) {
+  const sol = Number(curve.virtualSolReserves) / LAMPORTS;
+  const tokens = Number(curve.virtualTokenReserves) / Math.pow(10, TOKEN_DECIMALS);
+  return sol / tokens;
+}
+
+/**
+ * Tokens (base units) a buy of `lamports` gets, after the fee taken on top
+ */
+function getBuyTokens(curve, lamports, feeBps) {
+  const solIn = lamports * BPS / (BPS + feeBps);
+  const tokens = curve.virtualTokenReserves * solIn / (curve.virtualSolReserves + solIn);
+  return tokens < curve.realTokenReserves ? tokens : curve.realTokenReserves;
+}
+
+/**
+ * Lamports a sell of `tokens` (base units) returns, after the fee
+ */
+function getSellLamports(curve, tokens, feeBps) {
+  const sol = curve.virtualSolReserves * tokens / (curve.virtualTokenReserves + tokens);
+  return sol - sol * feeBps / BPS;
+}
+
+function encodeArgs(ix, first, second) {
+  const data = Buffer.alloc(24);
+  ix.copy(data, 0);
+  data.writeBigUInt64LE(first, 8);
+  data.writeBigUInt64LE(second, 16);
+  return data;
+}
+
+/**
+ * @throws {Error} The curve account predates creator fees, so its creator vault is unknown
+ */
+function getTradeAccounts(curve, user, global) {
+  if (!curve.creator) {
+    throw new Error(`pump.fun curve ${curve.address} has no creator recorded, can't build a trade against it`);
+  }
+
+  const mint = new PublicKey(curve.mint);
+  const { tokenProgram } = curve;
+  const bondingCurve = new PublicKey(curve.address);
+
+  return {
+    mint,
+    bondingCurve,
+    associatedBondingCurve: getAssociatedTokenAddressSync(mint, bondingCurve, true, tokenProgram),
+    associatedUser: getAssociatedTokenAddressSync(mint, user, false, tokenProgram),
+    creatorVault: getCreatorVaultAddress(curve.creator),
+    feeRecipient: global.feeRecipient
+  };
+}
+
+const key = (pubkey, isWritable = false, isSigner = false) => ({ pubkey, isWritable, isSigner });
+
+/**
+ * Instructions to buy exactly `tokenAmount` base units for at most `maxSolCost` lamports,
+ * opening the user's token account if needed
+ * @param {Object} curve From getActiveCurve
+ */
+function buildBuyInstructions(curve, user, global, tokenAmount, maxSolCost) {
+  const a = getTradeAccounts(curve, user, global);
+
+  return [
+    createAssociatedTokenAccountIdempotentInstruction(user, a.associatedUser, user, a.mint, curve.tokenProgram),
+    new TransactionInstruction({
+      programId: PROGRAM_ID,
+      keys: [
+        key(GLOBAL),
+        key(a.feeRecipient, true),
+        key(a.mint),
+        key(a.bondingCurve, true),
+        key(a.associatedBondingCurve, true),
+        key(a.associatedUser, true),
+        key(user, true, true),
+        key(SystemProgram.programId),
+        key(curve.tokenProgram),
+        key(a.creatorVault, true),
+        key(EVENT_AUTHORITY),
+        key(PROGRAM_ID)
+      ],
+      data: encodeArgs(BUY_IX, tokenAmount, maxSolCost)
+    })
+  ];
+}
+
+/**
+ * Instructions to sell `tokenAmount` base units for at least `minSolOutput` lamports
+ * @param {Object} curve From getActiveCurve
+ */
+function buildSellInstructions(curve, user, global, tokenAmount, minSolOutput) {
+  const a = getTradeAccounts(curve, user, global);
+
+  return [
+    new TransactionInstruction({
+      programId: PROGRAM_ID,
+      keys: [
+        key(GLOBAL),
+        key(a.feeRecipient, true),
+        key(a.mint),
+        key(a.bondingCurve, true),
+        key(a.associatedBondingCurve, true),
+        key(a.associatedUser, true),
+        key(user, true, true),
+        key(SystemProgram.programId),
+        key(a.creatorVault, true),
+        key(curve.tokenProgram),
+        key(EVENT_AUTHORITY),
+        key(PROGRAM_ID)
+      ],
+      data: encodeArgs(SELL_IX, tokenAmount, minSolOutput)
+    })
+  ];
+}
+
+module.exports = {
+  PROGRAM_ID,
+  TOKEN_DECIMALS,
+  getBondingCurveAddress,
+  decodeCurve,
+  getGlobal,
+  getActiveCurve,
+  getSpotPrice,
+  getBuyTokens,
+  getSellLamports,
+  buildBuyInstructions,
+  buildSellInstructions
+};
@@ -0,0 +1,144 @@
+// quoteAsset.js - The asset trades are bought with and sold back to
+// QUOTE_ASSET is USDC or SOL. Most memecoin pools are SOL-paired, so quoting
+// in SOL saves a hop through a USDC pool. Trade sizes, balances, risk limits
+// and P&L stay in USD everywhere else; amounts are converted here at the
+// edges, with SOL/USD taken from a Jupiter SOL → USDC quote.
+
+const fetch = require('node-fetch');
+const config = require('./config');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const ASSETS = {
+  USDC: { symbol: 'USDC', decimals: 6, native: false },
+  SOL: { symbol: 'SOL', decimals: 9, native: true } // Jupiter wraps and unwraps native SOL per swap
+};
+
+// SOL/USD moves slowly next to memecoins, so one quote serves a while
+const USD_PRICE_TTL_MS = 30 * 1000;
+const USD_PRICE_MAX_STALE_MS = 5 * 60 * 1000;
+let usdPriceCache = null;
+
+/**
+ * The configured quote asset
+ * @returns {Object} { symbol, mint, decimals, native }
+ */
+function getQuoteAsset() {
+  const symbol = config.QUOTE_ASSET === 'WSOL' ? 'SOL' : config.QUOTE_ASSET;
+  const asset = ASSETS[symbol];
+  if (!asset) {
+    throw new Error(`Unsupported QUOTE_ASSET "${config.QUOTE_ASSET}" (use USDC or SOL)`);
+  }
+
+  return { ...asset, mint: symbol === 'SOL' ? SOL_MINT : config.USDC_MINT_ADDRESS };
+}
+
+function isUsd() {
+  return getQuoteAsset().symbol === 'USDC';
+}
+
+/**
+ * Whole units of the quote asset from base units (lamports, USDC micro-units)
+ */
+function fromRaw(raw) {
+  return Number(raw) / Math.pow(10, getQuoteAsset().decimals);
+}
+
+function toRaw(amount) {
+  return Math.floor(amount * Math.pow(10, getQuoteAsset().decimals));
+}
+
+async function fetchSolUsdPrice() {
+  const url = 'https://quote-api.jup.ag/v6/quote?' +
+    `inputMint=${SOL_MINT}&outputMint=${config.USDC_MINT_ADDRESS}&amount=${1e9}&slippageBps=50`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Jupiter quote API error: ${response.status}`);
+  }
+
+  const quote = await response.json();
+  if (!quote || !quote.outAmount) throw new Error('No SOL/USD quote available');
+  return parseInt(quote.outAmount) / 1e6;
+}
+
+/**
+ * USD price of one SOL, whatever the quote asset
+ * @returns {Promise<number>}
+ * @throws {Error} No SOL/USD price and the last one is too old to use
+ */
+async function getSolUsdPrice() {
+  if (usdPriceCache && Date.now() - usdPriceCache.timestamp < USD_PRICE_TTL_MS) return usdPriceCache.price;
+
+  try {
+    usdPriceCache = { price: await fetchSolUsdPrice(), timestamp: Date.now() };
+  } catch (err) {
+    if (!usdPriceCache || Date.now() - usdPriceCache.timestamp > USD_PRICE_MAX_STALE_MS) throw err;
+    console.warn(`⚠️ SOL/USD refresh failed, using the price from ${Math.round((Date.now() - usdPriceCache.timestamp) / 1000)}s ago: ${err.message}`);
+  }
+
+  return usdPriceCache.price;
+}
+
+function getCachedSolUsdPrice() {
+  return usdPriceCache ? usdPriceCache.price : null;
+}
+
+/**
+ * USD price of one unit of the quote asset (1 for USDC)
+ * @returns {Promise<number>}
+ * @throws {Error} No SOL/USD price and the last one is too old to use
+ */
+async function getUsdPrice() {
+  return isUsd() ? 1 : getSolUsdPrice();
+}
+
+/**
+ * Last known USD price of the quote asset without a network call, or null
+ */
+function getCachedUsdPrice() {
+  return isUsd() ? 1 : getCachedSolUsdPrice();
+}
+
+/**
+ * Convert a USD amount to quote asset base units at the current price
+ * @returns {Promise<Object>} { raw, amount, usdPrice }
+ */
+async function usdToRaw(usd) {
+  const usdPrice = await getUsdPrice();
+  const raw = toRaw(usd / usdPrice);
+  return { raw, amount: fromRaw(raw), usdPrice };
+}
+
+/**
+ * Format a quote asset amount, e.g. "0.1250 SOL" or "12.50 USDC"
+ */
+function format(amount, symbol = getQuoteAsset().symbol) {
+  return `${amount.toFixed(symbol === 'SOL' ? 4 : 2)} ${symbol}`;
+}
+
+/**
+ * Format P/L in USD, followed by the quote asset amount when it isn't USDC:
+ * "+$12.30 (+0.0820 SOL)"
+ */
+function formatProfit(usd, quoteAmount = null, symbol = getQuoteAsset().symbol) {
+  const sign = value => (value >= 0 ? '+' : '-');
+  const text = `${sign(usd)}$${Math.abs(usd).toFixed(2)}`;
+  if (quoteAmount == null || symbol === 'USDC') return text;
+  return `${text} (${sign(quoteAmount)}${format(Math.abs(quoteAmount), symbol)})`;
+}
+
+module.exports = {
+  SOL_MINT,
+  getQuoteAsset,
+  isUsd,
+  fromRaw,
+  toRaw,
+  getSolUsdPrice,
+  getCachedSolUsdPrice,
+  getUsdPrice,
+  getCachedUsdPrice,
+  usdToRaw,
+  format,
+  formatProfit
+};
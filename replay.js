@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+// replay.js - Signal replay / backtesting harness over exported Telegram history
+//
+// Feeds a Telegram Desktop chat export (result.json) or a JSONL file of messages
+// through parseMemeCoinMessage → validateParsedSignal → executeTrade against
+// historical or synthetic price series, then reports per-channel performance.
+//
+// Usage:
+//   node replay.js <export.json|messages.jsonl> [options]
+//
+// Options:
+//   --prices <file>     Historical prices: { "<mint>": [{ "timestamp": ms, "price": n }, ...] }
+//   --channel <id>      Channel ID to use for every message (overrides the export)
+//   --horizon <hours>   How long to follow each position (default: 24)
+//   --step <seconds>    Synthetic price tick interval (default: 60)
+//   --balance <usd>     Starting paper balance (default: DRY_RUN_BALANCE)
+//   --out <file>        Also write the results as JSON
+//   --verbose           Show the trading pipeline logs
+
+const fs = require('fs');
+const path = require('path');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function parseArgs(argv) {
+  const options = {
+    input: null,
+    prices: null,
+    channel: null,
+    horizonHours: 24,
+    stepSeconds: 60,
+    balance: null,
+    out: null,
+    verbose: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--prices': options.prices = argv[++i]; break;
+      case '--channel': options.channel = argv[++i]; break;
+      case '--horizon': options.horizonHours = parseFloat(argv[++i]); break;
+      case '--step': options.stepSeconds = parseFloat(argv[++i]); break;
+      case '--balance': options.balance = argv[++i]; break;
+      case '--out': options.out = argv[++i]; break;
+      case '--verbose': options.verbose = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        options.input = arg;
+    }
+  }
+
+  if (!options.input) {
+    throw new Error('Usage: node replay.js <export.json|messages.jsonl> [--prices file] [--channel id]');
+  }
+
+  return options;
+}
+
+/**
+ * Normalize a timestamp in seconds, milliseconds or as a date string to ms
+ */
+function toMillis(value) {
+  if (value == null) return null;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Flatten Telegram Desktop rich text (string or array of strings/entities)
+ */
+function flattenText(text) {
+  if (typeof text === 'string') return text;
+  if (Array.isArray(text)) {
+    return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return '';
+}
+
+/**
+ * Telegram Desktop exports channel IDs without the -100 supergroup prefix
+ */
+function toBotChannelId(id) {
+  const str = String(id);
+  return str.startsWith('-') ? str : `-100${str}`;
+}
+
+function loadExportChat(chat, channelOverride) {
+  const channelId = channelOverride || toBotChannelId(chat.id);
+  return (chat.messages || [])
+    .filter(m => m.type === 'message')
+    .map(m => ({
+      channelId,
+      text: flattenText(m.text),
+      timestamp: toMillis(m.date_unixtime || m.date)
+    }));
+}
+
+/**
+ * Load messages from a Telegram Desktop export or a JSONL file
+ * @returns {Array<{channelId: string, text: string, timestamp: number}>}
+ */
+function loadMessages(filePath, channelOverride = null) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  let messages;
+
+  if (filePath.endsWith('.jsonl')) {
+    messages = content.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        const m = JSON.parse(line);
+        return {
+          channelId: channelOverride || String(m.channelId || m.chatId || ''),
+          text: flattenText(m.text || m.message),
+          timestamp: toMillis(m.timestamp || m.date)
+        };
+      });
+  } else {
+    const data = JSON.parse(content);
+    const chats = data.chats && Array.isArray(data.chats.list) ? data.chats.list : [data];
+    messages = chats.flatMap(chat => loadExportChat(chat, channelOverride));
+  }
+
+  return messages
+    .filter(m => m.text && m.timestamp)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Load historical price series keyed by mint address
+ * @returns {Map<string, Array<{timestamp: number, price: number}>>}
+ */
+function loadPriceSeries(filePath) {
+  const series = new Map();
+  if (!filePath) return series;
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  for (const [mint, points] of Object.entries(data)) {
+    const normalized = points
+      .map(p => (Array.isArray(p)
+        ? { timestamp: toMillis(p[0]), price: Number(p[1]) }
+        : { timestamp: toMillis(p.timestamp || p.t), price: Number(p.price) }))
+      .filter(p => p.timestamp && p.price > 0)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    series.set(mint, normalized);
+  }
+
+  return series;
+}
+
+async function replay(options) {
+  // Replays always run against an isolated, in-memory paper account
+  process.env.DRY_RUN = 'true';
+  process.env.DRY_RUN_PERSIST_STATE = 'false';
+  process.env.DRY_RUN_SIMULATE_PRICES = 'false';
+  if (options.balance) process.env.DRY_RUN_BALANCE = options.balance;
+
+  const config = require('./config');
+  const channelRegistry = require('./channelRegistry');
+  const { parseMemeCoinMessage, validateParsedSignal } = require('./parser');
+  const trader = require('./trader');
+  const exchange = require('./exchangeClient');
+  const PerformanceAnalytics = require('./analytics-dashboard');
+  const PaperTradingSimulator = require('./paper-trading-sim');
+
+  // Trailing stops run on real-time intervals and can't follow replayed prices
+  config.USE_TRAILING_STOP = false;
+  // Replayed tokens are judged on their price history, not today's pool depth
+  config.ENABLE_SAFETY_CHECKS = false;
+  // Replayed stop losses shouldn't blacklist tokens for live trading
+  config.AUTO_BLACKLIST_STOP_MINUTES = 0;
+
+  const messages = loadMessages(options.input, options.channel);
+  const priceSeries = loadPriceSeries(options.prices);
+  const simulator = new PaperTradingSimulator(config);
+  const horizonMs = options.horizonHours * 60 * 60 * 1000;
+  const stepMs = options.stepSeconds * 1000;
+
+  const log = console.log.bind(console);
+  const quiet = {};
+  if (!options.verbose) {
+    for (const method of ['log', 'warn', 'error']) {
+      quiet[method] = console[method];
+      console[method] = () => {};
+    }
+  }
+
+  const overall = new PerformanceAnalytics(config.DRY_RUN_BALANCE);
+  const byChannel = new Map();
+  const channelSummary = (channelId) => {
+    if (!byChannel.has(channelId)) {
+      byChannel.set(channelId, {
+        analytics: new PerformanceAnalytics(config.DRY_RUN_BALANCE),
+        messages: 0,
+        signals: 0,
+        trades: 0,
+        skipped: 0
+      });
+    }
+    return byChannel.get(channelId);
+  };
+
+  // Event queue of messages and price ticks, processed in time order
+  const events = messages.map(m => ({ time: m.timestamp, kind: 'message', message: m }));
+  const scheduledUntil = new Map();
+  const openTrades = new Map();
+  let clock = messages.length > 0 ? messages[0].timestamp : Date.now();
+
+  // Daily risk limits roll over on replayed days, not on the wall clock
+  trader.getRiskManager().now = () => clock;
+
+  const scheduleTicks = (mint, fromTime, entryPrice) => {
+    const start = Math.max(fromTime, scheduledUntil.get(mint) || 0);
+    const end = fromTime + horizonMs;
+    const ticks = [];
+
+    if (priceSeries.has(mint)) {
+      for (const point of priceSeries.get(mint)) {
+        if (point.timestamp > start && point.timestamp <= end) {
+          ticks.push({ time: point.timestamp, kind: 'price', mint, price: point.price });
+        }
+      }
+    } else {
+      let price = entryPrice;
+      for (let t = start + stepMs; t <= end; t += stepMs) {
+        price = simulator.priceEngine.generateNextPrice(price, mint);
+        ticks.push({ time: t, kind: 'price', mint, price });
+      }
+    }
+
+    scheduledUntil.set(mint, end);
+    events.push(...ticks);
+    events.sort((a, b) => a.time - b.time);
+  };
+
+  const priceAt = (mint, time) => {
+    if (!priceSeries.has(mint)) return null;
+    const point = priceSeries.get(mint).find(p => p.timestamp >= time);
+    return point ? point.price : null;
+  };
+
+  trader.onTradeClosed(closed => {
+    const open = openTrades.get(closed.contractAddress);
+    if (!open) return;
+    openTrades.delete(closed.contractAddress);
+
+    const record = {
+      contractAddress: closed.contractAddress,
+      sourceChannel: open.channelId,
+      timestamp: open.timestamp,
+      exitTimestamp: clock,
+      entryPrice: closed.entryPrice,
+      exitPrice: closed.exitPrice,
+      exitType: closed.exitType,
+      profit: closed.profit
+    };
+    overall.addTrade(record);
+    channelSummary(open.channelId).analytics.addTrade(record);
+  });
+
+  const processMessage = async ({ channelId, text, timestamp }) => {
+    const summary = channelSummary(channelId);
+    summary.messages++;
+
+    const signal = parseMemeCoinMessage(text, options.verbose, channelId);
+    if (!signal.contractAddress) return;
+    summary.signals++;
+
+    const validation = validateParsedSignal(signal, channelId);
+    const definition = channelRegistry.getDefinition(channelId);
+    const requiredConfidence = definition ? definition.risk.confidenceThreshold : 2;
+    if (!validation.isValid || signal.confidence < requiredConfidence) {
+      summary.skipped++;
+      return;
+    }
+
+    // Same defaults the live pipeline applies in index.js
+    if (!signal.stopLossPercent) {
+      signal.stopLossPercent = definition ? definition.risk.defaultStopLoss : 20;
+    }
+    if (!signal.tradePercent) {
+      signal.tradePercent = config.MAX_TRADE_PERCENT;
+    }
+
+    const mint = signal.contractAddress;
+    let entryPrice = priceAt(mint, timestamp);
+    if (entryPrice == null) {
+      if (priceSeries.has(mint)) {
+        summary.skipped++; // Historical data doesn't cover this signal
+        return;
+      }
+      entryPrice = simulator.generateInitialPrice();
+    }
+
+    await exchange.setSimulatedPrice(mint, entryPrice);
+    const result = await trader.executeTrade(signal, {
+      channelId,
+      channelInfo: definition
+    });
+
+    if (!result.success) {
+      summary.skipped++;
+      return;
+    }
+
+    summary.trades++;
+    openTrades.set(mint, { channelId, timestamp });
+    scheduleTicks(mint, timestamp, entryPrice);
+  };
+
+  try {
+    while (events.length > 0) {
+      const event = events.shift();
+      clock = event.time;
+
+      if (event.kind === 'message') {
+        await processMessage(event.message);
+      } else {
+        await exchange.setSimulatedPrice(event.mint, event.price);
+      }
+    }
+  } finally {
+    Object.assign(console, quiet);
+  }
+
+  // Positions still open when their price data ran out
+  const stillOpen = (await trader.getActiveTrades()).filter(t => openTrades.has(t.contractAddress));
+
+  const results = {
+    input: path.basename(options.input),
+    messages: messages.length,
+    priceSource: options.prices ? 'historical' : 'synthetic',
+    startingBalance: exchange.getPaperTradingStatus().startingBalance, // DRY_RUN_BALANCE per wallet
+    endingBalance: trader.getDryRunBalance(),
+    channels: {},
+    openPositions: stillOpen.map(t => ({
+      contractAddress: t.contractAddress,
+      channelId: t.channelId,
+      unrealizedProfit: t.profit
+    }))
+  };
+
+  for (const [channelId, summary] of byChannel) {
+    const definition = channelRegistry.getDefinition(channelId);
+    const risk = summary.analytics.metrics.riskMetrics;
+    const closedTrades = summary.analytics.metrics.trades;
+    results.channels[channelId] = {
+      name: definition ? definition.name : `Channel ${channelId}`,
+      messages: summary.messages,
+      signals: summary.signals,
+      trades: summary.trades,
+      skipped: summary.skipped,
+      closedTrades: closedTrades.length,
+      totalProfit: closedTrades.reduce((sum, t) => sum + t.profit, 0),
+      winRate: risk.winRate,
+      maxDrawdown: risk.maxDrawdown
+    };
+  }
+
+  log(`\n${colors.bright}${colors.cyan}📼 CRESTX SIGNAL REPLAY${colors.reset}`);
+  log('═'.repeat(60));
+  log(`📄 Input: ${results.input} (${results.messages} messages)`);
+  log(`📈 Prices: ${results.priceSource}${options.prices ? '' : ` (${options.stepSeconds}s ticks)`}, ${options.horizonHours}h horizon`);
+  log(`💰 Balance: $${results.startingBalance.toFixed(2)} → $${results.endingBalance.toFixed(2)}`);
+  log('⚠️  Trailing stops are not simulated in replays');
+
+  log(`\n${colors.bright}📡 PER-CHANNEL RESULTS:${colors.reset}`);
+  for (const channel of Object.values(results.channels)) {
+    const pnlColor = channel.totalProfit >= 0 ? colors.green : colors.red;
+    log(`\n  ${channel.name}`);
+    log(`    Messages: ${channel.messages} | Signals: ${channel.signals} | Trades: ${channel.trades} | Skipped: ${channel.skipped}`);
+    log(`    Closed: ${channel.closedTrades} | Win Rate: ${channel.winRate.toFixed(1)}% | Max Drawdown: ${channel.maxDrawdown.toFixed(1)}%`);
+    log(`    P/L: ${pnlColor}$${channel.totalProfit.toFixed(2)}${colors.reset}`);
+  }
+
+  if (results.openPositions.length > 0) {
+    log(`\n${colors.yellow}⏳ ${results.openPositions.length} position(s) still open at the end of their price data (not counted above)${colors.reset}`);
+  }
+
+  log(overall.generatePerformanceReport());
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(results, null, 2));
+    log(`💾 Results written to ${options.out}`);
+  }
+
+  return results;
+}
+
+// Run the replay
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${colors.red}❌ ${error.message}${colors.reset}`);
+    process.exit(1);
+  }
+
+  replay(options).then(() => {
+    process.exit(0);
+  }).catch(error => {
+    console.error(`\n${colors.red}💥 Replay failed: ${error.message}${colors.reset}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { replay, loadMessages, loadPriceSeries };
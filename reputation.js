@@ -0,0 +1,156 @@
+// reputation.js - Persistent token and deployer reputation
+// Blacklisted and whitelisted mints, blacklisted deployer wallets, and the
+// deployer of every mint we've resolved, saved to data/reputation.json so they
+// survive restarts. BLACKLISTED_TOKENS from .env still counts as blacklisted.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const REPUTATION_FILE = path.join(__dirname, 'data', 'reputation.json');
+
+class ReputationStore {
+  constructor(filePath = REPUTATION_FILE) {
+    this.filePath = filePath;
+    this.data = this.load();
+  }
+
+  load() {
+    const empty = { blacklistedTokens: {}, whitelistedTokens: {}, blacklistedDeployers: {}, deployers: {} };
+
+    try {
+      if (!fs.existsSync(this.filePath)) return empty;
+      return { ...empty, ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+    } catch (err) {
+      console.error(`⚠️ Failed to load reputation data: ${err.message}`);
+      return empty;
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+    } catch (err) {
+      console.error(`⚠️ Failed to save reputation data: ${err.message}`);
+    }
+  }
+
+  /**
+   * Blacklist entry for a mint ({ reason, source, addedAt }), or null
+   */
+  getBlacklistEntry(mint) {
+    if (this.data.blacklistedTokens[mint]) return this.data.blacklistedTokens[mint];
+    if (config.BLACKLISTED_TOKENS && config.BLACKLISTED_TOKENS.includes(mint)) {
+      return { reason: 'Listed in BLACKLISTED_TOKENS', source: 'env' };
+    }
+    return null;
+  }
+
+  isBlacklisted(mint) {
+    return this.getBlacklistEntry(mint) !== null;
+  }
+
+  isWhitelisted(mint) {
+    return Boolean(this.data.whitelistedTokens[mint]);
+  }
+
+  /**
+   * Blacklist entry for a deployer wallet, or null
+   */
+  getDeployerEntry(wallet) {
+    return (wallet && this.data.blacklistedDeployers[wallet]) || null;
+  }
+
+  /**
+   * Add a mint to the blacklist (removing it from the whitelist)
+   * @param {string} source 'manual' or 'auto'
+   * @returns {boolean} false if it was already blacklisted
+   */
+  blacklistToken(mint, reason, source = 'manual') {
+    if (this.data.blacklistedTokens[mint]) return false;
+
+    delete this.data.whitelistedTokens[mint];
+    this.data.blacklistedTokens[mint] = {
+      reason,
+      source,
+      deployer: this.getDeployer(mint),
+      addedAt: new Date().toISOString()
+    };
+    this.save();
+    console.log(`🚫 Token ${mint} blacklisted: ${reason}`);
+    return true;
+  }
+
+  /**
+   * Add a mint to the whitelist (removing it from the blacklist)
+   */
+  whitelistToken(mint, reason) {
+    delete this.data.blacklistedTokens[mint];
+    this.data.whitelistedTokens[mint] = { reason, addedAt: new Date().toISOString() };
+    this.save();
+    console.log(`🤍 Token ${mint} whitelisted${reason ? `: ${reason}` : ''}`);
+    return true;
+  }
+
+  /**
+   * Remove a mint from both lists
+   * @returns {boolean} false if it wasn't on either
+   */
+  unlistToken(mint) {
+    const listed = Boolean(this.data.blacklistedTokens[mint] || this.data.whitelistedTokens[mint]);
+    delete this.data.blacklistedTokens[mint];
+    delete this.data.whitelistedTokens[mint];
+    if (listed) this.save();
+    return listed;
+  }
+
+  blacklistDeployer(wallet, reason) {
+    if (this.data.blacklistedDeployers[wallet]) return false;
+
+    this.data.blacklistedDeployers[wallet] = { reason, addedAt: new Date().toISOString() };
+    this.save();
+    console.log(`🚫 Deployer ${wallet} blacklisted: ${reason}`);
+    return true;
+  }
+
+  unlistDeployer(wallet) {
+    if (!this.data.blacklistedDeployers[wallet]) return false;
+
+    delete this.data.blacklistedDeployers[wallet];
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remember who deployed a mint; creation never changes so this is never refetched
+   */
+  recordDeployer(mint, wallet) {
+    if (this.data.deployers[mint] === wallet) return;
+
+    this.data.deployers[mint] = wallet;
+    this.save();
+  }
+
+  getDeployer(mint) {
+    return this.data.deployers[mint] || null;
+  }
+
+  /**
+   * Mints we've seen from a deployer
+   */
+  getTokensByDeployer(wallet) {
+    return Object.keys(this.data.deployers).filter(mint => this.data.deployers[mint] === wallet);
+  }
+
+  getLists() {
+    return {
+      blacklistedTokens: { ...this.data.blacklistedTokens },
+      whitelistedTokens: { ...this.data.whitelistedTokens },
+      blacklistedDeployers: { ...this.data.blacklistedDeployers },
+      envBlacklist: config.BLACKLISTED_TOKENS || []
+    };
+  }
+}
+
+module.exports = new ReputationStore();
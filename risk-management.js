@@ -1,27 +1,119 @@
 // risk-management.js - Advanced Risk Management System
+const fs = require('fs');
+const path = require('path');
+
+const RISK_STATE_FILE = path.join(__dirname, 'data', 'risk-state.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class RiskManager {
-  constructor(config) {
+  /**
+   * @param {Object} config
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] Load/save daily stats in data/risk-state.json
+   * @param {Function} [options.now=Date.now] Clock used for the day boundary (replays pass their own)
+   */
+  constructor(config, options = {}) {
     this.config = config;
+    this.persist = options.persist !== false;
+    this.now = options.now || Date.now;
+    this.resetHour = config.RISK_DAY_RESET_HOUR || 0;
+    
     this.dailyLimits = {
-      maxTrades: 20,
-      maxLoss: config.DRY_RUN ? config.DRY_RUN_BALANCE * 0.15 : 1000,
-      maxDrawdown: 0.25 // 25% max drawdown
+      maxTrades: config.RISK_MAX_DAILY_TRADES || 20,
+      maxLoss: config.RISK_MAX_DAILY_LOSS_USD || (config.DRY_RUN ? config.DRY_RUN_BALANCE * 0.15 : 1000),
+      maxDrawdown: (config.RISK_MAX_DRAWDOWN_PERCENT || 25) / 100
     };
     
-    this.sessionStats = {
-      tradesCount: 0,
-      totalLoss: 0,
-      totalProfit: 0,
-      consecutiveLosses: 0,
-      startingBalance: config.DRY_RUN ? config.DRY_RUN_BALANCE : 0,
-      peakBalance: config.DRY_RUN ? config.DRY_RUN_BALANCE : 0
-    };
+    this.sessionStats = this.freshStats(config.DRY_RUN ? config.DRY_RUN_BALANCE : 0);
+    this.dayStart = this.getDayStart();
     
     this.riskLevels = {
       low: { maxTradePercent: 2, maxConcurrentTrades: 3 },
       medium: { maxTradePercent: 5, maxConcurrentTrades: 5 },
       high: { maxTradePercent: 10, maxConcurrentTrades: 8 }
     };
+    
+    if (this.persist) this.loadState();
+  }
+
+  freshStats(balance) {
+    return {
+      tradesCount: 0,
+      totalLoss: 0,
+      totalProfit: 0,
+      consecutiveLosses: 0,
+      startingBalance: balance,
+      peakBalance: balance,
+      currentBalance: balance
+    };
+  }
+
+  /**
+   * Start of the current risk day (RISK_DAY_RESET_HOUR, UTC)
+   */
+  getDayStart(now = this.now()) {
+    const date = new Date(now);
+    const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), this.resetHour);
+    return start > now ? start - DAY_MS : start;
+  }
+
+  /**
+   * Reset the daily stats once the day boundary has been crossed
+   */
+  rollDay() {
+    const dayStart = this.getDayStart();
+    if (dayStart === this.dayStart) return;
+    
+    this.dayStart = dayStart;
+    this.sessionStats = this.freshStats(this.sessionStats.currentBalance);
+    console.log(`📅 New risk day started - daily trade, loss and drawdown limits reset`);
+    this.saveState();
+  }
+
+  loadState() {
+    try {
+      if (!fs.existsSync(RISK_STATE_FILE)) return;
+      const saved = JSON.parse(fs.readFileSync(RISK_STATE_FILE, 'utf8'));
+      
+      // Paper and live days are tracked separately; a mode switch starts fresh
+      if (saved.dryRun !== !!this.config.DRY_RUN || saved.dayStart !== this.dayStart) return;
+      
+      this.sessionStats = { ...this.sessionStats, ...saved.sessionStats };
+      console.log(`📂 Loaded risk state: ${this.sessionStats.tradesCount} trade(s) today, $${this.sessionStats.totalLoss.toFixed(2)} lost`);
+    } catch (err) {
+      console.error(`⚠️ Failed to load risk state: ${err.message}`);
+    }
+  }
+
+  saveState() {
+    if (!this.persist) return;
+    
+    try {
+      fs.mkdirSync(path.dirname(RISK_STATE_FILE), { recursive: true });
+      fs.writeFileSync(RISK_STATE_FILE, JSON.stringify({
+        dryRun: !!this.config.DRY_RUN,
+        dayStart: this.dayStart,
+        sessionStats: this.sessionStats
+      }, null, 2));
+    } catch (err) {
+      console.error(`⚠️ Failed to save risk state: ${err.message}`);
+    }
+  }
+
+  /**
+   * Track the latest account value; the first one seeds the day's peak
+   */
+  observeBalance(balance) {
+    if (!(balance > 0)) return;
+    
+    this.sessionStats.currentBalance = balance;
+    if (!(this.sessionStats.startingBalance > 0)) this.sessionStats.startingBalance = balance;
+    if (balance > this.sessionStats.peakBalance) this.sessionStats.peakBalance = balance;
+  }
+
+  getDrawdown(balance = this.getCurrentBalance()) {
+    const peak = this.sessionStats.peakBalance;
+    return peak > 0 ? Math.max(0, (peak - balance) / peak) : 0;
   }
 
   /**
@@ -36,6 +128,9 @@ class RiskManager {
       maxTradeSize: signal.tradePercent
     };
 
+    this.rollDay();
+    this.observeBalance(currentBalance);
+
     // 1. Daily limits check
     if (this.sessionStats.tradesCount >= this.dailyLimits.maxTrades) {
       riskAssessment.allowed = false;
@@ -51,7 +146,7 @@ class RiskManager {
     }
 
     // 3. Drawdown check
-    const currentDrawdown = (this.sessionStats.peakBalance - currentBalance) / this.sessionStats.peakBalance;
+    const currentDrawdown = this.getDrawdown(currentBalance);
     if (currentDrawdown >= this.dailyLimits.maxDrawdown) {
       riskAssessment.allowed = false;
       riskAssessment.warnings.push(`Maximum drawdown reached: ${(currentDrawdown * 100).toFixed(1)}%`);
@@ -130,33 +225,45 @@ class RiskManager {
     return Math.max(1, Math.min(10, Math.round(score)));
   }
 
+  /**
+   * Count a newly opened trade against the daily limit
+   */
+  recordTradeOpened() {
+    this.rollDay();
+    this.sessionStats.tradesCount++;
+    this.saveState();
+  }
+
   /**
    * Update session statistics after trade completion
    */
   updateStats(tradeResult) {
-    this.sessionStats.tradesCount++;
+    this.rollDay();
+    
+    this.sessionStats.currentBalance += tradeResult.profit;
     
     if (tradeResult.profit > 0) {
       this.sessionStats.totalProfit += tradeResult.profit;
       this.sessionStats.consecutiveLosses = 0;
       
       // Update peak balance
-      const newBalance = this.getCurrentBalance() + tradeResult.profit;
-      if (newBalance > this.sessionStats.peakBalance) {
-        this.sessionStats.peakBalance = newBalance;
+      if (this.sessionStats.currentBalance > this.sessionStats.peakBalance) {
+        this.sessionStats.peakBalance = this.sessionStats.currentBalance;
       }
     } else {
       this.sessionStats.totalLoss += Math.abs(tradeResult.profit);
       this.sessionStats.consecutiveLosses++;
     }
+    
+    this.saveState();
   }
 
   /**
    * Get current risk status
    */
   getRiskStatus() {
-    const currentBalance = this.getCurrentBalance();
-    const drawdown = (this.sessionStats.peakBalance - currentBalance) / this.sessionStats.peakBalance;
+    this.rollDay();
+    const drawdown = this.getDrawdown();
     
     return {
       tradesRemaining: this.dailyLimits.maxTrades - this.sessionStats.tradesCount,
@@ -169,8 +276,7 @@ class RiskManager {
   }
 
   getCurrentRiskLevel() {
-    const currentBalance = this.getCurrentBalance();
-    const drawdown = (this.sessionStats.peakBalance - currentBalance) / this.sessionStats.peakBalance;
+    const drawdown = this.getDrawdown();
     
     if (drawdown >= 0.15 || this.sessionStats.consecutiveLosses >= 4) {
       return 'HIGH';
@@ -201,8 +307,8 @@ class RiskManager {
   }
 
   getCurrentBalance() {
-    // This would be integrated with the actual balance checking
-    return this.config.DRY_RUN ? 1000 : 0; // Simplified for now
+    // Last value seen by evaluateTradeRisk, moved by realized P/L since
+    return this.sessionStats.currentBalance;
   }
 
   /**
@@ -0,0 +1,256 @@
+// rpcPool.js - Shared Solana RPC pool with health checks and failover
+// RPC_ENDPOINT and BACKUP_RPC_ENDPOINTS each get one Connection. Every module
+// uses the pooled connection from getConnection(): reads go to the healthiest
+// endpoint and fail over on network errors, sends go to several endpoints at
+// once, and an endpoint that keeps failing drops out for RPC_COOLDOWN_MS.
+
+const { Connection } = require('@solana/web3.js');
+const config = require('./config');
+
+const HEALTH_TIMEOUT_MS = 5000;
+const SLOT_LAG_PENALTY_MS = 400; // Roughly one slot; a lagging node serves stale data
+const ERROR_RATE_PENALTY_MS = 1000;
+
+// Sent to several endpoints at once instead of one with failover
+const BROADCAST_METHODS = new Set(['sendRawTransaction', 'sendEncodedTransaction']);
+
+// Subscriptions must be removed on the connection that created them, so they stay on the primary
+const SUBSCRIPTION_METHOD = /^(on|remove)[A-Z]/;
+
+const endpoints = [];
+let pooledConnection = null;
+let healthInterval = null;
+
+function createEndpoint(url) {
+  let name = url;
+  try {
+    name = new URL(url).host; // Keep API keys in paths and query strings out of the logs
+  } catch (err) {
+    // Not a URL; Connection will complain on its own
+  }
+
+  return {
+    url,
+    name,
+    connection: new Connection(url, {
+      commitment: 'confirmed',
+      confirmTransactionInitialTimeout: 60000
+    }),
+    latencyMs: 0,
+    errorRate: 0,
+    slot: null,
+    slotLag: 0,
+    consecutiveFailures: 0,
+    disabledUntil: 0,
+    requests: 0,
+    failures: 0
+  };
+}
+
+function initEndpoints() {
+  if (endpoints.length > 0) return;
+
+  const urls = [config.RPC_ENDPOINT, ...(config.BACKUP_RPC_ENDPOINTS || [])]
+    .map(url => url && url.trim())
+    .filter(Boolean);
+
+  for (const url of new Set(urls)) {
+    endpoints.push(createEndpoint(url));
+  }
+}
+
+/**
+ * Network-level failures that say something about the endpoint, as opposed to
+ * RPC errors about the request itself (bad params, failed simulation)
+ */
+function isEndpointError(err) {
+  return /fetch failed|ECONN|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|timed? ?out|\b429\b|Too Many Requests|\b50[0-9]\b|Bad Gateway|Service Unavailable/i
+    .test(err && err.message ? err.message : String(err));
+}
+
+function recordSuccess(endpoint, latencyMs) {
+  endpoint.requests++;
+  endpoint.latencyMs = endpoint.latencyMs ? endpoint.latencyMs * 0.8 + latencyMs * 0.2 : latencyMs;
+  endpoint.errorRate *= 0.9;
+  endpoint.consecutiveFailures = 0;
+}
+
+function recordFailure(endpoint, err) {
+  endpoint.requests++;
+  endpoint.failures++;
+  endpoint.errorRate = endpoint.errorRate * 0.9 + 0.1;
+  endpoint.consecutiveFailures++;
+
+  if (endpoint.consecutiveFailures >= config.RPC_MAX_FAILURES && endpoint.disabledUntil <= Date.now()) {
+    endpoint.disabledUntil = Date.now() + config.RPC_COOLDOWN_MS;
+    console.warn(`🔌 RPC ${endpoint.name} dropped out for ${Math.round(config.RPC_COOLDOWN_MS / 1000)}s after ${endpoint.consecutiveFailures} failures: ${err.message}`);
+  }
+}
+
+/**
+ * Run a call against one endpoint, recording its latency or failure
+ */
+async function timed(endpoint, call) {
+  const start = Date.now();
+  try {
+    const result = await call();
+    recordSuccess(endpoint, Date.now() - start);
+    return result;
+  } catch (err) {
+    if (isEndpointError(err)) recordFailure(endpoint, err);
+    throw err;
+  }
+}
+
+function score(endpoint) {
+  return endpoint.latencyMs +
+    endpoint.errorRate * ERROR_RATE_PENALTY_MS +
+    endpoint.slotLag * SLOT_LAG_PENALTY_MS;
+}
+
+/**
+ * Endpoints best first; dropped-out ones only if nothing else is left
+ */
+function rankEndpoints() {
+  initEndpoints();
+  const now = Date.now();
+  const available = endpoints.filter(e => e.disabledUntil <= now);
+
+  if (available.length === 0) {
+    return [...endpoints].sort((a, b) => a.disabledUntil - b.disabledUntil);
+  }
+
+  // Stable sort keeps the configured order between equally healthy endpoints
+  return available.sort((a, b) => score(a) - score(b));
+}
+
+async function callWithFailover(method, args) {
+  let lastError = null;
+
+  for (const endpoint of rankEndpoints()) {
+    try {
+      return await timed(endpoint, () => endpoint.connection[method](...args));
+    } catch (err) {
+      if (!isEndpointError(err)) throw err;
+      lastError = err;
+      console.warn(`⚠️ RPC ${endpoint.name} failed ${method}: ${err.message}`);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Send to the best RPC_SEND_FANOUT endpoints at once; the first to accept wins
+ */
+function broadcast(method, args) {
+  const targets = rankEndpoints().slice(0, Math.max(1, config.RPC_SEND_FANOUT));
+
+  return new Promise((resolve, reject) => {
+    let pending = targets.length;
+    let reason = null;
+
+    for (const endpoint of targets) {
+      timed(endpoint, () => endpoint.connection[method](...args)).then(resolve, err => {
+        // A node's verdict on the transaction explains more than a network error
+        if (!reason || (isEndpointError(reason) && !isEndpointError(err))) reason = err;
+        if (--pending === 0) reject(reason);
+      });
+    }
+  });
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Ping every endpoint for its slot to refresh latency and slot lag
+ */
+async function checkHealth() {
+  await Promise.all(endpoints.map(async endpoint => {
+    try {
+      endpoint.slot = await timed(endpoint, () => withTimeout(endpoint.connection.getSlot('confirmed'), HEALTH_TIMEOUT_MS));
+
+      // Answering again brings a dropped endpoint back early
+      if (endpoint.disabledUntil > Date.now()) {
+        endpoint.disabledUntil = 0;
+        console.log(`🔌 RPC ${endpoint.name} is back`);
+      }
+    } catch (err) {
+      endpoint.slot = null;
+    }
+  }));
+
+  const maxSlot = Math.max(0, ...endpoints.map(e => e.slot || 0));
+  for (const endpoint of endpoints) {
+    endpoint.slotLag = endpoint.slot ? maxSlot - endpoint.slot : 0;
+  }
+}
+
+function startHealthChecks() {
+  // With a single endpoint there is nothing to choose between
+  if (healthInterval || endpoints.length < 2) return;
+
+  healthInterval = setInterval(checkHealth, config.RPC_HEALTH_INTERVAL_MS);
+  healthInterval.unref(); // Don't keep one-off scripts alive
+  checkHealth();
+}
+
+/**
+ * The pooled connection. It has the full Connection API; each call is routed
+ * to the healthiest endpoint at the time it is made.
+ * @returns {Connection}
+ */
+function getConnection() {
+  if (pooledConnection) return pooledConnection;
+
+  initEndpoints();
+  startHealthChecks();
+
+  pooledConnection = new Proxy({}, {
+    get(target, prop) {
+      if (typeof prop === 'string' && SUBSCRIPTION_METHOD.test(prop)) {
+        const primary = endpoints[0].connection;
+        return typeof primary[prop] === 'function' ? primary[prop].bind(primary) : primary[prop];
+      }
+
+      const value = rankEndpoints()[0].connection[prop];
+      if (typeof value !== 'function') return value;
+      if (BROADCAST_METHODS.has(prop)) return (...args) => broadcast(prop, args);
+      return (...args) => callWithFailover(prop, args);
+    }
+  });
+
+  return pooledConnection;
+}
+
+/**
+ * Per-endpoint health for the CLI and status output
+ */
+function getStats() {
+  initEndpoints();
+  const now = Date.now();
+
+  return endpoints.map(e => ({
+    name: e.name,
+    primary: e === endpoints[0],
+    available: e.disabledUntil <= now,
+    disabledForMs: Math.max(0, e.disabledUntil - now),
+    latencyMs: Math.round(e.latencyMs),
+    errorRate: e.errorRate,
+    slotLag: e.slotLag,
+    requests: e.requests,
+    failures: e.failures
+  }));
+}
+
+module.exports = {
+  getConnection,
+  checkHealth,
+  getStats
+};
@@ -0,0 +1,106 @@
+// safetyPolicy.js - Scored token safety policy
+// Every safety check reports pass, warn or fail. The policy gives each check a
+// weight and marks it hard (a failure always rejects) or soft (a failure only
+// costs score). Channels can override rules and the minimum score with a
+// "safety" block in their definition.
+
+const config = require('./config');
+const channelRegistry = require('./channelRegistry');
+
+// Share of a check's weight earned for each status
+const STATUS_CREDIT = { pass: 1, warn: 0.5, fail: 0 };
+
+/**
+ * Default rules, keyed by check id
+ */
+function getDefaultRules() {
+  return {
+    validMint:       { label: 'Mint address',      weight: 10, hard: true },
+    blacklist:       { label: 'Blacklist',         weight: 10, hard: true },
+    deployer:        { label: 'Deployer',          weight: 10, hard: true },
+    tokenAge:        { label: 'Token age',         weight: 10, hard: false },
+    route:           { label: 'Jupiter route',     weight: 15, hard: false },
+    buyImpact:       { label: 'Buy price impact',  weight: 10, hard: false },
+    sellImpact:      { label: 'Sell price impact', weight: 10, hard: false },
+    honeypot:        { label: 'Honeypot',          weight: 20, hard: true },
+    liquidity:       { label: 'Liquidity',         weight: 15, hard: false },
+    metadata:        { label: 'Metadata',          weight: 5,  hard: false },
+    namePattern:     { label: 'Name patterns',     weight: 5,  hard: false },
+    mintAccount:     { label: 'Mint account',      weight: 10, hard: true },
+    mintAuthority:   { label: 'Mint authority',    weight: 15, hard: config.REJECT_MINT_AUTHORITY },
+    freezeAuthority: { label: 'Freeze authority',  weight: 15, hard: config.REJECT_FREEZE_AUTHORITY },
+    transferFee:     { label: 'Transfer fee',      weight: 10, hard: true },
+    tokenExtensions: { label: 'Token-2022 extensions', weight: 20, hard: true },
+    topHolder:       { label: 'Top holder',        weight: 10, hard: false },
+    top10Holders:    { label: 'Top 10 holders',    weight: 10, hard: false },
+    lpSecured:       { label: 'LP burned/locked',  weight: 15, hard: false },
+    checkError:      { label: 'Safety check run',  weight: 10, hard: true }
+  };
+}
+
+/**
+ * Resolve the policy for a channel: default rules plus the channel's overrides
+ * @param {string|null} channelId Telegram channel ID, or null for the default policy
+ * @returns {Object} { name, minScore, rules }
+ */
+function getPolicy(channelId = null) {
+  const definition = channelRegistry.getDefinition(channelId);
+  const overrides = definition ? definition.safety : null;
+  const rules = getDefaultRules();
+
+  if (!overrides || (overrides.minScore == null && Object.keys(overrides.rules).length === 0)) {
+    return { name: 'default', minScore: config.SAFETY_MIN_SCORE, rules };
+  }
+
+  for (const [id, override] of Object.entries(overrides.rules)) {
+    if (!rules[id]) {
+      console.warn(`⚠️ Unknown safety rule "${id}" in ${definition.name} policy, ignoring`);
+      continue;
+    }
+    rules[id] = { ...rules[id], ...override };
+  }
+
+  return {
+    name: definition.name,
+    minScore: overrides.minScore != null ? overrides.minScore : config.SAFETY_MIN_SCORE,
+    rules
+  };
+}
+
+/**
+ * Score check results against a policy
+ * @param {Array} checks [{ id, status: 'pass'|'warn'|'fail', detail }]
+ * @param {Object} policy From getPolicy()
+ * @returns {Object} { isSafe, score, minScore, policy, checks, warnings, cautions, rejectReasons }
+ */
+function evaluate(checks, policy) {
+  const scored = checks.map(check => {
+    const rule = policy.rules[check.id] || { label: check.id, weight: 0, hard: false };
+    return { ...check, label: rule.label, weight: rule.weight, hard: rule.hard };
+  });
+
+  const total = scored.reduce((sum, c) => sum + c.weight, 0);
+  const earned = scored.reduce((sum, c) => sum + c.weight * STATUS_CREDIT[c.status], 0);
+  const score = total > 0 ? Math.round((earned / total) * 100) : 100;
+
+  const rejectReasons = scored.filter(c => c.status === 'fail' && c.hard).map(c => c.detail);
+  if (score < policy.minScore) {
+    rejectReasons.push(`Safety score ${score}/100 is below the ${policy.name} minimum of ${policy.minScore}`);
+  }
+
+  return {
+    isSafe: rejectReasons.length === 0,
+    score,
+    minScore: policy.minScore,
+    policy: policy.name,
+    checks: scored,
+    warnings: scored.filter(c => c.status === 'fail').map(c => c.detail),
+    cautions: scored.filter(c => c.status === 'warn').map(c => c.detail),
+    rejectReasons
+  };
+}
+
+module.exports = {
+  getPolicy,
+  evaluate
+};
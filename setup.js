@@ -3,6 +3,7 @@ const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
 const { displayBanner } = require('./banner');
+const keystore = require('./keystore');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -377,7 +378,7 @@ class EnhancedSetup {
     
     console.log('💳 \x1b[1m\x1b[33mWALLET CONFIGURATION:\x1b[0m');
     console.log('You need a Solana wallet with USDC for trading.');
-    console.log('\x1b[90mYour private key will be stored securely on your computer.\x1b[0m\n');
+    console.log('\x1b[90mYour private key is encrypted with a passphrase and never written to .env.\x1b[0m\n');
     
     const hasWallet = await this.askYesNo('Do you have a Solana wallet with USDC', false);
     
@@ -398,11 +399,7 @@ class EnhancedSetup {
     console.log('   • Use a dedicated trading wallet (not your main wallet)');
     console.log('   • Start with small amounts to test\n');
     
-    this.config.WALLET_PRIVATE_KEY = await this.askQuestion('🔐 Enter your wallet private key (hex format): ');
-    
-    if (!this.config.WALLET_PRIVATE_KEY || this.config.WALLET_PRIVATE_KEY.length < 64) {
-      throw new Error('Invalid private key format!');
-    }
+    await this.setupKeystore();
     
     console.log('✅ \x1b[32mWallet configured successfully!\x1b[0m');
     
@@ -436,6 +433,30 @@ class EnhancedSetup {
     console.log(`   • Essential for memecoin trading speed`);
   }
 
+  /**
+   * Import the wallet key into the encrypted keystore; neither the key nor
+   * the passphrase is echoed or written to .env
+   */
+  async setupKeystore() {
+    if (keystore.exists()) {
+      const summary = keystore.getSummary();
+      const keep = await this.askYesNo(`🔐 Keep the existing keystore for wallet ${summary.publicKey}`, true);
+      if (keep === 'true') return;
+    }
+    
+    const secret = await keystore.askHidden(rl, '🔐 Enter your wallet private key (hex, base58 or array): ');
+    const passphrase = await keystore.askHidden(rl, `🔑 Choose a keystore passphrase (${keystore.MIN_PASSPHRASE_LENGTH}+ characters): `);
+    const confirm = await keystore.askHidden(rl, '🔑 Repeat the passphrase: ');
+    
+    if (passphrase !== confirm) {
+      throw new Error('Passphrases do not match!');
+    }
+    
+    const summary = keystore.importKey(secret, passphrase);
+    console.log(`📁 Keystore: ${summary.path}`);
+    console.log('💡 Unlock it at startup, or set WALLET_KEYSTORE_PASSPHRASE in the service environment');
+  }
+
   async setupPaperTrading() {
     console.log('\n\x1b[1m\x1b[37m🧪 STEP 6: PAPER TRADING SETUP\x1b[0m');
     
@@ -583,8 +604,9 @@ BLACKLISTED_TOKENS=
 RPC_ENDPOINT=${this.config.RPC_ENDPOINT || 'https://api.mainnet-beta.solana.com'}
 BACKUP_RPC_ENDPOINTS=https://solana-api.projectserum.com
 NETWORK=mainnet-beta
-${this.config.WALLET_PRIVATE_KEY ? `WALLET_PRIVATE_KEY=${this.config.WALLET_PRIVATE_KEY}` : 'WALLET_PRIVATE_KEY='}
+# Wallet key: encrypted keystore (data/wallet-keystore.json), see "npm run wallet"
 USDC_MINT_ADDRESS=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v
+QUOTE_ASSET=USDC
 PRIORITY_FEE_LAMPORTS=${this.config.PRIORITY_FEE_LAMPORTS || '50000'}
 
 # DRY RUN / PAPER TRADING SETTINGS
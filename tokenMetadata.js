@@ -0,0 +1,121 @@
+// tokenMetadata.js - Token name/symbol resolution
+// Reads Metaplex metadata accounts and the Token-2022 metadata extension so
+// safety checks, trade records, notifications and the CLI see real names.
+
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_2022_PROGRAM_ID, getTokenMetadata } = require('@solana/spl-token');
+const { getConnection } = require('./rpcPool');
+
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// Metadata rarely changes; misses are retried sooner in case it was just created
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const MISS_TTL_MS = 5 * 60 * 1000;
+const metadataCache = new Map();
+
+// A mint's decimals are fixed at creation, so they're cached for good
+const decimalsCache = new Map();
+
+/**
+ * Decode name, symbol, URI and update authority from a Metaplex metadata account
+ * (key u8, update authority, mint, then three borsh strings padded with NULs)
+ */
+function decodeMetaplexMetadata(data) {
+  let offset = 1;
+  const updateAuthority = new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+  offset += 64; // update authority + mint
+
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    offset += 4;
+    const value = data.subarray(offset, offset + length).toString('utf8').replace(/\0/g, '').trim();
+    offset += length;
+    return value;
+  };
+
+  const name = readString();
+  const symbol = readString();
+  const uri = readString();
+
+  return { name, symbol, uri, updateAuthority };
+}
+
+async function fetchMetadata(mintAddress) {
+  const mint = new PublicKey(mintAddress);
+  const [metadataPda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+    METADATA_PROGRAM_ID
+  );
+
+  const [mintInfo, metaplexInfo] = await getConnection().getMultipleAccountsInfo([mint, metadataPda]);
+  if (!mintInfo) return null;
+
+  // Token-2022 mints can carry their metadata in the mint account itself
+  if (mintInfo.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+    const embedded = await getTokenMetadata(getConnection(), mint, 'confirmed', TOKEN_2022_PROGRAM_ID);
+    if (embedded) {
+      return {
+        name: embedded.name,
+        symbol: embedded.symbol,
+        uri: embedded.uri,
+        updateAuthority: embedded.updateAuthority ? embedded.updateAuthority.toBase58() : null,
+        source: 'token-2022'
+      };
+    }
+  }
+
+  if (metaplexInfo) {
+    return { ...decodeMetaplexMetadata(metaplexInfo.data), source: 'metaplex' };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a token's on-chain metadata (cached)
+ * @param {string} mintAddress Token mint address
+ * @returns {Promise<Object|null>} { name, symbol, uri, updateAuthority, source } or null if none
+ */
+async function getMetadata(mintAddress) {
+  const cached = metadataCache.get(mintAddress);
+  if (cached && Date.now() - cached.timestamp < (cached.metadata ? CACHE_TTL_MS : MISS_TTL_MS)) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchMetadata(mintAddress);
+  metadataCache.set(mintAddress, { timestamp: Date.now(), metadata });
+  return metadata;
+}
+
+/**
+ * Decimals of a token mint (SPL Token or Token-2022)
+ * @param {string} mintAddress Token mint address
+ * @returns {Promise<number>}
+ */
+async function getDecimals(mintAddress) {
+  if (decimalsCache.has(mintAddress)) return decimalsCache.get(mintAddress);
+
+  const { value } = await getConnection().getParsedAccountInfo(new PublicKey(mintAddress));
+  const parsed = value && value.data && value.data.parsed;
+  if (!parsed || parsed.type !== 'mint') {
+    throw new Error(`${mintAddress} is not a token mint`);
+  }
+
+  decimalsCache.set(mintAddress, parsed.info.decimals);
+  return parsed.info.decimals;
+}
+
+/**
+ * Display label for a token: symbol, else name, else a shortened address
+ */
+function formatTokenLabel(trade) {
+  if (trade.symbol) return trade.symbol;
+  if (trade.tokenName) return trade.tokenName;
+  return trade.contractAddress ? `${trade.contractAddress.slice(0, 8)}...` : 'Unknown';
+}
+
+module.exports = {
+  getMetadata,
+  getDecimals,
+  formatTokenLabel
+};
@@ -1,7 +1,22 @@
 // tokenSafety.js - Enhanced token safety checks with proper integration
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { PublicKey } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  unpackMint,
+  getTransferFeeConfig,
+  getPermanentDelegate,
+  getTransferHook,
+  getNonTransferable
+} = require('@solana/spl-token');
 const config = require('./config');
 const exchangeClient = require('./exchangeClient');
+const { analyzeHolders, analyzeLiquidityPool } = require('./holderAnalysis');
+const tokenMetadata = require('./tokenMetadata');
+const safetyPolicy = require('./safetyPolicy');
+const reputation = require('./reputation');
+const quoteAsset = require('./quoteAsset');
+const { getConnection } = require('./rpcPool');
 
 // Cache results to avoid repeated API calls
 const safetyCache = new Map();
@@ -15,168 +30,449 @@ const SCAM_PATTERNS = [
 ];
 
 /**
- * Comprehensive token safety verification
+ * Comprehensive token safety verification, scored against a channel's safety policy
  * @param {string} mintAddress Token mint address
- * @returns {Promise<Object>} Safety check results
+ * @param {Object} options { channelId } selects the channel's policy
+ * @returns {Promise<Object>} Safety check results with score and per-check breakdown
  */
-async function checkToken(mintAddress) {
+async function checkToken(mintAddress, { channelId = null } = {}) {
+  const policy = safetyPolicy.getPolicy(channelId);
+
   // Validate mint address format
   try {
     new PublicKey(mintAddress);
   } catch (err) {
     return {
-      isSafe: false,
-      warnings: ['Invalid mint address format'],
+      ...safetyPolicy.evaluate([{ id: 'validMint', status: 'fail', detail: 'Invalid mint address format' }], policy),
+      address: mintAddress,
       name: null,
       liquidity: null,
       priceImpact: null
     };
   }
 
-  // Check cache first (valid for 5 minutes)
+  // Check cache first (valid for 5 minutes); the checks are cached, the score is per policy
   const now = Date.now();
   if (safetyCache.has(mintAddress)) {
     const cached = safetyCache.get(mintAddress);
     if (now - cached.timestamp < 300000) { // 5 minutes
       console.log(`📋 Using cached safety check for ${mintAddress}`);
-      return cached.result;
+      return scoreReport(cached.report, policy);
+    }
+  }
+
+  const report = await runChecks(mintAddress);
+  report.checkedAt = new Date().toISOString();
+
+  safetyCache.set(mintAddress, {
+    timestamp: now,
+    report
+  });
+
+  const result = scoreReport(report, policy);
+
+  // Log safety check result
+  if (result.isSafe) {
+    console.log(`✅ Token ${mintAddress} scored ${result.score}/100 (${result.policy} policy, minimum ${result.minScore})`);
+  } else {
+    console.log(`⚠️ Token ${mintAddress} rejected: ${result.rejectReasons.join(', ')}`);
+  }
+
+  return result;
+}
+
+function scoreReport(report, policy) {
+  const { checks, ...data } = report;
+  const result = { ...safetyPolicy.evaluate([...reputationChecks(report), ...checks], policy), ...data };
+  
+  // Whitelisted tokens are trusted whatever they score
+  if (reputation.isWhitelisted(report.address)) {
+    result.whitelisted = true;
+    result.isSafe = true;
+    result.rejectReasons = [];
+  }
+  
+  return result;
+}
+
+/**
+ * Blacklist and deployer checks, read live from the reputation store so list
+ * changes apply to cached reports too
+ */
+function reputationChecks(report) {
+  const checks = [];
+  
+  const entry = reputation.getBlacklistEntry(report.address);
+  if (entry) {
+    checks.push({ id: 'blacklist', status: 'fail', detail: `Token is blacklisted (${entry.reason})` });
+  } else {
+    checks.push({ id: 'blacklist', status: 'pass', detail: "Not blacklisted" });
+  }
+  
+  if (report.deployer) {
+    const deployerEntry = reputation.getDeployerEntry(report.deployer);
+    if (deployerEntry) {
+      checks.push({ id: 'deployer', status: 'fail', detail: `Deployer ${report.deployer} is blacklisted (${deployerEntry.reason})` });
+    } else {
+      checks.push({ id: 'deployer', status: 'pass', detail: `Deployed by ${report.deployer}` });
     }
+  } else {
+    checks.push({ id: 'deployer', status: 'warn', detail: "Could not resolve the deployer wallet" });
   }
+  
+  return checks;
+}
+
+/**
+ * Run every safety check for a token
+ * @returns {Promise<Object>} { checks: [{ id, status, detail }], ...token data }
+ */
+async function runChecks(mintAddress) {
+  const checks = [];
+  const check = (id, status, detail) => checks.push({ id, status, detail });
 
-  const warnings = [];
   let name = null;
+  let symbol = null;
+  let metadata = null;
   let liquidity = null;
   let priceImpact = null;
+  let buyPriceImpact = null;
+  let sellPriceImpact = null;
+  let roundTripLoss = null;
+  let mintInfo = null;
+  let pool = null;
+  let holders = null;
+  let liquidityPool = null;
+  let liquidityDepth = null;
   let tokenAge = null;
+  let deployer = null;
+
+  const report = () => ({
+    checks,
+    address: mintAddress,
+    deployer,
+    name,
+    symbol,
+    metadata,
+    liquidity,
+    priceImpact,
+    buyPriceImpact,
+    sellPriceImpact,
+    roundTripLoss,
+    mint: mintInfo,
+    holders,
+    liquidityPool,
+    liquidityDepth,
+    tokenAge: tokenAge ? Math.floor(tokenAge / 60) : null // in minutes
+  });
 
   try {
-    // 1) Blacklist check
-    if (config.BLACKLISTED_TOKENS && config.BLACKLISTED_TOKENS.includes(mintAddress)) {
-      warnings.push("Token is blacklisted");
+    // 1) Blacklist and deployer checks run at scoring time (see reputationChecks)
+
+    // 2) Creation transaction, for the token's age and its deployer
+    let creation = null;
+    if (config.MIN_TOKEN_AGE_SECONDS || !reputation.getDeployer(mintAddress)) {
+      try {
+        creation = await getCreationInfo(mintAddress);
+      } catch (err) {
+        console.error(`⚠️ Error finding token creation: ${err.message}`);
+      }
     }
 
-    // 2) Token age verification
+    // 2a) Token age verification - an RPC error is a warning, not a failure
     if (config.MIN_TOKEN_AGE_SECONDS) {
-      try {
-        tokenAge = await getTokenAge(mintAddress);
+      const minMinutes = Math.floor(config.MIN_TOKEN_AGE_SECONDS / 60);
+      if (creation) {
+        tokenAge = getTokenAge(mintAddress, creation);
+        const minutes = Math.floor(tokenAge / 60);
         if (tokenAge < config.MIN_TOKEN_AGE_SECONDS) {
-          const minutes = Math.floor(tokenAge / 60);
-          warnings.push(`Token is too new (${minutes} minutes old, minimum: ${Math.floor(config.MIN_TOKEN_AGE_SECONDS / 60)} minutes)`);
+          check('tokenAge', 'fail', `Token is too new (${minutes} minutes old, minimum: ${minMinutes} minutes)`);
+        } else {
+          check('tokenAge', 'pass', `${minutes} minutes old`);
         }
-      } catch (err) {
-        console.error(`⚠️ Error checking token age: ${err.message}`);
-        warnings.push("Could not verify token age");
+      } else {
+        check('tokenAge', 'warn', "Could not verify token age");
       }
     }
 
-    // 3) Exchange client safety check (liquidity, price impact, etc.)
+    // 2b) Deployer wallet, so launches by blacklisted deployers are rejected
+    try {
+      deployer = await resolveDeployer(mintAddress, creation);
+    } catch (err) {
+      console.error(`⚠️ Deployer lookup error: ${err.message}`);
+    }
+
+    // 3) Exchange client safety check (route, liquidity, price impact, etc.)
     try {
       const safety = await exchangeClient.checkTokenSafety(mintAddress);
       
-      if (!safety.safe) {
-        warnings.push(safety.reason || "Failed exchange safety check");
-      }
-      
       // Store metadata
-      name = safety.name;
-      liquidity = safety.liquidity;
+      liquidity = safety.depth ? safety.liquidity : null;
+      liquidityDepth = safety.depth || null;
       priceImpact = safety.priceImpact;
+      buyPriceImpact = safety.buyPriceImpact != null ? safety.buyPriceImpact : null;
+      sellPriceImpact = safety.sellPriceImpact != null ? safety.sellPriceImpact : null;
+      roundTripLoss = safety.roundTripLoss != null ? safety.roundTripLoss : null;
+      pool = safety.pool || null;
       
-      // 4) Price impact threshold
-      if (priceImpact != null && priceImpact * 100 > config.MAX_PRICE_IMPACT) {
-        warnings.push(
-          `High price impact: ${(priceImpact * 100).toFixed(2)}% (max allowed: ${config.MAX_PRICE_IMPACT}%)`
-        );
+      // No quote can be a Jupiter hiccup as much as a dead token
+      if (buyPriceImpact != null) {
+        check('route', 'pass', `Routed via ${pool && pool.label ? pool.label : 'Jupiter'}`);
+      } else {
+        check('route', 'warn', safety.safe === false && safety.liquidity === undefined
+          ? `Exchange safety check failed: ${safety.reason}`
+          : "Could not quote a Jupiter route");
+      }
+      
+      // 4) Price impact threshold, each direction on its own
+      if (buyPriceImpact != null) {
+        const pct = (buyPriceImpact * 100).toFixed(2);
+        if (buyPriceImpact * 100 > config.MAX_PRICE_IMPACT) {
+          check('buyImpact', 'fail', `High buy price impact: ${pct}% (max allowed: ${config.MAX_PRICE_IMPACT}%)`);
+        } else {
+          check('buyImpact', 'pass', `Buy price impact ${pct}%`);
+        }
+      }
+      if (sellPriceImpact != null) {
+        const pct = (sellPriceImpact * 100).toFixed(2);
+        if (sellPriceImpact * 100 > config.MAX_PRICE_IMPACT) {
+          check('sellImpact', 'fail', `High sell price impact: ${pct}% (max allowed: ${config.MAX_PRICE_IMPACT}%)`);
+        } else {
+          check('sellImpact', 'pass', `Sell price impact ${pct}%`);
+        }
+      }
+      
+      // 4b) Honeypot check - buying and selling straight back shouldn't lose much
+      if (safety.sellable === false) {
+        check('honeypot', 'fail', `No sell route back to ${quoteAsset.getQuoteAsset().symbol} (possible honeypot)`);
+      } else if (roundTripLoss != null) {
+        const pct = (roundTripLoss * 100).toFixed(2);
+        if (roundTripLoss * 100 > config.MAX_ROUND_TRIP_LOSS) {
+          check('honeypot', 'fail', `High round-trip loss: ${pct}% (max allowed: ${config.MAX_ROUND_TRIP_LOSS}%, possible honeypot)`);
+        } else {
+          check('honeypot', 'pass', `Round-trip loss ${pct}%`);
+        }
+      } else {
+        check('honeypot', 'warn', "Could not quote a buy/sell round trip");
       }
       
       // 5) Liquidity threshold
-      if (config.MIN_LIQUIDITY_USD && liquidity != null) {
-        if (liquidity < config.MIN_LIQUIDITY_USD) {
-          warnings.push(
-            `Low liquidity: $${liquidity.toFixed(0)} (minimum: $${config.MIN_LIQUIDITY_USD})`
-          );
+      if (liquidity != null) {
+        if (config.MIN_LIQUIDITY_USD && liquidity < config.MIN_LIQUIDITY_USD) {
+          check('liquidity', 'fail', `Low liquidity: $${liquidity.toFixed(0)} (minimum: $${config.MIN_LIQUIDITY_USD})`);
+        } else {
+          check('liquidity', 'pass', `Liquidity $${liquidity.toFixed(0)}`);
         }
+      } else {
+        check('liquidity', 'warn', "Could not measure liquidity");
       }
     } catch (err) {
       console.error(`⚠️ Exchange safety check error: ${err.message}`);
-      warnings.push(`Exchange safety check failed: ${err.message}`);
+      check('route', 'warn', `Exchange safety check failed: ${err.message}`);
     }
 
-    // 6) Name pattern check (if we have a name)
-    if (name) {
-      for (const pattern of SCAM_PATTERNS) {
-        if (pattern.test(name)) {
-          warnings.push(`Token name contains suspicious pattern: ${pattern.source}`);
-          break;
-        }
+    // 6) Real name/symbol from on-chain metadata, then the scam pattern check
+    try {
+      metadata = await tokenMetadata.getMetadata(mintAddress);
+      if (metadata) {
+        name = metadata.name || null;
+        symbol = metadata.symbol || null;
+        check('metadata', 'pass', `${name || '?'} (${symbol || '?'}) from ${metadata.source}`);
+      } else {
+        check('metadata', 'warn', "Token has no on-chain metadata");
       }
+    } catch (err) {
+      console.error(`⚠️ Metadata lookup error: ${err.message}`);
+      check('metadata', 'warn', "Could not resolve token metadata");
     }
 
-    // 7) Additional on-chain verification
+    const label = [name, symbol].filter(Boolean).join(' ');
+    if (label) {
+      const suspicious = SCAM_PATTERNS.find(pattern => pattern.test(label));
+      if (suspicious) {
+        check('namePattern', 'fail', `Token name contains suspicious pattern: ${suspicious.source}`);
+      } else {
+        check('namePattern', 'pass', "No suspicious name patterns");
+      }
+    }
+
+    const connection = getConnection();
+
+    // 7) On-chain mint account: token program, authorities, Token-2022 extensions
     try {
-      const connection = new Connection(config.RPC_ENDPOINT);
       const mintPubkey = new PublicKey(mintAddress);
       const accountInfo = await connection.getAccountInfo(mintPubkey);
       
       if (!accountInfo) {
-        warnings.push("Token mint account not found on-chain");
-      } else if (!accountInfo.owner.equals(TOKEN_PROGRAM_ID)) {
-        warnings.push("Invalid token program owner");
+        check('mintAccount', 'fail', "Token mint account not found on-chain");
+      } else if (!accountInfo.owner.equals(TOKEN_PROGRAM_ID) && !accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+        check('mintAccount', 'fail', "Invalid token program owner");
+      } else {
+        mintInfo = inspectMint(mintPubkey, accountInfo);
+        check('mintAccount', 'pass', `${mintInfo.program} mint`);
+        checkMintAuthorities(mintInfo, check);
       }
     } catch (err) {
       console.error(`⚠️ On-chain verification error: ${err.message}`);
-      warnings.push("Could not verify token on-chain");
+      check('mintAccount', 'warn', "Could not verify token on-chain");
     }
 
-    // Final safety determination
-    const result = {
-      isSafe: warnings.length === 0,
-      warnings,
-      name,
-      liquidity,
-      priceImpact,
-      tokenAge: tokenAge ? Math.floor(tokenAge / 60) : null, // in minutes
-      checkedAt: new Date().toISOString()
-    };
-
-    // Cache the result
-    safetyCache.set(mintAddress, {
-      timestamp: now,
-      result
-    });
+    // 8) Holder concentration (pools and burned supply don't count)
+    try {
+      holders = await analyzeHolders(connection, mintAddress);
+      
+      const top = holders.topHolderPercent.toFixed(1);
+      if (holders.topHolderPercent > config.MAX_TOP_HOLDER_PERCENT) {
+        check('topHolder', 'fail', `Top holder owns ${top}% of supply (max allowed: ${config.MAX_TOP_HOLDER_PERCENT}%)`);
+      } else {
+        check('topHolder', 'pass', `Top holder owns ${top}% of supply`);
+      }
+      
+      const top10 = holders.top10Percent.toFixed(1);
+      if (holders.top10Percent > config.MAX_TOP10_HOLDERS_PERCENT) {
+        check('top10Holders', 'fail', `Top 10 holders own ${top10}% of supply (max allowed: ${config.MAX_TOP10_HOLDERS_PERCENT}%)`);
+      } else {
+        check('top10Holders', 'pass', `Top 10 holders own ${top10}% of supply`);
+      }
+    } catch (err) {
+      console.error(`⚠️ Holder analysis error: ${err.message}`);
+      check('topHolder', 'warn', "Could not analyze holder distribution");
+    }
 
-    // Log safety check result
-    if (result.isSafe) {
-      console.log(`✅ Token ${mintAddress} passed all safety checks`);
-    } else {
-      console.log(`⚠️ Token ${mintAddress} has ${warnings.length} safety warnings`);
+    // 9) LP tokens of the main pool should be burned or locked
+    if (pool) {
+      const poolName = pool.label || 'pool';
+      try {
+        liquidityPool = await analyzeLiquidityPool(connection, pool.address);
+        liquidityPool.label = pool.label;
+        
+        if (liquidityPool.applicable) {
+          const secured = liquidityPool.burnedPercent + liquidityPool.lockedPercent;
+          if (secured < config.MIN_LP_SECURED_PERCENT) {
+            check('lpSecured', 'fail', `Only ${secured.toFixed(1)}% of ${poolName} LP is burned or locked (minimum: ${config.MIN_LP_SECURED_PERCENT}%)`);
+          } else {
+            check('lpSecured', 'pass', `${secured.toFixed(1)}% of ${poolName} LP is burned or locked`);
+          }
+        } else {
+          check('lpSecured', 'warn', `${pool.label || 'Main pool'} has no LP token to check for burn/lock`);
+        }
+      } catch (err) {
+        console.error(`⚠️ LP analysis error: ${err.message}`);
+        check('lpSecured', 'warn', "Could not check LP burn/lock status");
+      }
     }
 
-    return result;
+    return report();
   } catch (err) {
     console.error(`❌ Token safety check critical error: ${err.message}`);
-    return {
-      isSafe: false,
-      warnings: [`Safety check critical error: ${err.message}`],
-      name,
-      liquidity,
-      priceImpact,
-      tokenAge
-    };
+    check('checkError', 'fail', `Safety check critical error: ${err.message}`);
+    return report();
+  }
+}
+
+/**
+ * Decode an SPL Token or Token-2022 mint account
+ * @param {PublicKey} mintPubkey Mint address
+ * @param {Object} accountInfo Raw account from getAccountInfo
+ * @returns {Object} Program, authorities, supply and the Token-2022 extensions we care about
+ */
+function inspectMint(mintPubkey, accountInfo) {
+  const isToken2022 = accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID);
+  const mint = unpackMint(mintPubkey, accountInfo, accountInfo.owner);
+  const isSet = key => key && !key.equals(PublicKey.default);
+  
+  const info = {
+    program: isToken2022 ? 'token-2022' : 'spl-token',
+    decimals: mint.decimals,
+    supply: mint.supply.toString(),
+    mintAuthority: mint.mintAuthority ? mint.mintAuthority.toBase58() : null,
+    freezeAuthority: mint.freezeAuthority ? mint.freezeAuthority.toBase58() : null,
+    extensions: {}
+  };
+  
+  if (!isToken2022) return info;
+  
+  const transferFee = getTransferFeeConfig(mint);
+  if (transferFee) {
+    // A newer fee can be scheduled for a future epoch, so judge by the higher one
+    const bps = Math.max(
+      transferFee.olderTransferFee.transferFeeBasisPoints,
+      transferFee.newerTransferFee.transferFeeBasisPoints
+    );
+    info.extensions.transferFeePercent = bps / 100;
+  }
+  
+  const permanentDelegate = getPermanentDelegate(mint);
+  if (permanentDelegate && isSet(permanentDelegate.delegate)) {
+    info.extensions.permanentDelegate = permanentDelegate.delegate.toBase58();
+  }
+  
+  if (getNonTransferable(mint)) {
+    info.extensions.nonTransferable = true;
+  }
+  
+  const transferHook = getTransferHook(mint);
+  if (transferHook && isSet(transferHook.programId)) {
+    info.extensions.transferHookProgram = transferHook.programId.toBase58();
+  }
+  
+  return info;
+}
+
+/**
+ * Turn decoded mint data into authority and extension checks
+ */
+function checkMintAuthorities(mintInfo, check) {
+  const { mintAuthority, freezeAuthority, extensions } = mintInfo;
+  
+  if (mintAuthority) {
+    check('mintAuthority', 'fail', `Mint authority not renounced (${mintAuthority}) - supply can be inflated`);
+  } else {
+    check('mintAuthority', 'pass', "Mint authority renounced");
+  }
+  
+  if (freezeAuthority) {
+    check('freezeAuthority', 'fail', `Freeze authority still set (${freezeAuthority}) - token accounts can be frozen`);
+  } else {
+    check('freezeAuthority', 'pass', "No freeze authority");
+  }
+  
+  if (mintInfo.program !== 'token-2022') return;
+  
+  if (extensions.transferFeePercent > 0) {
+    const issue = `Token-2022 transfer fee: ${extensions.transferFeePercent}% (max allowed: ${config.MAX_TRANSFER_FEE_PERCENT}%)`;
+    check('transferFee', extensions.transferFeePercent > config.MAX_TRANSFER_FEE_PERCENT ? 'fail' : 'warn', issue);
+  } else {
+    check('transferFee', 'pass', "No transfer fee");
+  }
+  
+  const dangerous = [];
+  if (extensions.permanentDelegate) {
+    dangerous.push(`Token-2022 permanent delegate (${extensions.permanentDelegate}) can move or burn any holder's tokens`);
+  }
+  if (extensions.nonTransferable) {
+    dangerous.push("Token-2022 non-transferable mint - tokens can't be sold");
+  }
+  if (extensions.transferHookProgram) {
+    dangerous.push(`Token-2022 transfer hook (${extensions.transferHookProgram}) can block or tax transfers`);
+  }
+  
+  if (dangerous.length > 0) {
+    check('tokenExtensions', 'fail', dangerous.join('; '));
+  } else {
+    check('tokenExtensions', 'pass', "No dangerous Token-2022 extensions");
   }
 }
 
 /**
- * Determine token age by finding the first transaction
+ * Find a token's first transaction, normally the one that created the mint
  * @param {string} mintAddress Token mint address
- * @returns {Promise<number>} Age in seconds
+ * @returns {Promise<Object>} { signature, blockTime, reachedStart } - reachedStart is false
+ *   when the history was too long to page back to the beginning
  */
-async function getTokenAge(mintAddress) {
+async function getCreationInfo(mintAddress) {
   try {
-    const connection = new Connection(config.RPC_ENDPOINT, {
-      commitment: 'confirmed',
-      confirmTransactionInitialTimeout: 30000
-    });
+    const connection = getConnection();
     
     const tokenKey = new PublicKey(mintAddress);
     
@@ -184,6 +480,7 @@ async function getTokenAge(mintAddress) {
     let oldestSignature = null;
     let oldestTime = null;
     let before = null;
+    let reachedStart = false;
     
     // Search in batches to find the oldest transaction
     for (let i = 0; i < 5; i++) { // Max 5 iterations to prevent infinite loop
@@ -196,7 +493,10 @@ async function getTokenAge(mintAddress) {
         'confirmed'
       );
       
-      if (signatures.length === 0) break;
+      if (signatures.length === 0) {
+        reachedStart = true;
+        break;
+      }
       
       // Check each signature's timestamp
       for (const sig of signatures) {
@@ -207,28 +507,63 @@ async function getTokenAge(mintAddress) {
       }
       
       // If we got less than limit, we've reached the end
-      if (signatures.length < 1000) break;
+      if (signatures.length < 1000) {
+        reachedStart = true;
+        break;
+      }
       
       // Set before to the last signature for next iteration
       before = signatures[signatures.length - 1].signature;
     }
     
-    if (!oldestTime) {
-      console.warn(`Could not determine age for token ${mintAddress}`);
-      return 0;
-    }
-    
-    const now = Math.floor(Date.now() / 1000);
-    const age = now - oldestTime;
-    
-    console.log(`Token ${mintAddress} is ${Math.floor(age / 60)} minutes old`);
-    return age; // Age in seconds
+    return { signature: oldestSignature, blockTime: oldestTime, reachedStart };
   } catch (err) {
-    console.error(`Error getting token age: ${err.message}`);
+    console.error(`Error finding token creation: ${err.message}`);
     throw err;
   }
 }
 
+/**
+ * Determine token age from its first transaction
+ * @returns {number} Age in seconds
+ */
+function getTokenAge(mintAddress, creation) {
+  if (!creation.blockTime) {
+    console.warn(`Could not determine age for token ${mintAddress}`);
+    return 0;
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  const age = now - creation.blockTime;
+  
+  console.log(`Token ${mintAddress} is ${Math.floor(age / 60)} minutes old`);
+  return age; // Age in seconds
+}
+
+/**
+ * Resolve the wallet that paid for the mint's creation transaction.
+ * Results are kept in the reputation store since they never change.
+ * @returns {Promise<string|null>} Deployer address, or null if the creation wasn't found
+ */
+async function resolveDeployer(mintAddress, creation) {
+  const known = reputation.getDeployer(mintAddress);
+  if (known) return known;
+  if (!creation || !creation.reachedStart || !creation.signature) return null;
+  
+  const tx = await getConnection().getParsedTransaction(creation.signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  });
+  
+  // The fee payer is always the first signer
+  const payer = tx ? tx.transaction.message.accountKeys.find(key => key.signer) : null;
+  if (!payer) return null;
+  
+  const deployer = payer.pubkey.toBase58();
+  reputation.recordDeployer(mintAddress, deployer);
+  return deployer;
+}
+
 /**
  * Clear expired cache entries
  */
@@ -259,14 +594,17 @@ function getSafetyStats() {
   let safeTokens = 0;
   let recentWarnings = [];
   
+  const policy = safetyPolicy.getPolicy();
+  
   for (const [mintAddress, cached] of safetyCache.entries()) {
+    const result = scoreReport(cached.report, policy);
     totalChecks++;
-    if (cached.result.isSafe) safeTokens++;
+    if (result.isSafe) safeTokens++;
     
-    if (cached.result.warnings.length > 0) {
+    if (result.warnings.length > 0) {
       recentWarnings.push({
         token: mintAddress,
-        warnings: cached.result.warnings,
+        warnings: result.warnings,
         timestamp: cached.timestamp
       });
     }
@@ -283,32 +621,26 @@ function getSafetyStats() {
 }
 
 /**
- * Manually blacklist a token
+ * Manually blacklist a token (persisted in the reputation store)
  */
-function blacklistToken(mintAddress) {
-  if (!config.BLACKLISTED_TOKENS) {
-    config.BLACKLISTED_TOKENS = [];
-  }
-  
-  if (!config.BLACKLISTED_TOKENS.includes(mintAddress)) {
-    config.BLACKLISTED_TOKENS.push(mintAddress);
-    
-    // Clear from cache
-    safetyCache.delete(mintAddress);
-    
-    console.log(`🚫 Token ${mintAddress} has been blacklisted`);
-    return true;
-  }
-  
-  return false;
+function blacklistToken(mintAddress, reason = 'Blacklisted manually') {
+  return reputation.blacklistToken(mintAddress, reason, 'manual');
 }
 
-// Export token program ID for validation
-const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+/**
+ * Deployer of a token, resolving it from the creation transaction if needed
+ * @returns {Promise<string|null>}
+ */
+async function getDeployer(mintAddress) {
+  const known = reputation.getDeployer(mintAddress);
+  if (known) return known;
+  return resolveDeployer(mintAddress, await getCreationInfo(mintAddress));
+}
 
 module.exports = { 
   checkToken,
   getSafetyStats,
   blacklistToken,
+  getDeployer,
   clearExpiredCache
 };
\ No newline at end of file
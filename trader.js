@@ -1,34 +1,21 @@
 // src/trader.js
 const config = require("./config");
 const exchange = require("./exchangeClient");
-const fs = require('fs');
-const path = require('path');
-
-// Premium channel configurations for trading logic
-const CHANNEL_CONFIGS = {
-  '-1002209371269': { // Underdog Calls Private
-    name: 'Underdog Calls',
-    icon: '🔥',
-    maxTradeAmount: config.TRADE_AMOUNT_USD * 1.2, // Allow 20% more for quality signals
-    defaultStopLoss: 15,       // Tighter stop loss
-    riskMultiplier: 1.2,       // Allow slightly higher risk
-    confidenceThreshold: 2,     // Lower confidence requirement
-    trailingStopDistance: 18   // Tighter trailing stop
-  },
-  '-1002277274250': { // Degen
-    name: 'Degen',
-    icon: '💎',
-    maxTradeAmount: config.TRADE_AMOUNT_USD * 0.8, // More conservative for high-risk calls
-    defaultStopLoss: 22,       // Wider stop loss for volatility
-    riskMultiplier: 0.8,       // Reduce risk
-    confidenceThreshold: 2,     // Standard confidence requirement
-    trailingStopDistance: 25   // Wider trailing stop
-  }
-};
+const tradeStore = require("./tradeStore");
+
+const channelRegistry = require('./channelRegistry');
+const walletRegistry = require('./wallets');
+const quoteAsset = require('./quoteAsset');
+const priceStream = require('./priceStream');
+const { RiskManager } = require('./risk-management');
+const reputation = require('./reputation');
 
 // Track active trades to prevent duplicates and manage trailing stops
 const activeTrades = new Map();
 
+// Callbacks fired when a position is fully closed
+const tradeClosedListeners = [];
+
 // Enhanced trade statistics by channel
 const tradeStats = {
   totalByChannel: {},
@@ -36,261 +23,102 @@ const tradeStats = {
   winRateByChannel: {}
 };
 
-// For dry run, we keep a virtual order book and price simulation
-let dryRunState = null;
-let paperTradingEngine = null;
+// Paper and live trading share one code path; the label only marks the logs
+const MODE_LABEL = config.DRY_RUN ? '[DRY RUN] ' : '';
+
+// Restored trades whose balance couldn't be read are retried at most this far apart
+const RESTORE_RETRY_MAX_MS = 5 * 60 * 1000;
 
-if (config.DRY_RUN) {
-  const dryRunPath = path.join(__dirname, '..', 'data', 'dry-run-state.json');
+// Daily risk limits gate every new position; replays keep their stats in memory
+const riskManager = new RiskManager(config, { persist: !config.DRY_RUN || config.DRY_RUN_PERSIST_STATE });
+
+// While paused no new positions are opened; exits on open ones keep running
+let tradingPaused = false;
+
+// Stops and take-profits fill inside the exchange client (live order engine or
+// paper simulator); clean up and update channel stats when a position closes
+exchange.onPositionClosed(closed => {
+  const trade = activeTrades.get(closed.contractAddress);
   
-  // Initialize or load dry run state
-  if (fs.existsSync(dryRunPath)) {
-    try {
-      dryRunState = JSON.parse(fs.readFileSync(dryRunPath, 'utf8'));
-      console.log("🔄 Loaded dry run state from file");
-      
-      // Initialize paper trading engine with loaded state
-      paperTradingEngine = initializePaperTradingEngine(dryRunState);
-    } catch (err) {
-      console.error("Error loading dry run state:", err);
-      dryRunState = { prices: {}, orders: [], positions: {}, balance: config.DRY_RUN_BALANCE };
-      paperTradingEngine = initializePaperTradingEngine(dryRunState);
+  if (trade) {
+    untrackTrade(closed.contractAddress);
+    
+    if (trade.channelId && closed.profit != null) {
+      updateChannelStats(trade.channelId, closed.profit > 0, closed.profit);
     }
-  } else {
-    dryRunState = { 
-      prices: {}, 
-      orders: [], 
-      positions: {}, 
-      balance: config.DRY_RUN_BALANCE,
-      startingBalance: config.DRY_RUN_BALANCE,
-      totalTrades: 0,
-      realizedPnL: 0
-    };
-    paperTradingEngine = initializePaperTradingEngine(dryRunState);
   }
-
-  // Save state periodically
-  setInterval(() => {
+  
+  if (closed.profit != null) {
+    riskManager.updateStats({ profit: closed.profit });
+  }
+  
+  if (trade) checkQuickStopLoss(closed, trade);
+  
+  const event = {
+    ...closed,
+    entryPrice: closed.entryPrice || (trade && trade.entryPrice),
+    channelId: trade ? trade.channelId : null,
+    channelName: trade ? trade.channelName : null,
+    symbol: trade && trade.originalSignal ? trade.originalSignal.symbol : null
+  };
+  
+  for (const listener of tradeClosedListeners) {
     try {
-      fs.writeFileSync(dryRunPath, JSON.stringify(dryRunState, null, 2));
+      listener(event);
     } catch (err) {
-      console.error("Error saving dry run state:", err);
-    }
-  }, 30000); // Every 30 seconds
-  
-  // Simulate price movements for dry run
-  setInterval(() => {
-    for (const [token, price] of Object.entries(dryRunState.prices)) {
-      // Random price movement with configurable volatility
-      const volatility = config.DRY_RUN_PRICE_VOLATILITY / 100;
-      const change = 1 + (Math.random() * volatility * 2 - volatility);
-      dryRunState.prices[token] = price * change;
-      
-      // Check if any orders should trigger
-      checkDryRunOrders(token);
+      console.error(`⚠️ Trade close listener error: ${err.message}`);
     }
-  }, 10000); // Every 10 seconds
-}
+  }
+});
+
+// Trailing stops move on the shared price stream instead of polling per position
+priceStream.onPrice(({ mint, price }) => {
+  const trade = activeTrades.get(mint);
+  if (trade && trade.trailing) return updateTrailingStop(mint, trade, price);
+});
 
 /**
- * Initialize the paper trading engine with a state object
+ * Stop managing a trade: drop it from activeTrades and the price stream
  */
-function initializePaperTradingEngine(state) {
-  return {
-    getPortfolioSummary: () => {
-      // Calculate total value of positions plus balance
-      let unrealizedPnL = 0;
-      let totalPositionsValue = 0;
-      
-      for (const [token, position] of Object.entries(state.positions)) {
-        const currentPrice = state.prices[token] || position.entryPrice;
-        const positionValue = position.amount * currentPrice;
-        const positionPnL = (currentPrice - position.entryPrice) * position.amount;
-        
-        totalPositionsValue += positionValue;
-        unrealizedPnL += positionPnL;
-      }
-      
-      const totalValue = state.balance + totalPositionsValue;
-      const totalPnL = unrealizedPnL + (state.realizedPnL || 0);
-      const roi = state.startingBalance ? (totalPnL / state.startingBalance) * 100 : 0;
-      
-      return {
-        balance: state.balance,
-        totalValue: totalValue,
-        unrealizedPnL: unrealizedPnL,
-        realizedPnL: state.realizedPnL || 0,
-        totalPnL: totalPnL,
-        roi: roi,
-        totalTrades: state.totalTrades || 0,
-        startingBalance: state.startingBalance || config.DRY_RUN_BALANCE
-      };
-    },
-    
-    getActivePositions: () => {
-      return Object.entries(state.positions).map(([token, position]) => {
-        const currentPrice = state.prices[token] || position.entryPrice;
-        const profit = (currentPrice - position.entryPrice) * position.amount;
-        const pnlPercent = ((currentPrice / position.entryPrice) - 1) * 100;
-        
-        return {
-          contractAddress: token,
-          symbol: position.symbol || token.substring(0, 8),
-          entryPrice: position.entryPrice,
-          currentPrice: currentPrice,
-          amount: position.amount,
-          value: position.amount * currentPrice,
-          profit: profit,
-          pnlPercent: pnlPercent,
-          timestamp: position.timestamp,
-          channelId: position.channelId,
-          channelName: position.channelName
-        };
-      });
-    }
-  };
+function untrackTrade(contractAddress) {
+  activeTrades.delete(contractAddress);
+  priceStream.unwatch(contractAddress, 'trade');
 }
 
 /**
  * Get live paper trading status
  */
 function getLivePaperTradingStatus() {
-  if (!config.DRY_RUN || !paperTradingEngine) {
-    return null;
-  }
-  
-  const portfolio = paperTradingEngine.getPortfolioSummary();
-  const positions = paperTradingEngine.getActivePositions();
-  
-  return {
-    balance: portfolio.balance,
-    totalValue: portfolio.totalValue,
-    unrealizedPnL: portfolio.unrealizedPnL,
-    realizedPnL: portfolio.realizedPnL,
-    totalPnL: portfolio.totalPnL,
-    roi: portfolio.roi,
-    activePositions: positions.length,
-    totalTrades: portfolio.totalTrades,
-    startingBalance: portfolio.startingBalance,
-    positions: positions.map(pos => ({
-      symbol: pos.symbol || pos.contractAddress,
-      entryPrice: pos.entryPrice,
-      currentPrice: pos.currentPrice,
-      size: pos.amount || pos.size,
-      value: pos.value || (pos.currentPrice * pos.amount),
-      pnl: pos.profit || (pos.currentPrice - pos.entryPrice) * pos.amount,
-      pnlPercent: ((pos.currentPrice / pos.entryPrice - 1) * 100).toFixed(2),
-      timestamp: pos.timestamp,
-      channelId: pos.channelId,
-      channelName: pos.channelName
-    }))
-  };
+  return exchange.getPaperTradingStatus();
 }
 
 /**
- * Check if any dry run orders should trigger based on current prices
+ * Register a callback for fully closed positions
+ * @param {Function} listener Receives { contractAddress, entryPrice, exitPrice, exitType, profit, channelId, ... }
  */
-function checkDryRunOrders(token) {
-  if (!config.DRY_RUN || !dryRunState) return;
-  
-  const currentPrice = dryRunState.prices[token];
-  if (!currentPrice) return;
-  
-  // Find orders for this token
-  const triggeredOrders = [];
-  dryRunState.orders = dryRunState.orders.filter(order => {
-    if (order.token !== token) return true;
-    
-    // Check stop-loss
-    if (order.type === 'stop' && currentPrice <= order.price) {
-      console.log(`🔴 [DRY RUN] Stop-loss triggered for ${token} at ${currentPrice}`);
-      executeVirtualOrder(order, currentPrice);
-      return false;
-    }
-    
-    // Check take-profit
-    if (order.type === 'limit' && currentPrice >= order.price) {
-      console.log(`🟢 [DRY RUN] Take-profit triggered for ${token} at ${currentPrice}`);
-      executeVirtualOrder(order, currentPrice);
-      return false;
-    }
-    
-    return true;
-  });
+function onTradeClosed(listener) {
+  tradeClosedListeners.push(listener);
 }
 
 /**
- * Execute a virtual order when triggered
+ * Stop opening new positions (stops, take-profits and trailing stops keep running)
  */
-function executeVirtualOrder(order, executionPrice) {
-  if (!dryRunState.positions[order.token]) return;
-  
-  const position = dryRunState.positions[order.token];
-  
-  // For stop-loss, close entire position
-  if (order.type === 'stop') {
-    const profit = (executionPrice - position.entryPrice) * position.amount;
-    console.log(`[DRY RUN] Closed position with P/L: $${profit.toFixed(2)}`);
-    
-    // Update channel statistics
-    if (position.channelId) {
-      updateChannelStats(position.channelId, profit > 0, profit);
-    }
-    
-    // Add profit back to balance
-    dryRunState.balance += position.amount * executionPrice;
-    
-    // Update realized P&L
-    dryRunState.realizedPnL = (dryRunState.realizedPnL || 0) + profit;
-    
-    // Remove all orders for this token
-    dryRunState.orders = dryRunState.orders.filter(o => o.token !== order.token);
-    
-    // Remove position
-    delete dryRunState.positions[order.token];
-    
-    // Trigger any trailing stop cleanup
-    if (activeTrades.has(order.token)) {
-      const trade = activeTrades.get(order.token);
-      if (trade.trailingInterval) clearInterval(trade.trailingInterval);
-      activeTrades.delete(order.token);
-    }
-  }
-  
-  // For take-profit, reduce position size
-  if (order.type === 'limit') {
-    const profit = (executionPrice - position.entryPrice) * order.amount;
-    console.log(`[DRY RUN] Take-profit executed with profit: $${profit.toFixed(2)}`);
-    
-    // Add proceeds back to balance
-    dryRunState.balance += order.amount * executionPrice;
-    
-    // Update realized P&L
-    dryRunState.realizedPnL = (dryRunState.realizedPnL || 0) + profit;
-    
-    // Reduce position size
-    position.amount -= order.amount;
-    
-    // If position is now zero, remove it
-    if (position.amount <= 0) {
-      // Update channel statistics for full position close
-      if (position.channelId) {
-        updateChannelStats(position.channelId, profit > 0, profit);
-      }
-      
-      delete dryRunState.positions[order.token];
-      
-      // Remove all orders for this token
-      dryRunState.orders = dryRunState.orders.filter(o => o.token !== order.token);
-      
-      // Clean up trailing stop
-      if (activeTrades.has(order.token)) {
-        const trade = activeTrades.get(order.token);
-        if (trade.trailingInterval) clearInterval(trade.trailingInterval);
-        activeTrades.delete(order.token);
-      }
-    }
-  }
+function pauseTrading() {
+  tradingPaused = true;
+  console.log('⏸️ Trading paused - no new positions will be opened');
+}
+
+function resumeTrading() {
+  tradingPaused = false;
+  console.log('▶️ Trading resumed');
+}
+
+function isTradingPaused() {
+  return tradingPaused;
+}
+
+function getRiskManager() {
+  return riskManager;
 }
 
 /**
@@ -316,27 +144,252 @@ function updateChannelStats(channelId, isWin, profit) {
  * Get channel-specific trading configuration
  */
 function getChannelConfig(channelId) {
-  return CHANNEL_CONFIGS[channelId] || {
+  // Risk profile comes from the channel's parser definition
+  const definition = channelRegistry.getDefinition(channelId);
+  if (definition) {
+    const { risk } = definition;
+    return {
+      name: definition.name,
+      icon: definition.icon,
+      maxTradeAmount: config.TRADE_AMOUNT_USD * risk.maxTradeMultiplier,
+      defaultStopLoss: risk.defaultStopLoss,
+      riskMultiplier: risk.riskMultiplier,
+      confidenceThreshold: risk.confidenceThreshold,
+      trailingStopDistance: risk.trailingStopDistance || config.TRAILING_STOP_PERCENT,
+      wallet: definition.wallet || walletRegistry.getDefaultWallet()
+    };
+  }
+  
+  return {
     name: 'Custom Channel',
     icon: '📱',
     maxTradeAmount: config.TRADE_AMOUNT_USD,
     defaultStopLoss: 20,
     riskMultiplier: 1.0,
     confidenceThreshold: 3,
-    trailingStopDistance: config.TRAILING_STOP_PERCENT
+    trailingStopDistance: config.TRAILING_STOP_PERCENT,
+    wallet: walletRegistry.getDefaultWallet()
   };
 }
 
+/**
+ * Market buy with up to MAX_RETRIES attempts. Swaps that failed simulation on
+ * slippage or expired before landing are re-quoted; slippage failures also
+ * widen slippage by SLIPPAGE_RETRY_STEP, up to MAX_SLIPPAGE.
+ */
+async function buyWithRetries(contractAddress, amount, meta, channelDisplay) {
+  let slippage = config.DEFAULT_SLIPPAGE;
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await exchange.buyMarket(contractAddress, amount, { ...meta, slippage });
+    } catch (err) {
+      // Empty wallets, missing accounts and transfer hooks fail the same way every time
+      const retryable = err.type === exchange.SWAP_ERROR.SLIPPAGE || err.type === exchange.SWAP_ERROR.EXPIRED;
+      if (!retryable || attempt >= config.MAX_RETRIES) throw err;
+      
+      if (err.type === exchange.SWAP_ERROR.SLIPPAGE) {
+        slippage = Math.min(slippage + config.SLIPPAGE_RETRY_STEP, config.MAX_SLIPPAGE);
+      }
+      console.warn(`🔁 [${channelDisplay}] ${MODE_LABEL}Buy attempt ${attempt}/${config.MAX_RETRIES} failed (${err.type}), re-quoting at ${slippage}% slippage`);
+    }
+  }
+}
+
+/**
+ * Start trailing a position's stop behind its highest price
+ * @returns {Object} Trailing state, stored on the active trade
+ */
+function startTrailingStop(contractAddress, { entryPrice, stopPrice, stopOrder, trailingStopDistance, channelDisplay, wallet }) {
+  console.log(`⏱️ [${channelDisplay}] ${MODE_LABEL}Starting trailing stop with distance: ${trailingStopDistance}%`);
+  
+  return {
+    entryPrice,
+    currentStop: stopPrice,
+    stopOrder,
+    trailDist: trailingStopDistance / 100,
+    channelDisplay,
+    wallet,
+    positionCheckedAt: Date.now()
+  };
+}
+
+/**
+ * Raise a trade's trailing stop on a streamed price, and drop the trade if its
+ * position was closed outside the order engine
+ */
+async function updateTrailingStop(contractAddress, trade, currentPrice) {
+  const trailing = trade.trailing;
+  
+  try {
+    // The new stop is set before any await so a burst of updates can't lower it
+    if (currentPrice > trailing.entryPrice) {
+      const newStop = currentPrice * (1 - trailing.trailDist);
+      if (newStop > trailing.currentStop) {
+        trailing.currentStop = newStop;
+        console.log(`⏱️ [${trailing.channelDisplay}] ${MODE_LABEL}Updating trailing stop to: ${newStop.toFixed(8)}`);
+        trailing.stopOrder = await exchange.modifyOrder(trailing.stopOrder.id, { stopPrice: newStop });
+      }
+    }
+    
+    // Balance lookups cost an RPC call, so only once per poll interval
+    if (Date.now() - trailing.positionCheckedAt < config.PRICE_POLL_INTERVAL_MS) return;
+    trailing.positionCheckedAt = Date.now();
+    
+    const position = await exchange.getPosition(contractAddress, trailing.wallet);
+    if ((!position || position.size === 0) && activeTrades.get(contractAddress) === trade) {
+      console.log(`🔄 [${trailing.channelDisplay}] ${MODE_LABEL}Position closed, cleaning up trailing stop`);
+      untrackTrade(contractAddress);
+    }
+  } catch (err) {
+    console.error(`⚠️ [${trailing.channelDisplay}] Error in trailing stop: ${err.message}`);
+  }
+}
+
+/**
+ * Rebuild active trades after a restart. Open trades are read from tradeStore,
+ * reconciled with getPosition, and their stops, take-profits and trailing
+ * stops are re-armed.
+ * @returns {Promise<number>} Number of trades restored
+ */
+async function restoreActiveTrades() {
+  // Bring back the saved exit orders first so reconciled trades can pick them up
+  await exchange.restoreLiveOrders();
+  return reconcileOpenTrades();
+}
+
+/**
+ * Re-arm the open tradeStore trades that aren't active yet. A trade is only
+ * closed as reconciled after its balance reads as zero; trades whose balance
+ * can't be read stay open and are retried with a growing delay.
+ * @param {number} attempt Retries so far
+ * @returns {Promise<number>} Number of trades restored
+ */
+async function reconcileOpenTrades(attempt = 0) {
+  let restored = 0;
+  let unread = 0;
+  const openTrades = tradeStore.getActiveTrades()
+    .filter(t => !!t.isDryRun === config.DRY_RUN && t.contractAddress && !activeTrades.has(t.contractAddress));
+  
+  for (const trade of openTrades) {
+    const token = trade.contractAddress;
+    const channelConfig = getChannelConfig(trade.sourceChannel);
+    const channelDisplay = trade.channelName || channelConfig.name;
+    
+    try {
+      // Trades recorded before wallets were split belong to the default wallet
+      const wallet = walletRegistry.resolveWallet(trade.wallet);
+      
+      let position;
+      try {
+        position = await exchange.getPosition(token, wallet);
+      } catch (err) {
+        console.warn(`⚠️ [${channelDisplay}] Couldn't read the ${token} balance (${err.message}), leaving its trade open`);
+        unread++;
+        continue;
+      }
+      
+      // Sold while the bot was down (or manually) - nothing left to manage
+      if (!position.size) {
+        console.warn(`⚠️ [${channelDisplay}] ${token} is no longer held, closing its trade record`);
+        for (const o of exchange.getOpenOrders(token)) await exchange.cancelOrder(o.id);
+        tradeStore.updateTrade(trade.id, { exitTimestamp: Date.now(), exitType: 'reconciled' });
+        tradeStore.closeTrade(trade.id, trade.realizedProfit || 0);
+        continue;
+      }
+      
+      const meta = { tradeId: trade.id, entryPrice: trade.entryPrice, entryQuotePrice: trade.entryQuotePrice || null, wallet };
+      const orders = exchange.getOpenOrders(token);
+      let slOrder = orders.find(o => o.type === 'stop');
+      const tpOrders = orders.filter(o => o.type === 'limit');
+      
+      if (!slOrder) {
+        const stopLossPercent = trade.stopLossPercent || channelConfig.defaultStopLoss;
+        const stopPrice = trade.entryPrice * (1 - stopLossPercent / 100);
+        slOrder = await exchange.placeStopLoss(token, position.size, stopPrice, { ...meta, trailing: config.USE_TRAILING_STOP });
+        console.log(`🛑 [${channelDisplay}] ${MODE_LABEL}Re-armed stop loss for ${token} at ${stopPrice.toFixed(8)} (${stopLossPercent}%)`);
+      }
+      
+      if (tpOrders.length === 0 && trade.takeProfitTargets && trade.takeProfitTargets.length > 0) {
+        // Skip targets that already filled before the restart
+        const filledTargets = (trade.fills || []).filter(f => f.type === 'limit').length;
+        const remainingTargets = trade.takeProfitTargets.slice(filledTargets);
+        
+        for (const tpPercent of remainingTargets) {
+          const tpPrice = trade.entryPrice * (1 + tpPercent / 100);
+          tpOrders.push(await exchange.placeTakeProfit(token, position.size / remainingTargets.length, tpPrice, meta));
+        }
+        
+        if (remainingTargets.length > 0) {
+          console.log(`🎯 [${channelDisplay}] ${MODE_LABEL}Re-armed ${remainingTargets.length} take profit(s) for ${token}`);
+        }
+      }
+      
+      const trailing = config.USE_TRAILING_STOP
+        ? startTrailingStop(token, {
+          entryPrice: trade.entryPrice,
+          stopPrice: slOrder.price,
+          stopOrder: slOrder,
+          trailingStopDistance: channelConfig.trailingStopDistance,
+          channelDisplay,
+          wallet
+        })
+        : null;
+      
+      activeTrades.set(token, {
+        entryPrice: trade.entryPrice,
+        entryQuotePrice: trade.entryQuotePrice || null,
+        amount: position.size,
+        stopLoss: slOrder,
+        takeProfits: tpOrders,
+        trailing,
+        channelId: trade.sourceChannel,
+        channelName: channelDisplay,
+        channelConfig,
+        wallet,
+        tradeId: trade.id,
+        tradeAmount: trade.tradeAmount,
+        symbol: trade.symbol || null,
+        tokenName: trade.tokenName || null,
+        openedAt: trade.timestamp,
+        originalSignal: null,
+        restored: true
+      });
+      priceStream.watch(token, 'trade', { pool: trade.pool || null });
+      restored++;
+    } catch (err) {
+      console.error(`❌ [${channelDisplay}] Failed to restore trade for ${token}: ${err.message}`);
+    }
+  }
+  
+  if (restored > 0) {
+    console.log(`♻️ Restored ${restored} open trade(s) from the previous session`);
+  }
+  
+  if (unread > 0) {
+    const delay = Math.min(config.ERROR_RETRY_DELAY_MS * 2 ** attempt, RESTORE_RETRY_MAX_MS);
+    console.warn(`🔁 Retrying ${unread} unreconciled trade(s) in ${Math.round(delay / 1000)}s`);
+    setTimeout(() => {
+      reconcileOpenTrades(attempt + 1).catch(err => console.error(`❌ Failed to restore open trades: ${err.message}`));
+    }, delay);
+  }
+  
+  return restored;
+}
+
 /**
  * Executes a trade based on parsed signals with channel-aware logic and fixed dollar amounts
+ * @param {Object} metadata { channelId, channelInfo, amountUsd, wallet } - amountUsd overrides the sizing
+ *   rules, wallet the channel's wallet
  */
 async function executeTrade(signal, metadata = {}) {
   const { contractAddress, tradePercent, stopLossPercent, takeProfitTargets } = signal;
-  const { channelId, channelInfo } = metadata;
+  const { channelId, channelInfo, amountUsd } = metadata;
   
   // Get channel-specific configuration
   const channelConfig = getChannelConfig(channelId);
   const channelDisplay = channelInfo ? `${channelInfo.icon} ${channelInfo.name}` : `📱 ${channelConfig.name}`;
+  const channelName = channelInfo ? channelInfo.name : channelConfig.name;
   
   // Validation
   if (!contractAddress) {
@@ -344,19 +397,69 @@ async function executeTrade(signal, metadata = {}) {
     return { success: false, error: "Missing contract address" };
   }
   
+  if (tradingPaused) {
+    console.log(`⏸️ [${channelDisplay}] Trading is paused, skipping ${contractAddress}`);
+    return { success: false, error: "Trading is paused" };
+  }
+  
   // Prevent duplicate trades
   if (activeTrades.has(contractAddress)) {
     console.log(`⚠️ [${channelDisplay}] Already trading ${contractAddress}, skipping duplicate.`);
     return { success: false, error: "Already trading this token" };
   }
   
-  console.log(`🔔 [${channelDisplay}] Executing trade for ${contractAddress}`);
+  let wallet;
+  try {
+    wallet = walletRegistry.resolveWallet(metadata.wallet || channelConfig.wallet);
+  } catch (err) {
+    console.error(`❌ [${channelDisplay}] ${err.message}, skipping trade.`);
+    return { success: false, error: err.message, channelId, channelName };
+  }
+  
+  console.log(`🔔 [${channelDisplay}] Executing trade for ${contractAddress} from wallet "${wallet}"`);
   
   try {
+    // The trade is sized and paid from its own wallet; risk limits cover all wallets together
+    const walletBalances = await exchange.getWalletBalances();
+    const balance = walletBalances[wallet];
+    if (balance == null) {
+      throw new Error(`Wallet "${wallet}" is not loaded`);
+    }
+    const totalBalance = Object.values(walletBalances).reduce((sum, b) => sum + (b || 0), 0);
+    
+    // Risk limits see cash plus the cost of open positions, so buying doesn't read as drawdown
+    const openTrades = Array.from(activeTrades.values());
+    const equity = totalBalance + openTrades.reduce((sum, t) => sum + (t.tradeAmount || 0), 0);
+    const risk = riskManager.evaluateTradeRisk(
+      { ...signal, tradePercent: tradePercent || config.MAX_TRADE_PERCENT },
+      equity,
+      openTrades
+    );
+    
+    if (!risk.allowed) {
+      console.log(`🚫 [${channelDisplay}] ${MODE_LABEL}Risk check rejected ${contractAddress}: ${risk.warnings.join(', ')}`);
+      return {
+        success: false,
+        error: `Risk check failed: ${risk.warnings.join(', ')}`,
+        riskRejected: true,
+        riskWarnings: risk.warnings,
+        channelId: channelId,
+        channelName
+      };
+    }
+    
+    if (risk.warnings.length > 0) {
+      console.log(`⚠️ [${channelDisplay}] ${MODE_LABEL}Risk warnings: ${risk.warnings.join(', ')}`);
+    }
+    
     // 1. Use fixed dollar amount with channel-specific adjustments
     let amount;
     
-    if (config.TRADE_AMOUNT_USD && config.TRADE_AMOUNT_USD > 0) {
+    if (amountUsd > 0) {
+      // Manual trades name their own size
+      amount = amountUsd;
+      console.log(`💸 [${channelDisplay}] ${MODE_LABEL}Using manual amount: $${amount.toFixed(2)}`);
+    } else if (config.TRADE_AMOUNT_USD && config.TRADE_AMOUNT_USD > 0) {
       // Use fixed dollar amount from config with channel adjustments
       const baseAmount = config.TRADE_AMOUNT_USD;
       const channelMaxAmount = channelConfig.maxTradeAmount || baseAmount;
@@ -364,99 +467,82 @@ async function executeTrade(signal, metadata = {}) {
       // Apply channel risk multiplier
       amount = Math.min(baseAmount * channelConfig.riskMultiplier, channelMaxAmount);
       
-      console.log(`💸 [${channelDisplay}] ${config.DRY_RUN ? '[DRY RUN]' : ''} Using fixed amount: $${amount.toFixed(2)} (base: $${baseAmount}, channel limit: $${channelMaxAmount.toFixed(2)})`);
-    } else {
-      // Fallback to percentage-based calculation if no fixed amount set
-      let balance = 0;
-      
-      if (config.DRY_RUN) {
-        balance = dryRunState.balance;
-      } else {
-        balance = await exchange.getAccountBalance();
+      // Respect a size cut from the risk manager (losing streak, low confidence)
+      if (risk.adjustments.tradeSize) {
+        amount = Math.min(amount, equity * (risk.maxTradeSize / 100));
       }
       
-      const useTradePercent = tradePercent || config.MAX_TRADE_PERCENT;
+      console.log(`💸 [${channelDisplay}] ${MODE_LABEL}Using fixed amount: $${amount.toFixed(2)} (base: $${baseAmount}, channel limit: $${channelMaxAmount.toFixed(2)})`);
+    } else {
+      // Fallback to percentage-based calculation if no fixed amount set
+      const useTradePercent = Math.min(tradePercent || config.MAX_TRADE_PERCENT, risk.maxTradeSize);
       amount = balance * (useTradePercent / 100);
-      console.log(`💸 [${channelDisplay}] ${config.DRY_RUN ? '[DRY RUN]' : ''} Using percentage fallback: ${useTradePercent}% = $${amount.toFixed(2)}`);
+      console.log(`💸 [${channelDisplay}] ${MODE_LABEL}Using percentage fallback: ${useTradePercent}% = $${amount.toFixed(2)}`);
     }
     
-    // Verify we have enough balance
-    if (!config.DRY_RUN) {
-      const balance = await exchange.getAccountBalance();
-      if (balance < amount) {
-        console.error(`❌ [${channelDisplay}] Insufficient balance: $${balance.toFixed(2)} < $${amount.toFixed(2)}`);
-        return { success: false, error: `Insufficient balance: $${balance.toFixed(2)}` };
+    // Keep the entry under MAX_PRICE_IMPACT given how deep the pool actually is
+    if (config.ENABLE_SAFETY_CHECKS) {
+      try {
+        const depth = await exchange.getLiquidityDepth(contractAddress);
+        if (depth.maxTradeUsd < amount) {
+          console.log(`💧 [${channelDisplay}] ${MODE_LABEL}Pool depth caps trade at $${depth.maxTradeUsd.toFixed(2)} (${config.MAX_PRICE_IMPACT}% max impact)`);
+          amount = depth.maxTradeUsd;
+        }
+      } catch (err) {
+        console.warn(`⚠️ [${channelDisplay}] Could not measure pool depth: ${err.message}`);
+      }
+      
+      if (amount < 1) {
+        console.error(`❌ [${channelDisplay}] ${MODE_LABEL}Pool too shallow to trade within ${config.MAX_PRICE_IMPACT}% impact`);
+        return { success: false, error: 'Pool too shallow for a position' };
       }
     }
     
-    // For dry run, check virtual balance
-    if (config.DRY_RUN && dryRunState.balance < amount) {
-      console.error(`❌ [${channelDisplay}] [DRY RUN] Insufficient virtual balance: $${dryRunState.balance.toFixed(2)} < $${amount.toFixed(2)}`);
-      return { success: false, error: `Insufficient virtual balance: $${dryRunState.balance.toFixed(2)}` };
+    // Verify we have enough balance
+    if (balance < amount) {
+      console.error(`❌ [${channelDisplay}] ${MODE_LABEL}Insufficient balance in wallet "${wallet}": $${balance.toFixed(2)} < $${amount.toFixed(2)}`);
+      return { success: false, error: `Insufficient balance in wallet "${wallet}": $${balance.toFixed(2)}` };
     }
     
-    console.log(`💰 [${channelDisplay}] ${config.DRY_RUN ? '[DRY RUN]' : ''} Trade amount: $${amount.toFixed(2)}`);
+    console.log(`💰 [${channelDisplay}] ${MODE_LABEL}Trade amount: $${amount.toFixed(2)}`);
     
     // 2. Place market buy
-    let buyOrder;
-    let buyPrice;
-    
-    if (config.DRY_RUN) {
-      // Simulate buying at current price or initialize a random price
-      if (!dryRunState.prices[contractAddress]) {
-        // Initialize with a random price between $0.00001 and $0.1 for new memecoins
-        dryRunState.prices[contractAddress] = Math.random() * 0.1 + 0.00001;
-      }
-      
-      buyPrice = dryRunState.prices[contractAddress];
-      const tokenAmount = amount / buyPrice;
-      console.log(`[DRY RUN] [${channelDisplay}] Would buy ${tokenAmount.toFixed(2)} tokens at $${buyPrice.toFixed(8)}`);
-      
-      // Deduct from balance
-      dryRunState.balance -= amount;
-      
-      // Create virtual position with channel metadata
-      dryRunState.positions[contractAddress] = {
-        entryPrice: buyPrice,
-        amount: tokenAmount,
-        timestamp: Date.now(),
-        channelId: channelId,
-        channelName: channelConfig.name,
-        symbol: signal.symbol || contractAddress.substring(0, 8)
-      };
-      
-      // Track total trades
-      dryRunState.totalTrades = (dryRunState.totalTrades || 0) + 1;
-      
-      buyOrder = { id: `dry-${Date.now()}`, filledPrice: buyPrice };
-    } else {
-      // Execute real trade
-      buyOrder = await exchange.buyMarket(contractAddress, amount);
-      buyPrice = buyOrder.filledPrice;
+    const buyOrder = await buyWithRetries(contractAddress, amount, {
+      channelId,
+      channelName,
+      symbol: signal.symbol,
+      signal,
+      wallet
+    }, channelDisplay);
+    const buyPrice = buyOrder.filledPrice;
+    riskManager.recordTradeOpened();
+    
+    // Exit orders sell tokens, so size them from what actually landed in the wallet
+    // (or from the swap's own count if the balance can't be read right now)
+    let tokenAmount;
+    try {
+      tokenAmount = (await exchange.getPosition(contractAddress, wallet)).size;
+    } catch (err) {
+      console.warn(`⚠️ [${channelDisplay}] Couldn't read the ${contractAddress} balance (${err.message}), sizing exits from the fill`);
+      tokenAmount = buyOrder.amountOut;
     }
     
-    console.log(`✅ [${channelDisplay}] ${config.DRY_RUN ? '[DRY RUN]' : ''} Bought at price: ${buyPrice}`);
+    console.log(`✅ [${channelDisplay}] ${MODE_LABEL}Bought at price: ${buyPrice}`);
+    
+    // Live fills also carry the entry price in the quote asset, for P&L in SOL
+    const entryQuotePrice = buyOrder.quotePrice || null;
+    const orderMeta = { tradeId: buyOrder.id, entryPrice: buyPrice, entryQuotePrice, wallet };
     
     // 3. Place initial stop loss with channel-specific settings
     const channelStopLoss = stopLossPercent || channelConfig.defaultStopLoss;
     const initialStop = buyPrice * (1 - channelStopLoss / 100);
-    let currentStop = initialStop;
-    console.log(`🛑 [${channelDisplay}] ${config.DRY_RUN ? '[DRY RUN]' : ''} STOP LOSS → placing at: ${initialStop.toFixed(8)} (${channelStopLoss}%)`);
+    console.log(`🛑 [${channelDisplay}] ${MODE_LABEL}STOP LOSS → placing at: ${initialStop.toFixed(8)} (${channelStopLoss}%)`);
     
-    let slOrder;
-    if (config.DRY_RUN) {
-      // Create virtual stop order
-      slOrder = { 
-        id: `sl-dry-${Date.now()}`,
-        token: contractAddress,
-        type: 'stop',
-        price: initialStop,
-        amount: dryRunState.positions[contractAddress].amount
-      };
-      dryRunState.orders.push(slOrder);
-    } else {
-      slOrder = await exchange.placeStopLoss(contractAddress, amount, initialStop);
-    }
+    // Trailing stops lock in gains, so their exits bid the highest priority fees
+    const slOrder = await exchange.placeStopLoss(contractAddress, tokenAmount, initialStop, {
+      ...orderMeta,
+      trailing: config.USE_TRAILING_STOP
+    });
     
     // 4. Place take profit orders - with position splitting
     const tpOrders = [];
@@ -466,114 +552,68 @@ async function executeTrade(signal, metadata = {}) {
       
       for (const tpPercent of takeProfitTargets) {
         const tpPrice = buyPrice * (1 + tpPercent / 100);
-        const tpAmount = config.DRY_RUN 
-          ? dryRunState.positions[contractAddress].amount * portionPerTP
-          : amount * portionPerTP;
-          
-        console.log(`🎯 [${channelDisplay}] ${config.DRY_RUN ? '[DRY RUN]' : ''} TAKE PROFIT → placing at: ${tpPrice.toFixed(8)} for ${tpAmount.toFixed(2)} (${tpPercent}%)`);
+        const tpAmount = tokenAmount * portionPerTP;
         
-        let tpOrder;
-        if (config.DRY_RUN) {
-          // Create virtual take profit order
-          tpOrder = {
-            id: `tp-dry-${Date.now()}-${tpPercent}`,
-            token: contractAddress,
-            type: 'limit',
-            price: tpPrice,
-            amount: tpAmount
-          };
-          dryRunState.orders.push(tpOrder);
-        } else {
-          tpOrder = await exchange.placeTakeProfit(contractAddress, tpAmount, tpPrice);
-        }
+        console.log(`🎯 [${channelDisplay}] ${MODE_LABEL}TAKE PROFIT → placing at: ${tpPrice.toFixed(8)} for ${tpAmount.toFixed(2)} (${tpPercent}%)`);
         
-        tpOrders.push(tpOrder);
+        tpOrders.push(await exchange.placeTakeProfit(contractAddress, tpAmount, tpPrice, orderMeta));
       }
     } else {
       console.log(`💡 [${channelDisplay}] No take profit targets specified - consider manual profit taking`);
     }
     
     // 5. Channel-specific trailing stop logic
-    let trailingInterval = null;
+    let trailing = null;
     if (config.USE_TRAILING_STOP) {
-      const trailDist = channelConfig.trailingStopDistance / 100;
-      console.log(`⏱️ [${channelDisplay}] ${config.DRY_RUN ? '[DRY RUN]' : ''} Starting trailing stop with distance: ${channelConfig.trailingStopDistance}%`);
-      
-      trailingInterval = setInterval(async () => {
-        try {
-          let currentPrice;
-          
-          if (config.DRY_RUN) {
-            currentPrice = dryRunState.prices[contractAddress];
-            
-            // Skip if no price or position found
-            if (!currentPrice || !dryRunState.positions[contractAddress]) {
-              clearInterval(trailingInterval);
-              return;
-            }
-          } else {
-            currentPrice = await exchange.getCurrentPrice(contractAddress);
-          }
-          
-          // Update highest price
-          if (currentPrice > buyPrice) {
-            const newStop = currentPrice * (1 - trailDist);
-            if (newStop > currentStop) {
-              currentStop = newStop;
-              console.log(`⏱️ [${channelDisplay}] ${config.DRY_RUN ? '[DRY RUN]' : ''} Updating trailing stop to: ${currentStop.toFixed(8)}`);
-              
-              if (config.DRY_RUN) {
-                // Update virtual stop order
-                const stopOrder = dryRunState.orders.find(o => 
-                  o.token === contractAddress && o.type === 'stop');
-                  
-                if (stopOrder) {
-                  stopOrder.price = currentStop;
-                }
-              } else {
-                slOrder = await exchange.modifyOrder(slOrder.id, { stopPrice: currentStop });
-              }
-            }
-          }
-          
-          // Check if position closed in real trading
-          if (!config.DRY_RUN) {
-            const position = await exchange.getPosition(contractAddress);
-            if (!position || position.size === 0) {
-              console.log(`🔄 [${channelDisplay}] Position closed, cleaning up trailing stop`);
-              clearInterval(trailingInterval);
-              activeTrades.delete(contractAddress);
-            }
-          }
-        } catch (err) {
-          console.error(`⚠️ [${channelDisplay}] Error in trailing loop: ${err.message}`);
-        }
-      }, 5000); // Check every 5 seconds
+      trailing = startTrailingStop(contractAddress, {
+        entryPrice: buyPrice,
+        stopPrice: initialStop,
+        stopOrder: slOrder,
+        trailingStopDistance: channelConfig.trailingStopDistance,
+        channelDisplay,
+        wallet
+      });
     }
     
     // Track active trade with enhanced metadata
     activeTrades.set(contractAddress, {
       entryPrice: buyPrice,
-      amount: config.DRY_RUN ? dryRunState.positions[contractAddress].amount : amount,
+      entryQuotePrice,
+      amount: tokenAmount,
       stopLoss: slOrder,
       takeProfits: tpOrders,
-      trailingInterval,
+      trailing,
       // Enhanced metadata
       channelId: channelId,
-      channelName: channelConfig.name,
+      channelName,
       channelConfig: channelConfig,
+      wallet,
+      tradeId: buyOrder.id,
       tradeAmount: amount, // Store actual dollar amount used
+      symbol: signal.symbol || null,
+      tokenName: signal.tokenName || null,
+      openedAt: Date.now(),
       originalSignal: signal
     });
     
+    // Stops, take-profits and dashboards all follow the token on one price stream
+    const pool = buyOrder.pool ? buyOrder.pool.address : null;
+    priceStream.watch(contractAddress, 'trade', { pool });
+    
     return {
       success: true,
       entryPrice: buyPrice,
-      amount: config.DRY_RUN ? dryRunState.positions[contractAddress].amount : amount,
+      amount: tokenAmount,
       id: buyOrder.id,
       channelId: channelId,
-      channelName: channelConfig.name,
-      tradeAmount: amount
+      channelName,
+      tradeAmount: amount,
+      wallet,
+      quoteAsset: quoteAsset.getQuoteAsset().symbol,
+      entryQuotePrice,
+      quoteAmountIn: buyOrder.quoteAmountIn || null,
+      pool,
+      fee: buyOrder.fee || null
     };
     
   } catch (err) {
@@ -581,22 +621,24 @@ async function executeTrade(signal, metadata = {}) {
     
     // Clean up any active trades on failure
     if (activeTrades.has(contractAddress)) {
-      const trade = activeTrades.get(contractAddress);
-      if (trade.trailingInterval) clearInterval(trade.trailingInterval);
-      activeTrades.delete(contractAddress);
+      untrackTrade(contractAddress);
     }
     
     return {
       success: false,
       error: err.message,
       channelId: channelId,
-      channelName: channelConfig.name
+      channelName
     };
   }
 }
 
 /**
- * Cancel an active trade
+ * Cancel an active trade: its pending exit orders are cancelled and the
+ * position is sold. If the sell fails the orders are put back and the trade
+ * stays active.
+ * @returns {Promise<boolean>} false if there is no active trade
+ * @throws When the position couldn't be sold
  */
 async function cancelTrade(contractAddress) {
   if (!activeTrades.has(contractAddress)) {
@@ -604,84 +646,216 @@ async function cancelTrade(contractAddress) {
     return false;
   }
   
+  const trade = activeTrades.get(contractAddress);
+  const channelDisplay = trade.channelName ? `${trade.channelName}` : 'Unknown Channel';
+  
+  // Stop trailing before the stop order is cancelled; it resumes if the sell fails
+  const trailing = trade.trailing;
+  trade.trailing = null;
+  
+  console.log(`${MODE_LABEL}[${channelDisplay}] Cancelling all orders for ${contractAddress}`);
+  
+  // Pending orders come off first so none of them fills alongside the sell;
+  // abandoned ones are left for the position close to clear
+  const cancelled = exchange.getOpenOrders(contractAddress).filter(o => o.status === 'pending');
+  for (const order of cancelled) {
+    await exchange.cancelOrder(order.id);
+  }
+  
+  let result;
   try {
-    const trade = activeTrades.get(contractAddress);
-    const channelDisplay = trade.channelName ? `${trade.channelName}` : 'Unknown Channel';
-    
-    // Cancel trailing stop interval
-    if (trade.trailingInterval) {
-      clearInterval(trade.trailingInterval);
-    }
-    
-    if (config.DRY_RUN) {
-      console.log(`[DRY RUN] [${channelDisplay}] Cancelling all orders for ${contractAddress}`);
-      
-      // Add position value back to balance
-      if (dryRunState.positions[contractAddress]) {
-        const position = dryRunState.positions[contractAddress];
-        const currentPrice = dryRunState.prices[contractAddress] || position.entryPrice;
-        dryRunState.balance += position.amount * currentPrice;
-      }
-      
-      // Remove all virtual orders
-      dryRunState.orders = dryRunState.orders.filter(o => o.token !== contractAddress);
-      
-      // Remove position
-      delete dryRunState.positions[contractAddress];
+    result = await exchange.closePosition(contractAddress, trade.wallet, {
+      tradeId: trade.tradeId,
+      entryPrice: trade.entryPrice,
+      entryQuotePrice: trade.entryQuotePrice
+    });
+  } catch (err) {
+    result = { success: false, error: err.message };
+  }
+  
+  if (!result.success) {
+    console.error(`❌ [${channelDisplay}] ${MODE_LABEL}Failed to close ${contractAddress}: ${result.error}`);
+    await rearmExitOrders(contractAddress, trade, cancelled, trailing);
+    throw new Error(`Failed to close ${contractAddress}: ${result.error}`);
+  }
+  
+  untrackTrade(contractAddress);
+  console.log(`✅ [${channelDisplay}] ${MODE_LABEL}Successfully canceled trade for ${contractAddress}`);
+  return true;
+}
+
+/**
+ * Put back the exit orders cancelled for a close that then failed, and resume trailing
+ */
+async function rearmExitOrders(contractAddress, trade, orders, trailing) {
+  const meta = {
+    tradeId: trade.tradeId,
+    entryPrice: trade.entryPrice,
+    entryQuotePrice: trade.entryQuotePrice,
+    wallet: trade.wallet
+  };
+  
+  for (const order of orders) {
+    if (order.type === 'stop') {
+      trade.stopLoss = await exchange.placeStopLoss(contractAddress, order.amount, order.price, { ...meta, trailing: Boolean(trailing) });
+      if (trailing) trailing.stopOrder = trade.stopLoss;
     } else {
-      // Cancel all orders
-      if (trade.stopLoss) await exchange.cancelOrder(trade.stopLoss.id);
-      for (const tp of trade.takeProfits || []) {
-        await exchange.cancelOrder(tp.id);
-      }
-      
-      // Close position
-      await exchange.closePosition(contractAddress);
+      const tpOrder = await exchange.placeTakeProfit(contractAddress, order.amount, order.price, meta);
+      trade.takeProfits = trade.takeProfits.map(o => o.id === order.id ? tpOrder : o);
     }
-    
-    activeTrades.delete(contractAddress);
-    console.log(`✅ [${channelDisplay}] ${config.DRY_RUN ? '[DRY RUN]' : ''} Successfully canceled trade for ${contractAddress}`);
-    return true;
-  } catch (err) {
-    console.error(`❌ Error canceling trade for ${contractAddress}: ${err.message}`);
-    return false;
+  }
+  
+  trade.trailing = trailing;
+  if (orders.length > 0) {
+    console.log(`🛡️ [${trade.channelName}] ${MODE_LABEL}Re-armed ${orders.length} exit order(s) for ${contractAddress}`);
   }
 }
 
+/**
+ * Cancel every active trade and close its position
+ * @returns {Promise<Array<string>>} Contract addresses of the trades that closed
+ */
+async function closeAllTrades() {
+  const closed = [];
+  for (const contractAddress of Array.from(activeTrades.keys())) {
+    try {
+      if (await cancelTrade(contractAddress)) closed.push(contractAddress);
+    } catch (err) {
+      // Already logged; the rest still get closed
+    }
+  }
+  return closed;
+}
+
+/**
+ * Market sell a percentage of an active position; 100% closes the trade
+ */
+async function sellPosition(contractAddress, percent = 100) {
+  const trade = activeTrades.get(contractAddress);
+  if (!trade) throw new Error(`No active trade for ${contractAddress}`);
+  if (!(percent > 0 && percent <= 100)) throw new Error('Sell percentage must be between 0 and 100');
+  
+  if (percent === 100) {
+    if (!await cancelTrade(contractAddress)) throw new Error(`Failed to close ${contractAddress}`);
+    return { closed: true };
+  }
+  
+  const position = await exchange.getPosition(contractAddress, trade.wallet);
+  const fill = await exchange.sellMarket(contractAddress, position.size * (percent / 100), {
+    tradeId: trade.tradeId,
+    entryPrice: trade.entryPrice,
+    entryQuotePrice: trade.entryQuotePrice,
+    wallet: trade.wallet
+  });
+  
+  trade.amount = fill.remaining;
+  console.log(`✅ [${trade.channelName}] ${MODE_LABEL}Sold ${percent}% of ${contractAddress} for $${fill.amountOut.toFixed(2)}`);
+  return { closed: fill.remaining <= 0, fill };
+}
+
+/**
+ * Move an active trade's stop loss. A manual stop replaces the trailing stop.
+ */
+async function moveStopLoss(contractAddress, stopPrice) {
+  const trade = activeTrades.get(contractAddress);
+  if (!trade) throw new Error(`No active trade for ${contractAddress}`);
+  if (!(stopPrice > 0)) throw new Error('Stop price must be positive');
+  
+  if (trade.trailing) {
+    trade.trailing = null;
+    console.log(`⏱️ [${trade.channelName}] ${MODE_LABEL}Trailing stop disabled for ${contractAddress} (manual stop)`);
+  }
+  
+  const stopOrder = exchange.getOpenOrders(contractAddress).find(o => o.type === 'stop');
+  if (stopOrder) {
+    trade.stopLoss = await exchange.modifyOrder(stopOrder.id, { stopPrice });
+  } else {
+    const position = await exchange.getPosition(contractAddress, trade.wallet);
+    trade.stopLoss = await exchange.placeStopLoss(contractAddress, position.size, stopPrice, {
+      tradeId: trade.tradeId,
+      entryPrice: trade.entryPrice,
+      entryQuotePrice: trade.entryQuotePrice,
+      wallet: trade.wallet
+    });
+  }
+  
+  console.log(`🛑 [${trade.channelName}] ${MODE_LABEL}Stop loss for ${contractAddress} moved to ${stopPrice.toFixed(8)}`);
+  return trade.stopLoss;
+}
+
+/**
+ * Add a take profit at tpPercent above entry for a percentage of the current position
+ */
+async function addTakeProfit(contractAddress, tpPercent, portionPercent) {
+  const trade = activeTrades.get(contractAddress);
+  if (!trade) throw new Error(`No active trade for ${contractAddress}`);
+  if (!(tpPercent > 0)) throw new Error('Take profit percentage must be positive');
+  if (!(portionPercent > 0 && portionPercent <= 100)) throw new Error('Portion must be between 0 and 100');
+  
+  const position = await exchange.getPosition(contractAddress, trade.wallet);
+  const tpPrice = trade.entryPrice * (1 + tpPercent / 100);
+  const tpOrder = await exchange.placeTakeProfit(contractAddress, position.size * (portionPercent / 100), tpPrice, {
+    tradeId: trade.tradeId,
+    entryPrice: trade.entryPrice,
+    entryQuotePrice: trade.entryQuotePrice,
+    wallet: trade.wallet
+  });
+  
+  trade.takeProfits.push(tpOrder);
+  console.log(`🎯 [${trade.channelName}] ${MODE_LABEL}Added take profit for ${contractAddress} at ${tpPrice.toFixed(8)} (${tpPercent}%) for ${portionPercent}% of the position`);
+  return tpOrder;
+}
+
+/**
+ * Blacklist a token whose stop loss hit within AUTO_BLACKLIST_STOP_MINUTES of entry.
+ * Randomly walked paper prices say nothing about the token, so those are skipped.
+ */
+function checkQuickStopLoss(closed, trade) {
+  if (!(config.AUTO_BLACKLIST_STOP_MINUTES > 0) || !trade.openedAt) return;
+  if (closed.exitType !== 'stoploss' || !(closed.profit < 0)) return;
+  if (config.DRY_RUN && config.DRY_RUN_SIMULATE_PRICES) return;
+  if (reputation.isWhitelisted(closed.contractAddress)) return;
+  
+  const heldMinutes = (Date.now() - trade.openedAt) / 60000;
+  if (heldMinutes > config.AUTO_BLACKLIST_STOP_MINUTES) return;
+  
+  reputation.blacklistToken(
+    closed.contractAddress,
+    `Stop loss hit ${heldMinutes.toFixed(1)} minutes after entry`,
+    'auto'
+  );
+}
+
 /**
  * Get status of all active trades with enhanced metadata
  */
 async function getActiveTrades() {
   return Array.from(activeTrades.keys()).map(token => {
     const trade = activeTrades.get(token);
+    const currentPrice = exchange.getLastPrice(token);
+    
+    const status = {
+      contractAddress: token,
+      tradeId: trade.tradeId,
+      entryPrice: trade.entryPrice,
+      amount: trade.amount,
+      channelId: trade.channelId,
+      channelName: trade.channelName,
+      wallet: trade.wallet,
+      tradeAmount: trade.tradeAmount,
+      symbol: trade.symbol,
+      tokenName: trade.tokenName
+    };
     
-    if (config.DRY_RUN && dryRunState.positions[token]) {
-      const position = dryRunState.positions[token];
-      const currentPrice = dryRunState.prices[token] || trade.entryPrice;
-      const profit = (currentPrice - trade.entryPrice) * position.amount;
+    // P/L is only known once the exchange has seen a price for the token
+    if (currentPrice) {
       const profitPercent = ((currentPrice / trade.entryPrice) - 1) * 100;
-      
-      return {
-        contractAddress: token,
-        entryPrice: trade.entryPrice,
-        currentPrice,
-        amount: position.amount,
-        profit,
-        profitPercent: profitPercent.toFixed(2) + '%',
-        channelId: trade.channelId,
-        channelName: trade.channelName,
-        tradeAmount: trade.tradeAmount
-      };
-    } else {
-      return {
-        contractAddress: token,
-        entryPrice: trade.entryPrice,
-        amount: trade.amount,
-        channelId: trade.channelId,
-        channelName: trade.channelName,
-        tradeAmount: trade.tradeAmount
-      };
+      status.currentPrice = currentPrice;
+      status.profit = (currentPrice - trade.entryPrice) * trade.amount;
+      status.profitPercent = profitPercent.toFixed(2) + '%';
     }
+    
+    return status;
   });
 }
 
@@ -709,14 +883,37 @@ function getChannelStats() {
   return stats;
 }
 
+/**
+ * Per-wallet breakdown: quote asset balance (USD and in the asset), open
+ * positions and their cost
+ * @returns {Promise<Array>} [{ name, address, balance, quoteBalance, positions, exposure, channels }]
+ */
+async function getWalletBreakdown() {
+  const balances = await exchange.getWalletBalances();
+  const usdPrice = quoteAsset.getCachedUsdPrice();
+  const trades = Array.from(activeTrades.values());
+  const channels = channelRegistry.getAllDefinitions();
+  
+  return walletRegistry.getWalletNames().map(name => {
+    const held = trades.filter(t => t.wallet === name);
+    return {
+      name,
+      address: exchange.getWalletAddress(name),
+      balance: balances[name],
+      quoteBalance: balances[name] != null && usdPrice ? balances[name] / usdPrice : null,
+      positions: held.length,
+      exposure: held.reduce((sum, t) => sum + (t.tradeAmount || 0), 0),
+      channels: channels.filter(d => (d.wallet || walletRegistry.getDefaultWallet()) === name).map(d => d.name)
+    };
+  });
+}
+
 /**
  * Get the current dry run balance
  */
 function getDryRunBalance() {
-  if (!config.DRY_RUN || !dryRunState) {
-    return 0;
-  }
-  return dryRunState.balance;
+  const status = exchange.getPaperTradingStatus();
+  return status ? status.balance : 0;
 }
 
 /**
@@ -737,13 +934,24 @@ function getChannelRecommendations(channelId) {
   };
 }
 
-module.exports = { 
-  executeTrade, 
-  cancelTrade, 
-  getActiveTrades, 
+module.exports = {
+  executeTrade,
+  cancelTrade,
+  closeAllTrades,
+  sellPosition,
+  moveStopLoss,
+  addTakeProfit,
+  getActiveTrades,
   getDryRunBalance,
+  getWalletBreakdown,
   getChannelStats,
   getChannelRecommendations,
   getLivePaperTradingStatus,
-  CHANNEL_CONFIGS
-};
\ No newline at end of file
+  getChannelConfig,
+  onTradeClosed,
+  restoreActiveTrades,
+  pauseTrading,
+  resumeTrading,
+  isTradingPaused,
+  getRiskManager
+};
@@ -0,0 +1,42 @@
+// wallets.js - Named trading wallets
+// WALLETS lists the wallets the bot trades from; the first one is the default.
+// A channel definition can route its trades to another wallet ("wallet":
+// "burner") so risky channels can only ever lose what that wallet holds.
+
+const config = require('./config');
+
+const WALLET_NAME = /^[a-z0-9_-]+$/i;
+
+function getWalletNames() {
+  return config.WALLETS.length > 0 ? config.WALLETS : ['main'];
+}
+
+function getDefaultWallet() {
+  return getWalletNames()[0];
+}
+
+function isKnownWallet(name) {
+  return getWalletNames().includes(name);
+}
+
+/**
+ * Resolve a wallet name, falling back to the default wallet
+ * @param {string|null} name Wallet name from a channel definition or trade record
+ * @returns {string}
+ * @throws {Error} The wallet isn't listed in WALLETS
+ */
+function resolveWallet(name) {
+  const wallet = name || getDefaultWallet();
+  if (!WALLET_NAME.test(wallet) || !isKnownWallet(wallet)) {
+    throw new Error(`Unknown wallet "${wallet}" (WALLETS=${getWalletNames().join(',')})`);
+  }
+  return wallet;
+}
+
+module.exports = {
+  WALLET_NAME,
+  getWalletNames,
+  getDefaultWallet,
+  isKnownWallet,
+  resolveWallet
+};